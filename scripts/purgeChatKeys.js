@@ -0,0 +1,80 @@
+// scripts/purgeChatKeys.js — npm run migrate:chat-keys (paso obligatorio del despliegue, como clean:indexes)
+// Elimina las chatKey AES guardadas en Message (el servidor no debe poder leer mensajes).
+// - Mensajes con chatKey → encryption = "legacy" (legibles solo si el cliente aporta la clave)
+// - Resto sin encryption → "none"
+// - Vacía la ventana caliente de Redis (chat:*:messages), que se reconstruye desde Mongo
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+dotenv.config();
+
+import Message from "../src/domain/Message.js";
+import { getRedis } from "../src/infrastructure/RedisProvider.js";
+
+function resolveMongoUri() {
+  const candidates = [
+    "MONGO_URI",
+    "MONGODB_URI",
+    "MONGO_URL",
+    "DB_URI",
+    "DATABASE_URL",
+  ];
+
+  for (const key of candidates) {
+    const value = process.env[key];
+    if (value) {
+      console.log(`🔌 Usando ${key} para conectar a Mongo`);
+      return value;
+    }
+  }
+
+  throw new Error(
+    "❌ No se encontró ninguna URI de Mongo (MONGO_URI, MONGODB_URI, MONGO_URL, DB_URI, DATABASE_URL)"
+  );
+}
+
+async function flushHotWindows() {
+  const redis = await getRedis();
+  let cursor = "0";
+  let removed = 0;
+
+  do {
+    const [next, keys] = await redis.scan(cursor, "MATCH", "chat:*:messages", "COUNT", 200);
+    cursor = next;
+    if (keys.length) removed += await redis.del(...keys);
+  } while (cursor !== "0");
+
+  await redis.quit();
+  return removed;
+}
+
+async function main() {
+  await mongoose.connect(resolveMongoUri());
+
+  // $unset directo sobre la colección: chatKey ya no existe en el schema
+  const legacy = await Message.collection.updateMany(
+    { chatKey: { $nin: [null, ""] } },
+    { $set: { encryption: "legacy" }, $unset: { chatKey: "" } }
+  );
+  const stale = await Message.collection.updateMany(
+    { chatKey: { $exists: true } },
+    { $unset: { chatKey: "" } }
+  );
+  const plain = await Message.collection.updateMany(
+    { encryption: { $exists: false } },
+    { $set: { encryption: "none" } }
+  );
+
+  console.log(
+    `🔐 legacy=${legacy.modifiedCount} chatKey vacías=${stale.modifiedCount} en claro=${plain.modifiedCount}`
+  );
+
+  const flushed = await flushHotWindows();
+  console.log(`🧹 Ventanas Redis eliminadas: ${flushed}`);
+
+  await mongoose.disconnect();
+}
+
+main().catch((err) => {
+  console.error("❌ Error en purgeChatKeys:", err);
+  process.exit(1);
+});
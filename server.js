@@ -32,6 +32,9 @@ import { startNewsPolling } from "./src/application/NewsScheduler.js";
 import NewsService from "./src/application/NewsService.js";
 import FinanceService from "./src/application/FinanceService.js";
 import { DailyContentScheduler } from "./src/schedulers/DailyContentScheduler.js";
+import { RetentionScheduler } from "./src/schedulers/RetentionScheduler.js";
+import { CallTimeoutScheduler } from "./src/schedulers/CallTimeoutScheduler.js";
+import { ScheduledCallScheduler } from "./src/schedulers/ScheduledCallScheduler.js";
 import AISummaryService from "./src/application/AISummaryService.js";
 
 // ======================================================
@@ -204,6 +207,27 @@ process.on("uncaughtException", async (err) => {
       console.warn(chalk.yellow("⚠️ DailyContentScheduler no iniciado:"), e?.message);
     }
 
+    try {
+      RetentionScheduler.start(getSocketService());
+      console.log(chalk.green("⏳ RetentionScheduler activo."));
+    } catch (e) {
+      console.warn(chalk.yellow("⚠️ RetentionScheduler no iniciado:"), e?.message);
+    }
+
+    try {
+      CallTimeoutScheduler.start(getSocketService());
+      console.log(chalk.green("📵 CallTimeoutScheduler activo."));
+    } catch (e) {
+      console.warn(chalk.yellow("⚠️ CallTimeoutScheduler no iniciado:"), e?.message);
+    }
+
+    try {
+      ScheduledCallScheduler.start(getSocketService());
+      console.log(chalk.green("🗓️ ScheduledCallScheduler activo."));
+    } catch (e) {
+      console.warn(chalk.yellow("⚠️ ScheduledCallScheduler no iniciado:"), e?.message);
+    }
+
     // 🧹 Shutdown
     const shutdown = async () => {
       console.log(chalk.yellow("\n🧹 Cerrando servidor..."));
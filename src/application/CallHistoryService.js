@@ -0,0 +1,242 @@
+/**
+ * 📜 CallHistoryService
+ * Registro de llamadas del usuario sobre CallLog
+ * - Filtros: dirección (incoming / outgoing), estado, tipo, contraparte
+ * - Estadísticas de duración
+ * - Badge de llamadas perdidas (UserActivity.missedCallsSeenAt)
+ * - Devolver llamada desde una entrada del registro
+ */
+
+import mongoose from "mongoose";
+import CallLog from "../domain/CallLog.js";
+import { UserActivity } from "../domain/UserActivity.js";
+import { CallService } from "./CallService.js";
+
+const PAGE_SIZE = 50;
+const PAGE_MAX = 200;
+
+export const HISTORY_DIRECTIONS = ["incoming", "outgoing"];
+export const HISTORY_STATUSES = ["missed", "completed", "rejected", "cancelled", "busy"];
+export const CALL_TYPES = ["audio", "video"];
+
+/* Perdida para `me`: era receptor, nunca se unió y nadie contestó / no contestó a tiempo */
+const missedFor = (me) => ({
+  receivers: me,
+  joined: { $ne: me },
+  $or: [{ missed: me }, { status: { $in: ["missed", "cancelled", "busy"] } }],
+});
+
+export class CallHistoryService {
+  /* Filtro Mongo según dirección / contraparte / estado / tipo / fechas */
+  static _filter(
+    userId,
+    { direction = null, status = null, type = null, counterpart = null, from = null, to = null } = {}
+  ) {
+    const me = String(userId);
+    const and = [];
+
+    if (direction && !HISTORY_DIRECTIONS.includes(direction))
+      throw new Error("Dirección inválida (incoming, outgoing)");
+    if (status && !HISTORY_STATUSES.includes(status))
+      throw new Error(`Estado inválido (${HISTORY_STATUSES.join(", ")})`);
+    if (type && !CALL_TYPES.includes(type)) throw new Error("Tipo inválido (audio, video)");
+
+    if (direction === "outgoing") and.push({ caller: me });
+    else if (direction === "incoming") and.push({ receivers: me });
+    else and.push({ $or: [{ caller: me }, { receivers: me }] });
+
+    if (counterpart) {
+      const other = String(counterpart);
+      and.push({
+        $or: [
+          { caller: me, receivers: other },
+          { caller: other, receivers: me },
+        ],
+      });
+    }
+
+    if (status === "missed") and.push(missedFor(me));
+    else if (status) and.push({ status });
+
+    if (type) and.push({ type });
+
+    if (from || to) {
+      const range = {};
+      if (from) range.$gte = new Date(from);
+      if (to) range.$lt = new Date(to);
+      if (Object.values(range).some((d) => Number.isNaN(d.getTime())))
+        throw new Error("Rango de fechas inválido");
+      and.push({ startedAt: range });
+    }
+
+    return { $and: and };
+  }
+
+  /* Vista de una entrada desde el punto de vista de `me` */
+  static _view(log, me) {
+    const outgoing = log.caller === me;
+    const missed =
+      !outgoing &&
+      !(log.joined || []).includes(me) &&
+      ((log.missed || []).includes(me) || ["missed", "cancelled", "busy"].includes(log.status));
+
+    return {
+      id: String(log._id),
+      callId: String(log.callId),
+      direction: outgoing ? "outgoing" : "incoming",
+      status: missed ? "missed" : log.status,
+      type: log.type,
+      caller: log.caller,
+      receivers: log.receivers,
+      counterparts: [log.caller, ...log.receivers].filter((id) => id !== me),
+      joined: log.joined || [],
+      duration: log.duration || 0,
+      quality: log.quality?.quality || null,
+      startedAt: log.startedAt,
+      endedAt: log.endedAt,
+      endedBy: log.endedBy || null,
+    };
+  }
+
+  /* =====================================================
+     📋 Historial paginado (?before=<ISO startedAt>)
+     Ver la primera página (todas o perdidas) limpia el badge
+  ====================================================== */
+  static async list(userId, { limit = PAGE_SIZE, before = null, ...filters } = {}, socketService = null) {
+    const me = String(userId);
+    const size = Math.min(Math.max(Number(limit) || PAGE_SIZE, 1), PAGE_MAX);
+    const query = CallHistoryService._filter(me, filters);
+
+    if (before) {
+      const cursor = new Date(before);
+      if (Number.isNaN(cursor.getTime())) throw new Error("Cursor inválido");
+      query.$and.push({ startedAt: { $lt: cursor } });
+    }
+
+    const rows = await CallLog.find(query)
+      .sort({ startedAt: -1 })
+      .limit(size + 1)
+      .lean();
+
+    const page = rows.slice(0, size).map((log) => CallHistoryService._view(log, me));
+
+    if (!before && (!filters.status || filters.status === "missed")) {
+      await CallHistoryService.markMissedSeen(me, socketService);
+    }
+
+    return {
+      calls: page,
+      pageInfo: {
+        hasMore: rows.length > size,
+        before: page.length ? new Date(page[page.length - 1].startedAt).toISOString() : null,
+        limit: size,
+      },
+    };
+  }
+
+  /* =====================================================
+     📊 Estadísticas (mismos filtros, salvo estado)
+  ====================================================== */
+  static async stats(userId, filters = {}) {
+    const me = String(userId);
+    const { status, ...rest } = filters;
+    const match = CallHistoryService._filter(me, rest);
+
+    const [groups, missed] = await Promise.all([
+      CallLog.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: {
+              direction: { $cond: [{ $eq: ["$caller", me] }, "outgoing", "incoming"] },
+              status: "$status",
+            },
+            count: { $sum: 1 },
+            duration: { $sum: "$duration" },
+            longest: { $max: "$duration" },
+          },
+        },
+      ]),
+      CallLog.countDocuments({ $and: [...match.$and, missedFor(me)] }),
+    ]);
+
+    const result = {
+      total: 0,
+      outgoing: 0,
+      incoming: 0,
+      byStatus: {},
+      missed,
+      totalDuration: 0,
+      averageDuration: 0,
+      longestDuration: 0,
+    };
+
+    let completed = 0;
+    for (const g of groups) {
+      result.total += g.count;
+      result[g._id.direction] += g.count;
+      result.byStatus[g._id.status] = (result.byStatus[g._id.status] || 0) + g.count;
+      result.totalDuration += g.duration;
+      result.longestDuration = Math.max(result.longestDuration, g.longest || 0);
+      if (g._id.status === "completed") completed += g.count;
+    }
+    result.averageDuration = completed ? Math.round(result.totalDuration / completed) : 0;
+
+    return result;
+  }
+
+  /* =====================================================
+     🔴 Badge de llamadas perdidas
+  ====================================================== */
+  static async getMissedCount(userId) {
+    const me = String(userId);
+    const activity = mongoose.isValidObjectId(me)
+      ? await UserActivity.findOne({ userId: me }).select("missedCallsSeenAt").lean()
+      : null;
+
+    const query = missedFor(me);
+    if (activity?.missedCallsSeenAt) query.endedAt = { $gt: activity.missedCallsSeenAt };
+
+    return CallLog.countDocuments(query);
+  }
+
+  static async markMissedSeen(userId, socketService = null) {
+    const me = String(userId);
+    if (!mongoose.isValidObjectId(me)) return { count: 0 };
+
+    // upsert: sin documento de actividad el badge nunca se pondría a cero
+    await UserActivity.updateOne(
+      { userId: me },
+      { $set: { missedCallsSeenAt: new Date() } },
+      { upsert: true }
+    );
+
+    // otros dispositivos del usuario
+    socketService?.emitToUser?.(me, "missed_calls_badge", { count: 0 });
+    return { count: 0 };
+  }
+
+  /* =====================================================
+     🔁 Devolver llamada desde una entrada del registro
+  ====================================================== */
+  static async callBack(userId, logId, { type = null, socketService = null } = {}) {
+    const me = String(userId);
+    if (!mongoose.isValidObjectId(logId)) throw new Error("Registro no encontrado");
+
+    const log = await CallLog.findById(logId).lean();
+    if (!log) throw new Error("Registro no encontrado");
+
+    const everyone = [log.caller, ...(log.receivers || [])];
+    if (!everyone.includes(me)) throw new Error("No autorizado");
+    if (type && !CALL_TYPES.includes(type)) throw new Error("Tipo inválido (audio, video)");
+
+    return CallService.startCall({
+      callerId: me,
+      receiverId: everyone.filter((id) => id !== me),
+      type: type || log.type,
+      socketService,
+    });
+  }
+}
+
+export default CallHistoryService;
@@ -0,0 +1,344 @@
+/**
+ * 📶 CallQualityService
+ * Telemetría de calidad de llamadas (estadísticas WebRTC del cliente)
+ * - Ingesta de muestras por participante (RTT, jitter, pérdida, bitrate, códec, ICE)
+ * - Resumen por llamada → CallLog.quality al terminar
+ * - Informes admin: por llamada y agregados por tipo de red / dispositivo (DeviceInfo)
+ */
+
+import mongoose from "mongoose";
+import Call from "../domain/Call.js";
+import CallLog from "../domain/CallLog.js";
+import DeviceInfo from "../domain/DeviceInfo.js";
+import CallQualitySample, { CANDIDATE_TYPES, NETWORK_TYPES } from "../domain/CallQualitySample.js";
+
+const MAX_SAMPLES_PER_BATCH = 50;
+
+// muestras tardías (último envío del cliente tras colgar)
+const LATE_SAMPLE_GRACE_MS = 2 * 60 * 1000;
+
+const TIMELINE_BUCKET_MS = 10 * 1000;
+const DEFAULT_REPORT_DAYS = 7;
+
+// campo → tope razonable (valores fuera de rango se descartan)
+const METRIC_LIMITS = {
+  rttMs: 60000,
+  jitterMs: 60000,
+  packetLossPct: 100,
+  bitrateKbps: 1000000,
+};
+const METRICS = Object.keys(METRIC_LIMITS);
+
+// umbrales de calidad (promedios)
+const POOR = { rttMs: 300, jitterMs: 50, packetLossPct: 5 };
+const FAIR = { rttMs: 150, jitterMs: 30, packetLossPct: 2 };
+
+const round = (n) => (n === null || n === undefined ? null : Math.round(n * 10) / 10);
+
+function metricValue(value, max) {
+  const n = Number(value);
+  return Number.isFinite(n) && n >= 0 && n <= max ? n : null;
+}
+
+/* Acumuladores $group: suma, cantidad (no nulos) y máximo por métrica */
+function metricAccumulators() {
+  const acc = {};
+  for (const field of METRICS) {
+    acc[`${field}Sum`] = { $sum: { $ifNull: [`$${field}`, 0] } };
+    acc[`${field}N`] = { $sum: { $cond: [{ $gt: [`$${field}`, null] }, 1, 0] } };
+    acc[`${field}Max`] = { $max: `$${field}` };
+  }
+  acc.samples = { $sum: 1 };
+  acc.relay = { $sum: { $cond: [{ $eq: ["$candidateType", "relay"] }, 1, 0] } };
+  return acc;
+}
+
+/* Suma varias filas de metricAccumulators (p.ej. usuarios del mismo dispositivo) */
+function mergeRows(rows = []) {
+  const merged = { samples: 0, relay: 0 };
+  for (const field of METRICS) {
+    merged[`${field}Sum`] = 0;
+    merged[`${field}N`] = 0;
+    merged[`${field}Max`] = null;
+  }
+
+  for (const row of rows) {
+    merged.samples += row.samples || 0;
+    merged.relay += row.relay || 0;
+    for (const field of METRICS) {
+      merged[`${field}Sum`] += row[`${field}Sum`] || 0;
+      merged[`${field}N`] += row[`${field}N`] || 0;
+      if (row[`${field}Max`] !== null && row[`${field}Max`] !== undefined)
+        merged[`${field}Max`] = Math.max(merged[`${field}Max`] ?? 0, row[`${field}Max`]);
+    }
+  }
+  return merged;
+}
+
+function gradeOf(metrics) {
+  const breaches = (limits) =>
+    Object.entries(limits).some(([field, limit]) => (metrics[field]?.avg ?? 0) > limit);
+  if (breaches(POOR)) return "poor";
+  if (breaches(FAIR)) return "fair";
+  return "good";
+}
+
+/* Fila agregada → vista pública { rttMs: {avg, max}, ..., quality } */
+function metricsOf(row) {
+  const metrics = {};
+  for (const field of METRICS) {
+    const n = row[`${field}N`] || 0;
+    metrics[field] = {
+      avg: n ? round(row[`${field}Sum`] / n) : null,
+      max: n ? round(row[`${field}Max`]) : null,
+    };
+  }
+
+  return {
+    samples: row.samples || 0,
+    ...metrics,
+    relayPct: row.samples ? round((row.relay / row.samples) * 100) : 0,
+    quality: row.samples ? gradeOf(metrics) : null,
+  };
+}
+
+function deviceLabel(device) {
+  if (!device) return "unknown";
+  const name = [device.brand || device.manufacturer, device.modelName].filter(Boolean).join(" ");
+  return name || device.osName || device.platform || "unknown";
+}
+
+export class CallQualityService {
+  /* =====================================================
+     📥 Ingesta de muestras (solo participantes que se unieron)
+     samples: [{ at, rttMs, jitterMs, packetLossPct, bitrateKbps,
+                 codec, candidateType, networkType }]
+  ====================================================== */
+  static async ingestSamples(callId, userId, samples = []) {
+    const list = Array.isArray(samples) ? samples : [samples];
+    if (!list.length) throw new Error("Sin muestras");
+    if (list.length > MAX_SAMPLES_PER_BATCH)
+      throw new Error(`Máximo ${MAX_SAMPLES_PER_BATCH} muestras por envío`);
+
+    if (!mongoose.isValidObjectId(callId)) throw new Error("Llamada no encontrada");
+    const call = await Call.findById(callId).select("status startedAt endedAt participantStates").lean();
+    if (!call) throw new Error("Llamada no encontrada");
+
+    const me = String(userId);
+    const participant = (call.participantStates || []).find((p) => p.userId === me);
+    if (!participant?.joinedAt) throw new Error("No autorizado");
+
+    const now = Date.now();
+    const ended = !["ringing", "active"].includes(call.status);
+    if (ended && call.endedAt && now - new Date(call.endedAt).getTime() > LATE_SAMPLE_GRACE_MS)
+      throw new Error("La llamada ya terminó");
+
+    // reloj del cliente acotado a la vida de la llamada
+    const minAt = new Date(call.startedAt).getTime();
+    const maxAt = ended && call.endedAt ? new Date(call.endedAt).getTime() + LATE_SAMPLE_GRACE_MS : now;
+
+    const docs = list
+      .filter((s) => s && typeof s === "object")
+      .map((s) => {
+        const at = new Date(s.at || now).getTime();
+        const doc = {
+          callId: call._id,
+          userId: me,
+          at: new Date(Number.isFinite(at) ? Math.min(Math.max(at, minAt), maxAt) : now),
+          codec: typeof s.codec === "string" ? s.codec.slice(0, 40) : null,
+          candidateType: CANDIDATE_TYPES.includes(s.candidateType) ? s.candidateType : "unknown",
+          networkType: NETWORK_TYPES.includes(s.networkType) ? s.networkType : "unknown",
+        };
+        for (const field of METRICS) doc[field] = metricValue(s[field], METRIC_LIMITS[field]);
+        return doc;
+      });
+    if (!docs.length) throw new Error("Sin muestras");
+
+    await CallQualitySample.insertMany(docs, { ordered: false });
+
+    // envío tardío: refrescar el resumen ya guardado
+    if (ended) {
+      const quality = await CallQualityService.summarizeCall(call._id);
+      await CallLog.updateOne({ callId: call._id }, { $set: { quality } });
+    }
+
+    return { accepted: docs.length };
+  }
+
+  /* =====================================================
+     🧮 Resumen de una llamada (global + por participante)
+  ====================================================== */
+  static async summarizeCall(callId) {
+    const rows = await CallQualitySample.aggregate([
+      { $match: { callId: new mongoose.Types.ObjectId(String(callId)) } },
+      {
+        $group: {
+          _id: "$userId",
+          ...metricAccumulators(),
+          codecs: { $addToSet: "$codec" },
+          candidateTypes: { $addToSet: "$candidateType" },
+          networkTypes: { $addToSet: "$networkType" },
+        },
+      },
+    ]);
+    if (!rows.length) return null;
+
+    const unique = (key) => [...new Set(rows.flatMap((r) => r[key] || []).filter(Boolean))];
+
+    return {
+      ...metricsOf(mergeRows(rows)),
+      codecs: unique("codecs"),
+      candidateTypes: unique("candidateTypes"),
+      networkTypes: unique("networkTypes"),
+      participants: rows.map((r) => ({
+        userId: r._id,
+        ...metricsOf(r),
+        codecs: r.codecs.filter(Boolean),
+        candidateTypes: r.candidateTypes,
+        networkTypes: r.networkTypes,
+      })),
+    };
+  }
+
+  /* =====================================================
+     📋 Informe QoS de una llamada (admin)
+     timeline en tramos de 10s por participante + dispositivo
+  ====================================================== */
+  static async getCallReport(callId) {
+    if (!mongoose.isValidObjectId(callId)) throw new Error("Llamada no encontrada");
+
+    const call = await Call.findById(callId).lean();
+    if (!call) throw new Error("Llamada no encontrada");
+
+    const [quality, log, timeline, devices] = await Promise.all([
+      CallQualityService.summarizeCall(call._id),
+      CallLog.findOne({ callId: call._id }).select("status duration joined missed").lean(),
+      CallQualitySample.aggregate([
+        { $match: { callId: call._id } },
+        {
+          $group: {
+            _id: {
+              userId: "$userId",
+              bucket: {
+                $subtract: [{ $toLong: "$at" }, { $mod: [{ $toLong: "$at" }, TIMELINE_BUCKET_MS] }],
+              },
+            },
+            ...metricAccumulators(),
+          },
+        },
+        { $sort: { "_id.bucket": 1 } },
+      ]),
+      CallQualityService._latestDevices(call.participants),
+    ]);
+
+    return {
+      call: {
+        id: String(call._id),
+        type: call.type,
+        status: call.status,
+        caller: call.caller,
+        participants: call.participants,
+        startedAt: call.startedAt,
+        acceptedAt: call.acceptedAt || null,
+        endedAt: call.endedAt || null,
+        duration: call.duration || 0,
+        log: log || null,
+      },
+      quality,
+      devices: call.participants.map((userId) => ({
+        userId,
+        device: deviceLabel(devices.get(userId)),
+        osName: devices.get(userId)?.osName || null,
+        platform: devices.get(userId)?.platform || null,
+      })),
+      timeline: timeline.map((t) => ({
+        userId: t._id.userId,
+        at: new Date(t._id.bucket),
+        ...metricsOf(t),
+      })),
+    };
+  }
+
+  /* =====================================================
+     📊 Agregados (admin): por tipo de red y por dispositivo
+     ?from=<ISO>&to=<ISO> (por defecto últimos 7 días)
+  ====================================================== */
+  static async getAggregateReport({ from = null, to = null } = {}) {
+    const end = to ? new Date(to) : new Date();
+    const start = from ? new Date(from) : new Date(end.getTime() - DEFAULT_REPORT_DAYS * 86400000);
+    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || start >= end)
+      throw new Error("Rango de fechas inválido");
+
+    const match = { $match: { at: { $gte: start, $lt: end } } };
+
+    const [byNetworkRows, byUserRows] = await Promise.all([
+      CallQualitySample.aggregate([
+        match,
+        { $group: { _id: "$networkType", ...metricAccumulators(), calls: { $addToSet: "$callId" } } },
+        { $addFields: { calls: { $size: "$calls" } } },
+        { $sort: { samples: -1 } },
+      ]),
+      CallQualitySample.aggregate([
+        match,
+        { $group: { _id: "$userId", ...metricAccumulators(), calls: { $addToSet: "$callId" } } },
+      ]),
+    ]);
+
+    // usuario → dispositivo más reciente (DeviceInfo) → agrupar
+    const devices = await CallQualityService._latestDevices(byUserRows.map((r) => r._id));
+    const groups = new Map();
+    for (const row of byUserRows) {
+      const device = devices.get(row._id);
+      const key = `${deviceLabel(device)}|${device?.osName || "unknown"}`;
+      if (!groups.has(key)) {
+        groups.set(key, { device: deviceLabel(device), osName: device?.osName || null, rows: [], calls: new Set() });
+      }
+      const group = groups.get(key);
+      group.rows.push(row);
+      row.calls.forEach((id) => group.calls.add(String(id)));
+    }
+
+    return {
+      range: { from: start, to: end },
+      byNetworkType: byNetworkRows.map((r) => ({
+        networkType: r._id || "unknown",
+        calls: r.calls,
+        ...metricsOf(r),
+      })),
+      byDevice: [...groups.values()]
+        .map((g) => ({
+          device: g.device,
+          osName: g.osName,
+          users: g.rows.length,
+          calls: g.calls.size,
+          ...metricsOf(mergeRows(g.rows)),
+        }))
+        .sort((a, b) => b.samples - a.samples),
+    };
+  }
+
+  /* userId → último DeviceInfo registrado */
+  static async _latestDevices(userIds = []) {
+    const ids = [...new Set(userIds.map(String))].filter((id) => mongoose.isValidObjectId(id));
+    if (!ids.length) return new Map();
+
+    const rows = await DeviceInfo.aggregate([
+      { $match: { userId: { $in: ids.map((id) => new mongoose.Types.ObjectId(id)) } } },
+      { $sort: { createdAt: -1 } },
+      {
+        $group: {
+          _id: "$userId",
+          brand: { $first: "$brand" },
+          manufacturer: { $first: "$manufacturer" },
+          modelName: { $first: "$modelName" },
+          osName: { $first: "$osName" },
+          platform: { $first: "$platform" },
+        },
+      },
+    ]);
+
+    return new Map(rows.map((r) => [String(r._id), r]));
+  }
+}
+
+export default CallQualityService;
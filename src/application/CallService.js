@@ -2,49 +2,108 @@
  * 📞 CallService
  * Servicio de gestión de llamadas (audio / video)
  * Integra persistencia en MongoDB + emisión por WebSocket + UserActivity + CallLog
+ *
+ * 👥 Llamadas grupales: estado por participante (ringing, joined, declined, left).
+ * La llamada sigue activa mientras haya 2+ participantes "joined";
+ * colgar (endCall) solo saca a quien cuelga.
+ *
+ * 📶 Ocupado / llamada en espera: UserActivity.currentCall es la llamada en
+ * primer plano; entrar en otra pone la anterior en "held". Con una activa
+ * y otra en espera el usuario está ocupado (busy).
+ *
+ * ⏱️ Timbre con timeout: quien no contesta en CALL_RING_TIMEOUT_SECONDS
+ * queda "missed" (expireRinging, llamado por CallTimeoutScheduler).
  */
 
+import mongoose from "mongoose";
 import Call from "../domain/Call.js";
 import CallLog from "../domain/CallLog.js";
+import { UserActivity } from "../domain/UserActivity.js";
 import { addNotification } from "./UserActivityService.js";
+import { CallQualityService } from "./CallQualityService.js";
+
+// Estados de Call en los que aún se puede entrar / invitar
+const LIVE_STATUSES = ["ringing", "active"];
+
+const MAX_CALL_PARTICIPANTS = Number(process.env.CALL_MAX_PARTICIPANTS || 8);
+
+export const RING_TIMEOUT_SECONDS = Number(process.env.CALL_RING_TIMEOUT_SECONDS || 45);
+const RING_SWEEP_BATCH = 200;
+
+// Participantes que siguen dentro de la llamada
+const IN_CALL_STATES = ["joined", "held"];
+
+const uniqueIds = (ids = []) => [...new Set(ids.filter(Boolean).map(String))];
 
 export class CallService {
   /**
-   * 🚀 Iniciar llamada
+   * 🚀 Iniciar llamada (receiverId: id o array de ids)
    */
   static async startCall({ callerId, receiverId, type = "audio", socketService = null }) {
+    const caller = String(callerId);
+    const receivers = uniqueIds(Array.isArray(receiverId) ? receiverId : [receiverId]).filter(
+      (id) => id !== caller
+    );
+
+    if (!receivers.length) throw new Error("Receptor requerido");
+    if (receivers.length + 1 > MAX_CALL_PARTICIPANTS)
+      throw new Error(`Máximo ${MAX_CALL_PARTICIPANTS} participantes por llamada`);
+
     try {
-      const receivers = Array.isArray(receiverId) ? receiverId : [receiverId];
-      const participants = [callerId, ...receivers];
+      const now = new Date();
+      const participants = [caller, ...receivers];
+
+      const lines = await CallService._lineStatus(receivers);
+      const busy = receivers.filter((id) => lines.get(id).status === "busy");
+      const reachable = receivers.filter((id) => !busy.includes(id));
 
       const call = await Call.create({
-        caller: callerId,
+        caller,
+        receiver: receivers.length === 1 ? receivers[0] : undefined,
         participants,
+        participantStates: [
+          { userId: caller, state: "joined", invitedBy: null, invitedAt: now, joinedAt: now },
+          ...receivers.map((userId) => ({
+            userId,
+            state: busy.includes(userId) ? "busy" : "ringing",
+            invitedBy: caller,
+            invitedAt: now,
+          })),
+        ],
         type,
         status: "ringing",
-        startedAt: new Date(),
+        startedAt: now,
       });
 
-      // 🔔 Emitir evento a receptores
+      // 🔔 Emitir evento a receptores (en llamada → CALL_WAITING)
       if (socketService) {
-        receivers.forEach((receiver) => {
-          socketService.emitToUser(receiver, "INCOMING_CALL", {
-            callId: call._id,
-            from: callerId,
-            type,
-            participants,
-            startedAt: call.startedAt,
-          });
-        });
+        CallService._ring(socketService, call, caller, reachable, lines);
+        if (busy.length) {
+          socketService.emitToUser(caller, "CALL_BUSY", { callId: String(call._id), userIds: busy });
+        }
       }
 
       // 🧠 Registrar notificación
-      for (const receiver of receivers) {
-        await addNotification(receiver, "call", `📞 Llamada ${type} entrante de ${callerId}`);
+      for (const receiver of reachable) {
+        await addNotification(receiver, "call", `📞 Llamada ${type} entrante de ${caller}`);
+      }
+      for (const receiver of busy) {
+        await addNotification(receiver, "call_missed", `📵 Llamada ${type} perdida de ${caller} (ocupado)`, {
+          callId: String(call._id),
+          from: caller,
+        });
       }
 
-      console.log(`📞 Llamada ${type} iniciada entre ${callerId} y ${receivers.join(", ")}`);
-      return call.toObject();
+      // todos ocupados → termina ya como "busy"
+      if (!reachable.length) {
+        console.log(`📵 Llamada ${type} de ${caller}: receptores ocupados`);
+        return { ...(await CallService._settle(call, caller, socketService)).toObject(), busy };
+      }
+
+      await CallService._enterCall(caller, call, socketService);
+
+      console.log(`📞 Llamada ${type} iniciada entre ${caller} y ${receivers.join(", ")}`);
+      return { ...call.toObject(), busy };
     } catch (err) {
       console.error("❌ Error al iniciar llamada:", err);
       throw new Error("Error al iniciar llamada");
@@ -52,27 +111,47 @@ export class CallService {
   }
 
   /**
-   * ✅ Aceptar llamada
+   * ✅ Aceptar llamada → participante "joined"
+   * (también permite volver a entrar a quien salió de una llamada activa)
    */
   static async acceptCall(callId, userId, socketService = null) {
     try {
-      const call = await Call.findByIdAndUpdate(
-        callId,
-        { status: "active", acceptedAt: new Date() },
-        { new: true }
-      );
+      const now = new Date();
+      let call = await CallService._transition(callId, userId, ["ringing", "left"], "joined", {
+        joinedAt: now,
+        leftAt: null,
+      });
 
-      if (!call) throw new Error("Llamada no encontrada");
+      // 2 participantes unidos → la llamada pasa a activa
+      if (call.status === "ringing" && CallService._inCallCount(call) >= 2) {
+        call =
+          (await Call.findOneAndUpdate(
+            { _id: call._id, status: "ringing" },
+            { $set: { status: "active", acceptedAt: now } },
+            { new: true }
+          )) || (await Call.findById(call._id));
+      }
 
       if (socketService) {
+        const payload = {
+          callId: String(call._id),
+          userId: String(userId),
+          status: call.status,
+          participantStates: call.participantStates,
+        };
+
         call.participants.forEach((participant) => {
           socketService.emitToUser(participant, "CALL_ACCEPTED", {
             callId,
             acceptedBy: userId,
           });
         });
+        socketService.emitToUsers(CallService._audience(call), "participant_joined", payload);
       }
 
+      // la llamada en primer plano anterior queda en espera
+      await CallService._enterCall(userId, call, socketService);
+
       console.log(`✅ Llamada ${callId} aceptada por ${userId}`);
       return call.toObject();
     } catch (err) {
@@ -82,33 +161,13 @@ export class CallService {
   }
 
   /**
-   * ❌ Rechazar llamada
+   * ❌ Rechazar llamada → participante "declined"
+   * La llamada solo termina si ya no queda nadie sonando y hay menos de 2 unidos
    */
   static async rejectCall(callId, userId, socketService = null) {
     try {
-      const call = await Call.findByIdAndUpdate(
-        callId,
-        {
-          status: "rejected",
-          endedAt: new Date(),
-          endedBy: userId,
-        },
-        { new: true }
-      );
-
-      if (!call) throw new Error("Llamada no encontrada");
-
-      // Registrar log de rechazo
-      await CallLog.create({
-        callId: call._id,
-        caller: call.caller,
-        receivers: call.participants.filter((p) => p !== call.caller),
-        type: call.type,
-        duration: 0,
-        status: "rejected",
-        startedAt: call.startedAt,
-        endedAt: call.endedAt,
-        endedBy: userId,
+      const call = await CallService._transition(callId, userId, ["ringing"], "declined", {
+        leftAt: new Date(),
       });
 
       if (socketService) {
@@ -121,7 +180,7 @@ export class CallService {
       }
 
       console.log(`📵 Llamada ${callId} rechazada por ${userId}`);
-      return call.toObject();
+      return (await CallService._settle(call, userId, socketService)).toObject();
     } catch (err) {
       console.error("❌ Error al rechazar llamada:", err);
       throw err;
@@ -129,74 +188,493 @@ export class CallService {
   }
 
   /**
-   * 📴 Finalizar llamada
+   * 📴 Colgar → participante "left"
+   * La llamada termina para todos cuando quedan menos de 2 unidos
+   * (o ninguno, si aún hay invitados sonando)
    */
   static async endCall(callId, endedBy, socketService = null) {
     try {
+      const call = await CallService._transition(callId, endedBy, IN_CALL_STATES, "left", {
+        leftAt: new Date(),
+      });
+      await CallService._exitCall(endedBy, call._id);
+
+      if (socketService) {
+        socketService.emitToUsers(CallService._audience(call), "participant_left", {
+          callId: String(call._id),
+          userId: String(endedBy),
+          status: call.status,
+          participantStates: call.participantStates,
+        });
+      }
+
+      console.log(`📴 ${endedBy} salió de la llamada ${callId}`);
+      return (await CallService._settle(call, endedBy, socketService)).toObject();
+    } catch (err) {
+      console.error("❌ Error al finalizar llamada:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * ➕ Invitar a mitad de llamada (solo participantes unidos)
+   * Nuevos → ringing; quien rechazó o salió vuelve a sonar
+   */
+  static async inviteToCall(callId, inviterId, userIds = [], socketService = null) {
+    try {
+      const inviter = String(inviterId);
       const call = await Call.findById(callId);
       if (!call) throw new Error("Llamada no encontrada");
+      if (!LIVE_STATUSES.includes(call.status)) throw new Error("La llamada ya terminó");
 
-      const endedAt = new Date();
-      const duration =
-        call.startedAt && call.status === "active"
-          ? Math.floor((endedAt - call.startedAt) / 1000)
-          : 0;
+      const states = new Map(call.participantStates.map((p) => [p.userId, p.state]));
+      if (states.get(inviter) !== "joined") throw new Error("No autorizado");
 
-      call.status = "ended";
-      call.endedAt = endedAt;
-      call.endedBy = endedBy;
-      call.duration = duration;
-      await call.save();
+      const candidates = uniqueIds(Array.isArray(userIds) ? userIds : [userIds]).filter(
+        (id) => id !== inviter && !["joined", "held", "ringing"].includes(states.get(id))
+      );
+      if (!candidates.length) throw new Error("Sin participantes nuevos");
 
-      // 🧾 Guardar registro en CallLog
-      await CallLog.create({
-        callId: call._id,
-        caller: call.caller,
-        receivers: call.participants.filter((p) => p !== call.caller),
-        type: call.type,
-        duration,
-        status: "completed",
-        startedAt: call.startedAt,
-        endedAt,
-        endedBy,
-      });
+      const lines = await CallService._lineStatus(candidates);
+      const busy = candidates.filter((id) => lines.get(id).status === "busy");
+      const invitees = candidates.filter((id) => !busy.includes(id));
+
+      if (busy.length && socketService) {
+        socketService.emitToUser(inviter, "CALL_BUSY", { callId: String(call._id), userIds: busy });
+      }
+      if (!invitees.length) return { ...call.toObject(), busy };
+
+      const fresh = invitees.filter((id) => !states.has(id));
+      const again = invitees.filter((id) => states.has(id));
+      if (call.participants.length + fresh.length > MAX_CALL_PARTICIPANTS)
+        throw new Error(`Máximo ${MAX_CALL_PARTICIPANTS} participantes por llamada`);
+
+      const now = new Date();
+      const ringing = { state: "ringing", invitedBy: inviter, invitedAt: now, joinedAt: null, leftAt: null };
+
+      if (fresh.length) {
+        await Call.updateOne(
+          { _id: call._id, status: { $in: LIVE_STATUSES }, "participantStates.userId": { $nin: fresh } },
+          {
+            $addToSet: { participants: { $each: fresh } },
+            $push: { participantStates: { $each: fresh.map((userId) => ({ userId, ...ringing })) } },
+          }
+        );
+      }
+      if (again.length) {
+        await Call.updateOne(
+          { _id: call._id, status: { $in: LIVE_STATUSES } },
+          {
+            $set: Object.fromEntries(
+              Object.entries(ringing).map(([k, v]) => [`participantStates.$[p].${k}`, v])
+            ),
+          },
+          {
+            arrayFilters: [
+              { "p.userId": { $in: again }, "p.state": { $in: ["declined", "left", "missed", "busy"] } },
+            ],
+          }
+        );
+      }
+
+      const updated = await Call.findById(call._id);
 
-      // 🔔 Emitir evento por WebSocket
       if (socketService) {
-        call.participants.forEach((user) => {
-          socketService.emitToUser(user, "CALL_ENDED", {
-            callId,
-            endedBy,
-            duration,
-          });
-        });
+        CallService._ring(socketService, updated, inviter, invitees, lines);
+        socketService.emitToUsers(
+          CallService._audience(updated).filter((id) => !invitees.includes(id)),
+          "participant_invited",
+          {
+            callId: String(updated._id),
+            invitedBy: inviter,
+            userIds: invitees,
+            participantStates: updated.participantStates,
+          }
+        );
       }
 
-      console.log(`📴 Llamada ${callId} finalizada por ${endedBy}`);
+      for (const receiver of invitees) {
+        await addNotification(receiver, "call", `📞 Llamada ${updated.type} entrante de ${inviter}`);
+      }
+
+      console.log(`➕ ${inviter} invitó a ${invitees.join(", ")} a la llamada ${callId}`);
+      return { ...updated.toObject(), busy };
+    } catch (err) {
+      console.error("❌ Error al invitar a la llamada:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * ⏸️ Poner en espera (joined → held)
+   */
+  static async holdCall(callId, userId, socketService = null) {
+    try {
+      const call = await CallService._transition(callId, userId, ["joined"], "held");
+      await CallService._exitCall(userId, call._id);
+
+      CallService._emitParticipant(socketService, call, userId, "participant_held");
+
+      console.log(`⏸️ ${userId} puso en espera la llamada ${callId}`);
       return call.toObject();
     } catch (err) {
-      console.error("❌ Error al finalizar llamada:", err);
+      console.error("❌ Error al poner en espera:", err);
       throw err;
     }
   }
 
   /**
-   * 📜 Obtener historial de llamadas (últimas 50)
+   * ▶️ Reanudar (held → joined); la llamada en primer plano pasa a espera
    */
-  static async getHistory(userId, limit = 50) {
+  static async resumeCall(callId, userId, socketService = null) {
     try {
-      const history = await CallLog.find({
-        $or: [{ caller: userId }, { receivers: userId }],
-      })
-        .sort({ startedAt: -1 })
-        .limit(limit)
-        .lean();
+      const call = await CallService._transition(callId, userId, ["held"], "joined");
+      await CallService._enterCall(userId, call, socketService);
 
-      return history;
+      CallService._emitParticipant(socketService, call, userId, "participant_resumed");
+
+      console.log(`▶️ ${userId} reanudó la llamada ${callId}`);
+      return call.toObject();
     } catch (err) {
-      console.error("❌ Error al obtener historial de llamadas:", err);
-      return [];
+      console.error("❌ Error al reanudar llamada:", err);
+      throw err;
+    }
+  }
+
+  /**
+   * 🔀 Cambiar de llamada: la actual queda en espera y se reanuda `callId`
+   */
+  static async switchCall(userId, callId, socketService = null) {
+    const activity = await UserActivity.findOne({ userId }).select("currentCall").lean();
+    const current = activity?.currentCall?.callId || null;
+    if (current && current === String(callId)) throw new Error("Ya estás en esa llamada");
+
+    return CallService.resumeCall(callId, userId, socketService);
+  }
+
+  /**
+   * ⏱️ Timbre vencido → participantes "missed"
+   * CALL_MISSED + notificación a quien no contestó; si nadie llegó a unirse
+   * la llamada termina como "missed" (CallLog). Idempotente: se relanza al arrancar.
+   */
+  static async expireRinging({ now = new Date(), socketService = null } = {}) {
+    const cutoff = new Date(now.getTime() - RING_TIMEOUT_SECONDS * 1000);
+    const stale = await Call.find({
+      status: { $in: LIVE_STATUSES },
+      participantStates: { $elemMatch: { state: "ringing", invitedAt: { $lte: cutoff } } },
+    })
+      .select("_id participantStates")
+      .limit(RING_SWEEP_BATCH)
+      .lean();
+
+    let missed = 0;
+
+    for (const candidate of stale) {
+      const userIds = candidate.participantStates
+        .filter((p) => p.state === "ringing" && p.invitedAt && new Date(p.invitedAt) <= cutoff)
+        .map((p) => p.userId);
+      if (!userIds.length) continue;
+
+      try {
+        const call = await Call.findOneAndUpdate(
+          { _id: candidate._id, status: { $in: LIVE_STATUSES } },
+          {
+            $set: {
+              "participantStates.$[p].state": "missed",
+              "participantStates.$[p].leftAt": now,
+            },
+          },
+          {
+            new: true,
+            arrayFilters: [{ "p.userId": { $in: userIds }, "p.state": "ringing", "p.invitedAt": { $lte: cutoff } }],
+          }
+        );
+        if (!call) continue;
+
+        missed += userIds.length;
+
+        if (socketService) {
+          socketService.emitToUsers([...CallService._audience(call), ...userIds], "CALL_MISSED", {
+            callId: String(call._id),
+            caller: call.caller,
+            type: call.type,
+            userIds,
+            participantStates: call.participantStates,
+          });
+        }
+
+        for (const userId of userIds) {
+          await addNotification(userId, "call_missed", `📵 Llamada ${call.type} perdida de ${call.caller}`, {
+            callId: String(call._id),
+            from: call.caller,
+          });
+        }
+
+        await CallService._settle(call, null, socketService);
+      } catch (err) {
+        console.error("❌ Error marcando llamada perdida:", err);
+      }
     }
+
+    return { calls: stale.length, missed };
+  }
+
+  /**
+   * 📡 ¿Puede `fromId` enviar señalización WebRTC a `toId` en esta llamada?
+   * Ambos deben seguir en la llamada (joined o ringing)
+   */
+  static async assertCanSignal(callId, fromId, toId) {
+    if (!mongoose.isValidObjectId(callId)) throw new Error("Llamada no encontrada");
+
+    const call = await Call.findById(callId).select("status participantStates").lean();
+    if (!call) throw new Error("Llamada no encontrada");
+    if (!LIVE_STATUSES.includes(call.status)) throw new Error("La llamada ya terminó");
+
+    const inCall = new Set(CallService._audience(call));
+    if (!inCall.has(String(fromId)) || !inCall.has(String(toId)) || String(fromId) === String(toId))
+      throw new Error("No autorizado");
+
+    return true;
+  }
+
+  /* =====================================================
+     🔧 Helpers internos
+  ====================================================== */
+
+  /**
+   * Cambia el estado de un participante de forma atómica
+   * (solo si su estado actual está en `from` y la llamada sigue viva)
+   */
+  static async _transition(callId, userId, from = [], state, extra = {}) {
+    const me = String(userId);
+    const set = { "participantStates.$[p].state": state };
+    for (const [k, v] of Object.entries(extra)) set[`participantStates.$[p].${k}`] = v;
+
+    const call = await Call.findOneAndUpdate(
+      {
+        _id: callId,
+        status: { $in: LIVE_STATUSES },
+        participantStates: { $elemMatch: { userId: me, state: { $in: from } } },
+      },
+      { $set: set },
+      { new: true, arrayFilters: [{ "p.userId": me }] }
+    );
+    if (call) return call;
+
+    // diagnóstico del fallo
+    const current = await Call.findById(callId).lean();
+    if (!current) throw new Error("Llamada no encontrada");
+    const mine = (current.participantStates || []).find((p) => p.userId === me);
+    if (!mine) throw new Error("No autorizado");
+    if (!LIVE_STATUSES.includes(current.status)) throw new Error("La llamada ya terminó");
+    throw new Error(`Acción no válida para un participante en estado ${mine.state}`);
+  }
+
+  static _countIn(call, state) {
+    return (call.participantStates || []).filter((p) => p.state === state).length;
+  }
+
+  static _inCallCount(call) {
+    return (call.participantStates || []).filter((p) => IN_CALL_STATES.includes(p.state)).length;
+  }
+
+  // Quienes siguen en la llamada (unidos, en espera y sonando)
+  static _audience(call) {
+    return (call.participantStates || [])
+      .filter((p) => IN_CALL_STATES.includes(p.state) || p.state === "ringing")
+      .map((p) => p.userId);
+  }
+
+  static _emitParticipant(socketService, call, userId, event) {
+    if (!socketService) return;
+    socketService.emitToUsers(CallService._audience(call), event, {
+      callId: String(call._id),
+      userId: String(userId),
+      status: call.status,
+      participantStates: call.participantStates,
+    });
+  }
+
+  // INCOMING_CALL, o CALL_WAITING si el receptor ya está en otra llamada
+  static _ring(socketService, call, from, receivers = [], lines = new Map()) {
+    receivers.forEach((receiver) => {
+      const line = lines.get(receiver);
+      const waiting = line?.status === "waiting";
+
+      socketService.emitToUser(receiver, waiting ? "CALL_WAITING" : "INCOMING_CALL", {
+        callId: call._id,
+        from,
+        type: call.type,
+        participants: call.participants,
+        participantStates: call.participantStates,
+        startedAt: call.startedAt,
+        ...(waiting ? { waiting: true, currentCallId: line.currentCallId } : {}),
+      });
+    });
+  }
+
+  /**
+   * 📶 Estado de línea de cada usuario:
+   * free (sin llamadas) | waiting (una llamada) | busy (activa + en espera)
+   * La llamada en primer plano sale de UserActivity.currentCall
+   * (validada contra Call para no fiarse de datos viejos)
+   */
+  static async _lineStatus(userIds = []) {
+    const lines = new Map(userIds.map((id) => [String(id), { status: "free", currentCallId: null }]));
+    const ids = userIds.filter((id) => mongoose.isValidObjectId(id)).map(String);
+    if (!ids.length) return lines;
+
+    const [activities, live] = await Promise.all([
+      UserActivity.find({ userId: { $in: ids }, "currentCall.callId": { $ne: null } })
+        .select("userId currentCall")
+        .lean(),
+      Call.find({
+        status: { $in: LIVE_STATUSES },
+        participantStates: { $elemMatch: { userId: { $in: ids }, state: { $in: IN_CALL_STATES } } },
+      })
+        .select("participantStates")
+        .lean(),
+    ]);
+
+    const currentById = new Map(activities.map((a) => [String(a.userId), a.currentCall.callId]));
+    const stateIn = (call, userId) => call.participantStates.find((p) => p.userId === userId)?.state;
+
+    for (const id of ids) {
+      const currentCallId = currentById.get(id) || null;
+      const inCurrent = live.some((c) => String(c._id) === currentCallId && stateIn(c, id) === "joined");
+      const held = live.filter((c) => stateIn(c, id) === "held").length;
+
+      lines.set(id, {
+        status: inCurrent && held ? "busy" : inCurrent || held ? "waiting" : "free",
+        currentCallId: inCurrent ? currentCallId : null,
+      });
+    }
+
+    return lines;
+  }
+
+  /* El usuario pasa a `call` en primer plano; la anterior queda en espera */
+  static async _enterCall(userId, call, socketService = null) {
+    if (!mongoose.isValidObjectId(userId)) return;
+
+    const previous = await UserActivity.findOneAndUpdate(
+      { userId },
+      {
+        $set: {
+          currentCall: {
+            callId: String(call._id),
+            type: call.type,
+            startedAt: new Date(),
+            participants: call.participants.filter((id) => mongoose.isValidObjectId(id)),
+          },
+        },
+      },
+      { upsert: true, new: false }
+    )
+      .select("currentCall")
+      .lean();
+
+    const previousId = previous?.currentCall?.callId;
+    if (!previousId || previousId === String(call._id)) return;
+
+    try {
+      const held = await CallService._transition(previousId, userId, ["joined"], "held");
+      CallService._emitParticipant(socketService, held, userId, "participant_held");
+    } catch {
+      // la anterior ya terminó o ya no estaba unido
+    }
+  }
+
+  static async _exitCall(userId, callId) {
+    if (!mongoose.isValidObjectId(userId)) return;
+    await UserActivity.updateOne(
+      { userId, "currentCall.callId": String(callId) },
+      { $set: { currentCall: null } }
+    );
+  }
+
+  /**
+   * Termina la llamada si ya no puede continuar:
+   * - nadie unido, o
+   * - menos de 2 unidos y nadie sonando
+   */
+  static async _settle(call, actorId, socketService = null) {
+    const joined = CallService._inCallCount(call);
+    const ringing = CallService._countIn(call, "ringing");
+    if (joined >= 2 || (joined === 1 && ringing > 0)) return call;
+
+    const wasActive = call.status === "active";
+    const others = call.participantStates.filter((p) => p.userId !== call.caller);
+    const everyoneBusy = !wasActive && others.every((p) => p.state === "busy");
+    const everyoneDeclined = !wasActive && others.every((p) => ["declined", "busy"].includes(p.state));
+    const nobodyAnswered =
+      !wasActive && others.every((p) => ["declined", "missed", "busy"].includes(p.state));
+
+    const status = wasActive
+      ? "ended"
+      : everyoneBusy
+      ? "busy"
+      : everyoneDeclined
+      ? "rejected"
+      : nobodyAnswered
+      ? "missed"
+      : "cancelled";
+    const endedBy = actorId ? String(actorId) : null;
+    const endedAt = new Date();
+    const duration = wasActive && call.acceptedAt ? Math.floor((endedAt - call.acceptedAt) / 1000) : 0;
+
+    // condicional: solo un proceso cierra la llamada y escribe el CallLog
+    const ended = await Call.findOneAndUpdate(
+      { _id: call._id, status: { $in: LIVE_STATUSES } },
+      { $set: { status, endedAt, endedBy, duration } },
+      { new: true }
+    );
+    if (!ended) return (await Call.findById(call._id)) || call;
+
+    // nadie queda con esta llamada en primer plano
+    await UserActivity.updateMany(
+      {
+        userId: { $in: ended.participants.filter((id) => mongoose.isValidObjectId(id)) },
+        "currentCall.callId": String(ended._id),
+      },
+      { $set: { currentCall: null } }
+    );
+
+    // 🧾 Guardar registro en CallLog (+ resumen de calidad)
+    const quality = await CallQualityService.summarizeCall(ended._id).catch((err) => {
+      console.warn("⚠️ Resumen de calidad no disponible:", err?.message);
+      return null;
+    });
+
+    await CallLog.create({
+      callId: ended._id,
+      caller: ended.caller,
+      receivers: ended.participants.filter((p) => p !== ended.caller),
+      joined: ended.participantStates.filter((p) => p.joinedAt).map((p) => p.userId),
+      missed: ended.participantStates.filter((p) => p.state === "missed").map((p) => p.userId),
+      type: ended.type,
+      duration,
+      status: status === "ended" ? "completed" : status,
+      startedAt: ended.startedAt,
+      endedAt,
+      endedBy,
+      quality,
+    });
+
+    // 🔔 Emitir evento por WebSocket
+    if (socketService) {
+      ended.participants.forEach((user) => {
+        socketService.emitToUser(user, "CALL_ENDED", {
+          callId: String(ended._id),
+          endedBy,
+          status,
+          duration,
+        });
+      });
+    }
+
+    console.log(`📴 Llamada ${ended._id} finalizada (${status})`);
+    return ended;
   }
 }
 
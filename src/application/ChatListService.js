@@ -0,0 +1,214 @@
+/**
+ * 💬 ChatListService.js
+ * ------------------------------------------------------
+ * ✔ "Mis chats": ajustes + no leídos (UserActivity.chats)
+ * ✔ Perfil del otro participante / datos del grupo
+ * ✔ Último mensaje (ventana caliente Redis → Mongo) como preview
+ * ✔ Presencia (UserActivity) y "escribiendo" (chat:<room>:typing:<userId>)
+ * ✔ Paginación por lastMessageAt (?before=<ISO>)
+ */
+
+import mongoose from "mongoose";
+import Message from "../domain/Message.js";
+import Conversation from "../domain/Conversation.js";
+import { User } from "../domain/User.js";
+import { UserActivity } from "../domain/UserActivity.js";
+import { ChatService } from "./ChatService.js";
+import { ChatSettingsService } from "./ChatSettingsService.js";
+import { getRedis } from "../infrastructure/RedisProvider.js";
+
+const TYPING_TTL_SECONDS = 10;
+const TYPING_MAX_MEMBERS = 50; // grupos grandes: no se consulta typing
+
+const typingKey = (room, userId) => `chat:${room}:typing:${userId}`;
+
+export class ChatListService {
+  /* =====================================================
+     ⌨️ Registrar "escribiendo" (TTL corto, sin tocar Mongo)
+  ====================================================== */
+  static async noteTyping(room, userId, isTyping = true) {
+    try {
+      const redis = await getRedis();
+      if (!redis) return;
+      if (isTyping) await redis.set(typingKey(room, userId), "1", "EX", TYPING_TTL_SECONDS);
+      else await redis.del(typingKey(room, userId));
+    } catch (err) {
+      console.warn("⚠️ Redis typing:", err.message);
+    }
+  }
+
+  /* =====================================================
+     📋 Mis chats
+     options: { archived, limit, before, deviceId }
+  ====================================================== */
+  static async listChats(userId, { archived = null, limit, before = null, deviceId = null } = {}) {
+    const me = String(userId);
+    const { conversations, pageInfo } = await ChatSettingsService.listConversations(me, {
+      archived,
+      limit,
+      before,
+    });
+    if (!conversations.length) return { chats: [], pageInfo };
+
+    const rooms = conversations.map((c) => c.room);
+    const groupIds = conversations.filter((c) => c.conversationId).map((c) => c.conversationId);
+    const otherIds = [...new Set(conversations.map((c) => c.otherUserId).filter(Boolean))];
+
+    const [groups, users, activities, lastByRoom] = await Promise.all([
+      groupIds.length
+        ? Conversation.find({ _id: { $in: groupIds } }).select("title avatar members").lean()
+        : [],
+      otherIds.filter((id) => mongoose.isValidObjectId(id)).length
+        ? User.find({ _id: { $in: otherIds.filter((id) => mongoose.isValidObjectId(id)) } })
+            .select("username firstName lastName profilePhoto avatarUrl")
+            .lean()
+        : [],
+      otherIds.length
+        ? UserActivity.find({ userId: { $in: otherIds.filter((id) => mongoose.isValidObjectId(id)) } })
+            .select("userId status isConnected lastSeen")
+            .lean()
+        : [],
+      ChatListService._lastMessages(rooms),
+    ]);
+
+    const groupById = new Map(groups.map((g) => [String(g._id), g]));
+    const userById = new Map(users.map((u) => [String(u._id), u]));
+    const activityById = new Map(activities.map((a) => [String(a.userId), a]));
+
+    const typingByRoom = await ChatListService._typingUsers(
+      conversations.map((c) => ({
+        room: c.room,
+        userIds: c.conversationId
+          ? (groupById.get(c.conversationId)?.members || []).filter((id) => id !== me)
+          : [c.otherUserId].filter(Boolean),
+      }))
+    );
+
+    // listConversations ya excluye grupos eliminados o abandonados (antes de paginar)
+    const chats = conversations
+      .map((c) => {
+        const last = lastByRoom.get(c.room) || null;
+        const group = c.conversationId ? groupById.get(c.conversationId) : null;
+        const other = c.otherUserId ? userById.get(c.otherUserId) : null;
+        const activity = c.otherUserId ? activityById.get(c.otherUserId) : null;
+
+        return {
+          ...c,
+          title: group
+            ? group.title
+            : other
+            ? `${other.firstName || ""} ${other.lastName || ""}`.trim() || other.username
+            : null,
+          avatar: group ? group.avatar : other?.avatarUrl || other?.profilePhoto || null,
+          group: group
+            ? { id: String(group._id), title: group.title, avatar: group.avatar, membersCount: group.members.length }
+            : null,
+          otherUser: other
+            ? {
+                id: String(other._id),
+                username: other.username,
+                firstName: other.firstName,
+                lastName: other.lastName,
+                profilePhoto: other.profilePhoto,
+                avatarUrl: other.avatarUrl || null,
+              }
+            : null,
+          presence: c.otherUserId
+            ? {
+                status: activity?.status || "offline",
+                isOnline: Boolean(activity?.isConnected && activity?.status !== "offline"),
+                lastSeen: activity?.lastSeen || null,
+              }
+            : null,
+          typing: typingByRoom.get(c.room) || [],
+          lastMessage: last ? ChatListService._preview(last, me, deviceId) : null,
+        };
+      });
+
+    return { chats, pageInfo };
+  }
+
+  /* Último mensaje de cada room: Redis (LINDEX -1) y Mongo para los que falten
+     (uno vencido por retención en Redis → se busca el último vigente en Mongo) */
+  static async _lastMessages(rooms = []) {
+    const byRoom = new Map();
+    const now = new Date();
+
+    try {
+      const redis = await getRedis();
+      if (redis) {
+        const pipe = redis.pipeline();
+        rooms.forEach((room) => pipe.lindex(`chat:${room}:messages`, -1));
+        const results = await pipe.exec();
+
+        results.forEach(([err, raw], i) => {
+          if (err || !raw) return;
+          try {
+            const row = JSON.parse(raw);
+            if (!ChatService._isExpired(row, now)) byRoom.set(rooms[i], row);
+          } catch {}
+        });
+      }
+    } catch (err) {
+      console.warn("⚠️ Redis last message:", err.message);
+    }
+
+    const missing = rooms.filter((room) => !byRoom.has(room));
+    if (missing.length) {
+      const rows = await Message.aggregate([
+        { $match: { room: { $in: missing }, ...ChatService._notExpired(now) } },
+        { $sort: { room: 1, timestamp: -1 } },
+        { $group: { _id: "$room", doc: { $first: "$$ROOT" } } },
+      ]);
+      rows.forEach((r) => byRoom.set(r._id, r.doc));
+    }
+
+    return byRoom;
+  }
+
+  /* Preview del último mensaje para el lector (sus sobres E2EE) */
+  static _preview(row, viewerId, deviceId = null) {
+    const preview = ChatService._buildPreview(row);
+    if (!preview || preview.deleted) return preview;
+
+    const envelopes = ChatService._forViewer(row, viewerId, deviceId).envelopes;
+
+    return {
+      ...preview,
+      system: row.system || null,
+      ...(envelopes?.length ? { envelopes } : {}),
+    };
+  }
+
+  /* userIds escribiendo por room (EXISTS en pipeline) */
+  static async _typingUsers(entries = []) {
+    const byRoom = new Map();
+
+    try {
+      const redis = await getRedis();
+      if (!redis) return byRoom;
+
+      const checks = entries.flatMap(({ room, userIds }) =>
+        userIds.length > TYPING_MAX_MEMBERS ? [] : userIds.map((userId) => ({ room, userId }))
+      );
+      if (!checks.length) return byRoom;
+
+      const pipe = redis.pipeline();
+      checks.forEach(({ room, userId }) => pipe.exists(typingKey(room, userId)));
+      const results = await pipe.exec();
+
+      results.forEach(([err, exists], i) => {
+        if (err || !exists) return;
+        const { room, userId } = checks[i];
+        if (!byRoom.has(room)) byRoom.set(room, []);
+        byRoom.get(room).push(userId);
+      });
+    } catch (err) {
+      console.warn("⚠️ Redis typing:", err.message);
+    }
+
+    return byRoom;
+  }
+}
+
+export default ChatListService;
@@ -0,0 +1,203 @@
+// src/application/ChatMediaService.js
+// =======================================================
+// 📎 ChatMediaService — adjuntos del chat (LOCAL / R2)
+// -------------------------------------------------------
+// - Guarda en uploads/chat/<room>/ con el driver activo (putUploadFile)
+// - Thumbnail JPG (ffmpeg) para imágenes y videos → thumbnailUrl
+// - Duración de video/audio con probeVideoMetadata
+// - /uploads/chat/* solo lo ven los participantes de un room
+//   que tenga un mensaje con ese archivo (incluye reenvíos)
+// =======================================================
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import crypto from "crypto";
+import mongoose from "mongoose";
+import ffmpeg from "../video/ffmpegClient.js";
+import Message from "../domain/Message.js";
+import Conversation from "../domain/Conversation.js";
+import { probeVideoMetadata } from "./VideoProcessingService.js";
+import { putUploadFile, removeUploadFile } from "../infrastructure/uploadMiddleware.js";
+
+export const CHAT_MEDIA_PREFIX = "chat";
+
+const THUMB_WIDTH = Number(process.env.CHAT_THUMB_WIDTH || 320);
+
+/* ======================================================
+   Helpers internos
+   ====================================================== */
+
+function safeUnlink(p) {
+  if (p) fs.promises.unlink(p).catch(() => {});
+}
+
+function mediaTypeOf(mime = "") {
+  if (mime.startsWith("image/")) return "image";
+  if (mime.startsWith("video/")) return "video";
+  if (mime.startsWith("audio/")) return "audio";
+  return "file";
+}
+
+function extensionOf(file) {
+  const ext = path.extname(file?.originalname || file?.filename || file?.path || "").toLowerCase();
+  return ext && ext.length <= 8 && /^[.\w-]+$/.test(ext) ? ext : ".bin";
+}
+
+// rooms 1:1 "a_b" o ObjectId de grupo → segmento de ruta seguro
+function roomFolder(room) {
+  return String(room).replace(/[^A-Za-z0-9_-]/g, "");
+}
+
+/**
+ * Genera un JPG de THUMB_WIDTH px de ancho (frame 1s en video).
+ * Nunca lanza: sin thumbnail el adjunto sigue siendo válido.
+ */
+function createThumbnail(inputPath, type) {
+  const outputPath = path.join(os.tmpdir(), `qcx_thumb_${crypto.randomUUID()}.jpg`);
+
+  return new Promise((resolve) => {
+    const cmd = ffmpeg(inputPath);
+    if (type === "video") cmd.seekInput(1);
+
+    cmd
+      .outputOptions([
+        "-frames:v 1",
+        `-vf scale='min(${THUMB_WIDTH},iw)':-2`,
+        "-q:v 4",
+      ])
+      .output(outputPath)
+      .on("end", () => resolve(fs.existsSync(outputPath) ? outputPath : null))
+      .on("error", (err) => {
+        // videos de menos de 1s: reintento con el primer frame
+        if (type === "video") {
+          ffmpeg(inputPath)
+            .outputOptions(["-frames:v 1", `-vf scale='min(${THUMB_WIDTH},iw)':-2`, "-q:v 4"])
+            .output(outputPath)
+            .on("end", () => resolve(fs.existsSync(outputPath) ? outputPath : null))
+            .on("error", () => resolve(null))
+            .run();
+          return;
+        }
+        console.warn("[ChatMediaService] thumbnail error:", err?.message || err);
+        resolve(null);
+      })
+      .run();
+  });
+}
+
+/* ======================================================
+   API pública
+   ====================================================== */
+
+/**
+ * Guarda un adjunto del chat en el almacenamiento activo.
+ *
+ * @param {Object} opts
+ * @param {Object} opts.file - archivo de multer ({ path } de processingUpload o { buffer })
+ * @param {string} opts.room - room del mensaje
+ * @param {string} [opts.mime] - forzar mime (p.ej. nota de voz ya transcodificada)
+ * @returns {Promise<{type: string, mediaUrl: string, mediaSize: number, mediaMime: string, thumbnailUrl: string|null, mediaDuration: number|null}>}
+ */
+export async function storeChatAttachment({ file, room, mime = null }) {
+  if (!file) throw new Error("Archivo requerido");
+
+  const mediaMime = mime || file.mimetype || "application/octet-stream";
+  const type = mediaTypeOf(mediaMime);
+
+  // memoryStorage → temporal local (ffmpeg necesita un archivo)
+  let localPath = file.path || null;
+  if (!localPath) {
+    if (!file.buffer?.length) throw new Error("Archivo vacío");
+    localPath = path.join(os.tmpdir(), `qcx_${crypto.randomUUID()}${extensionOf(file)}`);
+    await fs.promises.writeFile(localPath, file.buffer);
+  }
+
+  const folder = `${CHAT_MEDIA_PREFIX}/${roomFolder(room)}`;
+  const baseName = `${Date.now()}_${crypto.randomBytes(12).toString("hex")}`;
+  let thumbPath = null;
+
+  try {
+    const { size } = await fs.promises.stat(localPath);
+
+    let mediaDuration = null;
+    if (type === "video" || type === "audio") {
+      const meta = await probeVideoMetadata(localPath);
+      mediaDuration = meta.durationSec ? Math.round(meta.durationSec * 100) / 100 : null;
+    }
+
+    if (type === "image" || type === "video") {
+      thumbPath = await createThumbnail(localPath, type);
+    }
+
+    const mediaUrl = await putUploadFile(
+      localPath,
+      `${folder}/${baseName}${extensionOf(file)}`,
+      mediaMime
+    );
+
+    let thumbnailUrl = null;
+    if (thumbPath) {
+      try {
+        thumbnailUrl = await putUploadFile(thumbPath, `${folder}/${baseName}_thumb.jpg`, "image/jpeg");
+      } catch (err) {
+        console.warn("[ChatMediaService] no se pudo guardar thumbnail:", err?.message || err);
+      }
+    }
+
+    return { type, mediaUrl, mediaSize: size, mediaMime, thumbnailUrl, mediaDuration };
+  } finally {
+    // putUploadFile ya movió los archivos; esto limpia si algo falló antes
+    safeUnlink(localPath);
+    safeUnlink(thumbPath);
+  }
+}
+
+/**
+ * Borra del almacenamiento los archivos de un adjunto (rollback de envío).
+ */
+export async function removeChatAttachment({ mediaUrl = null, thumbnailUrl = null } = {}) {
+  for (const url of [mediaUrl, thumbnailUrl]) {
+    if (!url) continue;
+    await removeUploadFile(url).catch((err) =>
+      console.warn("[ChatMediaService] no se pudo borrar adjunto:", url, err?.message)
+    );
+  }
+}
+
+/**
+ * ¿Es una ruta de media privada del chat? ("chat/..." relativo a uploads)
+ */
+export function isChatMediaPath(relPath) {
+  return String(relPath || "").replace(/^\/+/, "").startsWith(`${CHAT_MEDIA_PREFIX}/`);
+}
+
+/**
+ * El usuario puede ver el archivo si participa en algún room con un
+ * mensaje (no eliminado) que lo referencia.
+ *
+ * @param {string} userId
+ * @param {string} relPath - "chat/<room>/<archivo>"
+ * @returns {Promise<boolean>}
+ */
+export async function canAccessChatMedia(userId, relPath) {
+  if (!userId || !isChatMediaPath(relPath)) return false;
+
+  const url = `/uploads/${String(relPath).replace(/^\/+/, "")}`;
+  const rooms = await Message.distinct("room", {
+    deleted: { $ne: true },
+    $or: [{ mediaUrl: url }, { thumbnailUrl: url }],
+  });
+
+  const me = String(userId);
+
+  if (rooms.some((room) => !mongoose.isValidObjectId(room) && String(room).split("_").includes(me)))
+    return true;
+
+  const groupIds = rooms.filter((room) => mongoose.isValidObjectId(room));
+  if (!groupIds.length) return false;
+
+  return Boolean(await Conversation.exists({ _id: { $in: groupIds }, members: me }));
+}
+
+export default { storeChatAttachment, removeChatAttachment, isChatMediaPath, canAccessChatMedia };
@@ -6,15 +6,32 @@
  * ✔ Fix multimedia con multer.diskStorage
  * ✔ Fix markAsRead sync WS + Redis
  * ✔ Soft delete + restore 100% consistente
- * ✔ AES encrypt/decrypt
- * ✔ ChatKey soportado
+ * ✔ E2EE: sobres cifrados por dispositivo (el servidor no lee el contenido)
+ * ✔ Legacy AES: solo lectura con chatKey del cliente (la clave no se guarda)
  * ✔ Optimizado para 1GB archivos (configurable)
+ * ✔ Grupos: room = conversationId, fan-out a todos los miembros
+ * ✔ Historial paginado por cursor (Mongo) + ventana caliente Redis
+ * ✔ Receipts por destinatario (deliveredAt / readAt) + leído-hasta
+ * ✔ Edición con historial de revisiones (E2EE → nuevos sobres)
+ * ✔ Respuestas / citas (replyTo + preview) y reenvío (forwardedFrom)
+ * ✔ Reacciones emoji (add / remove / toggle + resumen por emoji)
+ * ✔ Búsqueda full-text (índice de texto) con filtros y resaltado
+ * ✔ Mensajes temporales: expiresAt según la RetentionPolicy del room
+ * ✔ Notas de voz: transcode único + duración + waveform
+ * ✔ Adjuntos vía uploadMiddleware (LOCAL / R2) con thumbnail, solo para participantes
+ * ✔ Fijados por chat (message_pinned / message_unpinned) + destacados privados
+ * ✔ Notificaciones según ajustes del chat (silencio / nivel)
  */
 
-import fs from "fs";
-import path from "path";
+import mongoose from "mongoose";
 import CryptoJS from "crypto-js";
 import Message from "../domain/Message.js";
+import Conversation from "../domain/Conversation.js";
+import RetentionPolicy from "../domain/RetentionPolicy.js";
+import StarredMessage from "../domain/StarredMessage.js";
+import { validateEnvelopes } from "./DeviceKeyService.js";
+import { processVoiceNote } from "./VoiceNoteService.js";
+import { storeChatAttachment, removeChatAttachment } from "./ChatMediaService.js";
 
 import {
   getRedis,
@@ -24,19 +41,61 @@ import {
 
 import { UserActivityService } from "./UserActivityService.js";
 import { UserActivity } from "../domain/UserActivity.js";
+import { User } from "../domain/User.js";
+import { ChatSettingsService } from "./ChatSettingsService.js";
+
+const HISTORY_PAGE_SIZE = Number(process.env.CHAT_HISTORY_PAGE_SIZE || 50);
+const HISTORY_PAGE_MAX = 200;
+const MAX_EDIT_REVISIONS = 50;
+const PREVIEW_TEXT_LENGTH = 120;
+const MAX_QUOTE_LENGTH = 500;
+const MAX_REACTIONS_PER_USER = 10;
+const EMOJI_RE = /\p{Extended_Pictographic}|\p{Regional_Indicator}/u;
+const SEARCH_PAGE_SIZE = 20;
+const SEARCH_PAGE_MAX = 100;
+const SNIPPET_LENGTH = 160;
+const MESSAGE_TYPES = ["text", "image", "video", "audio", "file"];
+const MAX_PINNED_PER_ROOM = Number(process.env.CHAT_MAX_PINNED || 20);
+const STARRED_PAGE_SIZE = 50;
+const STARRED_PAGE_MAX = 200;
+const REDIS_PATCH_RETRIES = 3;
+
+// Reemplazo atómico por valor: ARGV = [viejo1, nuevo1, viejo2, nuevo2, ...]
+// Por valor y no por índice: un rpush + ltrim concurrente no desplaza el destino.
+// Devuelve cuántos "viejos" seguían en la lista
+const PATCH_ROWS_LUA = `
+local list = redis.call("LRANGE", KEYS[1], 0, -1)
+local wanted = {}
+for i = 1, #ARGV, 2 do wanted[ARGV[i]] = ARGV[i + 1] end
+local found = {}
+local count = 0
+for i, raw in ipairs(list) do
+  local nextRaw = wanted[raw]
+  if nextRaw then
+    redis.call("LSET", KEYS[1], i - 1, nextRaw)
+    if not found[raw] then
+      found[raw] = true
+      count = count + 1
+    end
+  end
+end
+return count
+`;
+
+// minúsculas + sin tildes, misma longitud (los offsets siguen valiendo)
+const foldText = (t = "") =>
+  [...String(t)]
+    .map((c) => {
+      const f = c.normalize("NFD").replace(/\p{M}/gu, "").toLowerCase();
+      return f.length === c.length ? f : c;
+    })
+    .join("");
 
 /* =====================================================
-   🔐 CIFRADO AES
+   🔐 AES LEGACY (solo lectura de mensajes antiguos)
+   Los mensajes nuevos o van en claro o como sobres E2EE:
+   el servidor ya no cifra ni guarda claves.
 ====================================================== */
-export function encryptMessage(text, key) {
-  if (!key || !text) return text;
-  try {
-    return CryptoJS.AES.encrypt(text, key).toString();
-  } catch {
-    return text;
-  }
-}
-
 export function decryptMessage(ciphertext, key) {
   if (!key || !ciphertext) return ciphertext;
   try {
@@ -53,51 +112,138 @@ export function decryptMessage(ciphertext, key) {
 export class ChatService {
   /**
    * 📤 Enviar mensaje (texto o multimedia)
+   * - 1:1 → `to`
+   * - grupo → `conversationId` (el emisor debe ser miembro)
+   * - replyTo: _id de un mensaje del mismo room (+ quotedText opcional)
+   * - forwardFrom: _id de un mensaje de un room al que `from` tiene acceso
+   * - envelopes: sobres E2EE por dispositivo (text se ignora)
+   * - voiceNote: mediaFile es una nota de voz (transcode + duración + waveform)
+   * - mentions: ids de miembros mencionados (en claro: en E2EE el servidor no ve el @)
+   * wsEmit(event, payload, recipients) → cada usuario recibe solo sus sobres
    */
   static async sendMessage({
     from,
-    to,
+    to = null,
+    conversationId = null,
     text = "",
     mediaFile = null,
     mediaType = null,
-    chatKey = null,
+    voiceNote = false,
+    envelopes = null,
+    senderDeviceId = null,
+    replyTo = null,
+    quotedText = null,
+    forwardFrom = null,
+    mentions = null,
     wsEmit = null,
   }) {
-    try {
-      const room = [from, to].sort().join("_");
-
-      let mediaUrl = null;
-      let mediaSize = 0;
-      let mediaMime = null;
-
-      /* ========================================================
-         📁 Guardar MULTIMEDIA en filesystem
-      ======================================================== */
-      let type = "text";
+    let conversation = null;
+    const e2ee = Array.isArray(envelopes) && envelopes.length > 0;
+
+    if (conversationId) {
+      conversation = await Conversation.findById(conversationId).catch(() => null);
+      if (!conversation) throw new Error("Conversación no encontrada");
+      if (!conversation.isMember(from)) throw new Error("No autorizado");
+    } else if (!to) {
+      throw new Error("Destinatario requerido");
+    }
 
-      if (mediaFile) {
-        mediaMime = mediaFile.mimetype;
-        mediaSize = mediaFile.size || 0;
+    const room = conversation
+      ? String(conversation._id)
+      : [from, to].sort().join("_");
+
+    /* ↩️ Respuesta: el mensaje citado debe ser del mismo room */
+    let replyRef = null;
+    if (replyTo) {
+      replyRef = mongoose.isValidObjectId(replyTo)
+        ? await Message.findOne({ _id: replyTo, room }).lean()
+        : null;
+      if (!replyRef) throw new Error("Mensaje a responder no encontrado");
+    }
 
-        if (mediaMime.startsWith("video")) type = "video";
-        else if (mediaMime.startsWith("audio")) type = "audio";
-        else type = "image";
+    /* ⏩ Reenvío: `from` debe haber tenido acceso al room original */
+    let forwardSource = null;
+    if (forwardFrom) {
+      forwardSource = mongoose.isValidObjectId(forwardFrom)
+        ? await Message.findById(forwardFrom).lean()
+        : null;
+      if (!forwardSource || forwardSource.deleted)
+        throw new Error("Mensaje a reenviar no encontrado");
+
+      const { members } = await ChatService._getMessageParticipants(forwardSource);
+      if (!members.includes(String(from))) throw new Error("No autorizado");
+
+      // el servidor no puede leer el original → el cliente debe re-cifrarlo
+      if (ChatService._encryptionOf(forwardSource) !== "none" && !e2ee)
+        throw new Error("El mensaje cifrado debe re-cifrarse en el cliente para reenviarlo");
+    }
 
-        const userDir = path.resolve(`./uploads/${from}`);
-        if (!fs.existsSync(userDir)) fs.mkdirSync(userDir, { recursive: true });
+    const recipients = conversation
+      ? [...conversation.members]
+      : [String(from), String(to)];
+
+    /* 🔔 Menciones por id: solo miembros del grupo (el emisor no cuenta) */
+    const mentioned = conversation
+      ? [...new Set([].concat(mentions ?? []).map(String))].filter(
+          (id) => id !== String(from) && recipients.includes(id)
+        )
+      : [];
+
+    /* 🔐 E2EE: un sobre por cada dispositivo registrado de los participantes */
+    const sealed = e2ee
+      ? await validateEnvelopes(envelopes, {
+          participants: recipients,
+          senderId: from,
+          senderDeviceId,
+        })
+      : [];
+
+    /* 🎤 Nota de voz: se procesa tras validar permisos (errores legibles) */
+    const voice = voiceNote && mediaFile && !forwardFrom
+      ? await processVoiceNote({ file: mediaFile })
+      : null;
+
+    let stored = null;
+    try {
+      const policy = await RetentionPolicy.findOne({ room }).select("ttlSeconds").lean();
+      const now = new Date();
 
-        const filename = mediaFile.filename; // multer.diskStorage LO HACE
-        const filePath = path.join(userDir, filename);
+      /* ========================================================
+         📁 Adjunto → almacenamiento activo (LOCAL / R2) + thumbnail
+      ======================================================== */
+      if (voice) {
+        stored = await storeChatAttachment({
+          file: { path: voice.absolutePath },
+          room,
+          mime: voice.mediaMime,
+        });
+      } else if (mediaFile && !forwardSource) {
+        stored = await storeChatAttachment({ file: mediaFile, room });
+      }
 
-        // multer ya guardó el archivo, no necesitamos escribirlo
-        mediaUrl = `/uploads/${from}/${filename}`;
+      let type = stored?.type || "text";
+      let mediaUrl = stored?.mediaUrl || null;
+      let mediaSize = stored?.mediaSize || 0;
+      let mediaMime = stored?.mediaMime || null;
+      let thumbnailUrl = stored?.thumbnailUrl || null;
+      let mediaDuration = voice?.durationSec ?? stored?.mediaDuration ?? null;
+
+      /* ⏩ Reenvío: se copia contenido y media del original */
+      if (forwardSource) {
+        type = forwardSource.type;
+        mediaUrl = forwardSource.mediaUrl;
+        mediaSize = forwardSource.mediaSize;
+        mediaMime = forwardSource.mediaMime;
+        thumbnailUrl = forwardSource.thumbnailUrl;
+        mediaDuration = forwardSource.mediaDuration ?? null;
+        if (!e2ee) text = forwardSource.text;
       }
 
-      /* ========================================================
-         🔐 Cifrar texto
-      ======================================================== */
-      const encryptedText =
-        type === "text" && chatKey ? encryptMessage(text, chatKey) : text;
+      const voiceFields = voice
+        ? { voiceNote: true, waveform: voice.waveform }
+        : forwardSource?.voiceNote
+        ? { voiceNote: true, waveform: forwardSource.waveform }
+        : {};
 
       /* ========================================================
          📝 Crear modelo
@@ -105,16 +251,39 @@ export class ChatService {
       const msg = await Message.create({
         room,
         from,
-        to,
-        text: encryptedText,
+        to: conversation ? null : to,
+        conversationId: conversation ? room : null,
+        text: e2ee ? "" : text,
         type,
         mediaUrl,
         mediaSize,
         mediaMime,
-        chatKey: chatKey || null,
+        thumbnailUrl,
+        mediaDuration,
+        ...voiceFields,
+        encryption: e2ee ? "e2ee" : "none",
+        senderDeviceId: e2ee && senderDeviceId ? String(senderDeviceId) : null,
+        envelopes: sealed,
+        replyTo: replyRef ? String(replyRef._id) : null,
+        // en E2EE la cita va dentro del ciphertext
+        quotedText: replyRef && quotedText && !e2ee
+          ? String(quotedText).slice(0, MAX_QUOTE_LENGTH)
+          : null,
+        forwardedFrom: forwardSource
+          ? {
+              messageId: String(forwardSource._id),
+              from: forwardSource.forwardedFrom?.from || forwardSource.from,
+            }
+          : null,
         deleted: false,
         read: false,
-        timestamp: new Date(),
+        receipts: recipients
+          .filter((id) => id !== String(from))
+          .map((userId) => ({ userId, deliveredAt: null, readAt: null })),
+        timestamp: now,
+        expiresAt: policy?.ttlSeconds
+          ? new Date(now.getTime() + policy.ttlSeconds * 1000)
+          : null,
       });
 
       /* ========================================================
@@ -124,60 +293,251 @@ export class ChatService {
 
       const fullMessage = {
         ...msg.toObject(),
-        decryptedText:
-          type === "text" && chatKey
-            ? decryptMessage(encryptedText, chatKey)
-            : text,
+        reactionSummary: [],
+        decryptedText: e2ee ? null : text,
+        replyPreview: replyRef ? ChatService._buildPreview(replyRef) : null,
       };
 
       /* ========================================================
          📡 Emitir WS (sender + receiver)
       ======================================================== */
-      if (wsEmit) wsEmit("NEW_MESSAGE", fullMessage);
+      ChatService._emitToViewers(wsEmit, "NEW_MESSAGE", fullMessage, recipients);
 
       /* ========================================================
-         📣 Actualizar UserActivity
+         📣 Actualizar UserActivity (todos menos el emisor)
       ======================================================== */
-      await ChatService._updateUserActivityOnMessage(from, to, room);
+      if (conversation) {
+        await Conversation.updateOne(
+          { _id: conversation._id },
+          { $set: { lastMessageAt: msg.timestamp } }
+        );
+      }
+
+      await ChatService._updateUserActivityOnMessage(
+        from,
+        recipients.filter((id) => id !== String(from)),
+        room,
+        {
+          groupTitle: conversation?.title || null,
+          text: e2ee ? "" : text,
+          mentions: mentioned,
+          at: msg.timestamp,
+        }
+      );
 
-      return fullMessage;
+      return ChatService._forViewer(fullMessage, from, senderDeviceId);
     } catch (err) {
+      if (stored) await removeChatAttachment(stored);
       console.error("❌ Error enviando mensaje:", err);
       throw new Error("Error enviando mensaje");
     }
   }
 
+  /* =====================================================
+     ⏩ Reenviar mensajes a otro chat (1:1 o grupo)
+     - Solo mensajes en claro: los cifrados se reenvían uno a uno
+       con sendMessage({ forwardFrom, envelopes }) re-cifrados en el cliente
+  ====================================================== */
+  static async forwardMessages({
+    from,
+    messageIds = [],
+    to = null,
+    conversationId = null,
+    wsEmit = null,
+  }) {
+    const ids = [...new Set([].concat(messageIds || []).map(String))];
+    if (!ids.length) throw new Error("Mensajes a reenviar requeridos");
+    if (ids.length > 20) throw new Error("Máximo 20 mensajes por reenvío");
+
+    const sent = [];
+    for (const messageId of ids) {
+      sent.push(
+        await ChatService.sendMessage({
+          from,
+          to,
+          conversationId,
+          forwardFrom: messageId,
+          wsEmit,
+        })
+      );
+    }
+    return sent;
+  }
+
+  /* =====================================================
+     🔐 Vista por usuario: solo sus sobres (y de su dispositivo si se indica)
+  ====================================================== */
+  static _forViewer(message, viewerId, deviceId = null) {
+    // las revisiones E2EE guardan sus propios sobres (editMessage)
+    const history = Array.isArray(message?.editHistory) ? message.editHistory : [];
+    const sealedHistory = history.some((rev) => rev?.envelopes?.length);
+    if (!message?.envelopes?.length && !sealedHistory) return message;
+
+    const mine = (list = []) =>
+      list.filter(
+        (e) =>
+          e.userId === String(viewerId) &&
+          (!deviceId || e.deviceId === String(deviceId))
+      );
+
+    const view = { ...message };
+    if (message.envelopes?.length) view.envelopes = mine(message.envelopes);
+    if (sealedHistory) {
+      view.editHistory = history.map((rev) =>
+        rev?.envelopes?.length ? { ...rev, envelopes: mine(rev.envelopes) } : rev
+      );
+    }
+    return view;
+  }
+
+  /* Emite un payload con sobres: cada destinatario recibe solo los suyos */
+  static _emitToViewers(wsEmit, event, payload, recipients = []) {
+    if (!wsEmit) return;
+    if (!payload?.envelopes?.length) return wsEmit(event, payload, recipients);
+
+    for (const userId of recipients) {
+      wsEmit(event, ChatService._forViewer(payload, userId), [userId]);
+    }
+  }
+
+  /* Modo de cifrado de un mensaje
+     Sin migrar (npm run migrate:chat-keys) el documento aún guarda chatKey y no
+     tiene encryption (o el default "none" de Mongoose): eso es legacy, no texto plano */
+  static _encryptionOf(m) {
+    if (!m) return "none";
+    const storedKey = typeof m.get === "function" ? m.get("chatKey") : m.chatKey;
+    if (storedKey) return "legacy";
+    return m.encryption || "none";
+  }
+
+  /* Texto legible por el servidor (null si E2EE o legacy sin chatKey) */
+  static _plainText(m, chatKey = null) {
+    const mode = ChatService._encryptionOf(m);
+    if (mode === "e2ee") return null;
+    if (mode === "legacy")
+      return m.type === "text" && chatKey ? decryptMessage(m.text, chatKey) : null;
+    return m.text;
+  }
+
+  /* =====================================================
+     🔎 Preview compacto de un mensaje referenciado
+  ====================================================== */
+  static _buildPreview(ref, chatKey = null) {
+    if (!ref) return null;
+
+    if (ref.deleted) {
+      return { messageId: String(ref._id), from: ref.from, deleted: true };
+    }
+
+    const plain = ChatService._plainText(ref, chatKey);
+
+    return {
+      messageId: String(ref._id),
+      from: ref.from,
+      type: ref.type,
+      text: plain ? String(plain).slice(0, PREVIEW_TEXT_LENGTH) : null,
+      thumbnailUrl: ref.thumbnailUrl || null,
+      mediaMime: ref.mediaMime || null,
+      mediaDuration: ref.mediaDuration ?? null,
+      timestamp: ref.timestamp,
+      encrypted: ref.encryption === "e2ee",
+      deleted: false,
+    };
+  }
+
+  /* Adjunta replyPreview a una página (una sola query) */
+  static async _attachReplyPreviews(room, messages = [], chatKey = null) {
+    const ids = [
+      ...new Set(messages.map((m) => m.replyTo).filter((id) => mongoose.isValidObjectId(id))),
+    ];
+    if (!ids.length) return messages;
+
+    const refs = await Message.find({ _id: { $in: ids }, room, ...ChatService._notExpired() })
+      .select("from type text mediaMime thumbnailUrl encryption chatKey deleted timestamp")
+      .lean();
+    const byId = new Map(refs.map((r) => [String(r._id), r]));
+
+    return messages.map((m) =>
+      m.replyTo
+        ? { ...m, replyPreview: ChatService._buildPreview(byId.get(String(m.replyTo)), chatKey) }
+        : m
+    );
+  }
+
   /* =====================================================
      🟩 UserActivity Sync
+     - unreadCount siempre; la notificación respeta silencio / nivel
+     - el emisor solo actualiza lastMessageAt (orden de su lista)
   ====================================================== */
-  static async _updateUserActivityOnMessage(from, to, room) {
+  static async _updateUserActivityOnMessage(
+    from,
+    to,
+    room,
+    { groupTitle = null, text = "", mentions = [], at = new Date() } = {}
+  ) {
     try {
-      let activity = await UserActivity.findOne({ userId: to });
+      const recipients = Array.isArray(to) ? to : [to];
 
-      if (!activity) {
-        activity = new UserActivity({ userId: to, notifications: [], chats: [] });
+      const senderTouch = await UserActivity.updateOne(
+        { userId: from, "chats.chatId": room },
+        { $set: { "chats.$.lastMessageAt": at } }
+      );
+      if (!senderTouch.matchedCount) {
+        await UserActivity.updateOne(
+          { userId: from },
+          { $push: { chats: { chatId: room, unreadCount: 0, lastMessageAt: at } } }
+        );
       }
 
-      const idx = activity.chats.findIndex((c) => c.chatId === room);
+      for (const userId of recipients) {
+        let activity = await UserActivity.findOne({ userId });
 
-      if (idx >= 0) {
-        activity.chats[idx].unreadCount++;
-        activity.chats[idx].lastMessageAt = new Date();
-      } else {
-        activity.chats.push({
-          chatId: room,
-          unreadCount: 1,
-          lastMessageAt: new Date(),
-        });
-      }
+        if (!activity) {
+          activity = new UserActivity({ userId, notifications: [], chats: [] });
+        }
 
-      await activity.save();
+        let chat = activity.chats.find((c) => c.chatId === room);
+
+        if (chat) {
+          chat.unreadCount++;
+          chat.lastMessageAt = at;
+        } else {
+          activity.chats.push({
+            chatId: room,
+            unreadCount: 1,
+            lastMessageAt: at,
+          });
+          chat = activity.chats[activity.chats.length - 1];
+        }
 
-      await UserActivityService.addNotification(
-        to,
-        "chat",
-        `Nuevo mensaje de ${from}`
-      );
+        await activity.save();
+
+        const level = chat.notificationLevel || "all";
+        const mentioned = mentions.includes(String(userId));
+        const username =
+          level === "mentions" && groupTitle && !mentioned && text
+            ? (await User.findById(userId).select("username").lean().catch(() => null))?.username
+            : null;
+
+        if (
+          !ChatSettingsService.shouldNotify(chat, {
+            isGroup: Boolean(groupTitle),
+            text,
+            username,
+            mentioned,
+          })
+        )
+          continue;
+
+        await UserActivityService.addNotification(
+          userId,
+          "chat",
+          groupTitle
+            ? `Nuevo mensaje de ${from} en ${groupTitle}`
+            : `Nuevo mensaje de ${from}`,
+          { chatId: room }
+        );
+      }
 
       await UserActivityService.updateUserStatus(from, "online");
     } catch (err) {
@@ -186,81 +546,438 @@ export class ChatService {
   }
 
   /* =====================================================
-     📜 Obtener historial
+     📜 Obtener historial (última página, array plano)
   ====================================================== */
   static async getHistory(userA, userB, limit = 200, chatKey = null, includeDeleted = false) {
-    try {
-      const room = [userA, userB].sort().join("_");
+    const page = await ChatService.getHistoryPage(userA, userB, {
+      limit,
+      chatKey,
+      includeDeleted,
+    });
+    return page.messages;
+  }
+
+  /* =====================================================
+     📜 Historial 1:1 paginado por cursor (before / after)
+  ====================================================== */
+  static async getHistoryPage(userA, userB, options = {}) {
+    const room = [userA, userB].sort().join("_");
+    return ChatService._getRoomPage(room, { ...options, viewerId: userA });
+  }
 
-      let messages = await getHistoryFromRedis(room);
+  /* =====================================================
+     👥 Historial de grupo paginado (solo miembros)
+  ====================================================== */
+  static async getConversationHistory(conversationId, userId, options = {}) {
+    const conversation = await Conversation.findById(conversationId).catch(() => null);
+    if (!conversation) throw new Error("Conversación no encontrada");
+    if (!conversation.isMember(userId)) throw new Error("No autorizado");
 
-      /* Si Redis está vacío → cargar de Mongo */
-      if (!messages?.length) {
-        const query = includeDeleted ? { room } : { room, deleted: false };
+    return ChatService._getRoomPage(String(conversation._id), { ...options, viewerId: userId });
+  }
 
-        const history = await Message.find(query)
-          .sort({ timestamp: -1 })
-          .limit(limit)
-          .lean();
+  /* =====================================================
+     📑 Paginación por cursor
+     - Mongo es la fuente de verdad (índice { room, timestamp })
+     - Redis solo se usa si la ventana caliente cubre la página
+     - Cursor = _id de mensaje (o fecha ISO); orden (timestamp, _id)
+     - viewerId / deviceId → solo se devuelven los sobres E2EE del lector
+  ====================================================== */
+  static async _getRoomPage(
+    room,
+    {
+      limit = HISTORY_PAGE_SIZE,
+      before = null,
+      after = null,
+      chatKey = null,
+      includeDeleted = false,
+      viewerId = null,
+      deviceId = null,
+    } = {}
+  ) {
+    const size = Math.min(Math.max(Number(limit) || HISTORY_PAGE_SIZE, 1), HISTORY_PAGE_MAX);
+    const direction = after && !before ? "after" : "before";
+
+    const withText = (m) => ChatService._viewRow(m, { chatKey, viewerId, deviceId });
+
+    const buildPage = async (messages, hasMore, source) => ({
+      messages: (await ChatService._attachReplyPreviews(room, messages, chatKey)).map(withText),
+      pageInfo: {
+        hasMore,
+        direction,
+        before: messages.length ? String(messages[0]._id) : null,
+        after: messages.length ? String(messages[messages.length - 1]._id) : null,
+        limit: size,
+        source,
+      },
+    });
 
-        messages = history.reverse();
-      }
+    try {
+      const cursor = await ChatService._resolveCursor(room, before || after);
+      if ((before || after) && !cursor) throw new Error("Cursor inválido");
 
+      /* 🔥 Ventana caliente en Redis */
       if (!includeDeleted) {
-        messages = messages.filter((m) => !m.deleted);
+        const hot = await getHistoryFromRedis(room);
+        const page = ChatService._pageFromHotWindow(hot, { size, cursor, direction });
+        if (page) return await buildPage(page.messages, page.hasMore, "redis");
       }
 
-      return messages.slice(-limit).map((m) => ({
-        ...m,
-        decryptedText:
-          m.type === "text" && chatKey
-            ? decryptMessage(m.text, chatKey)
-            : m.text,
-      }));
+      /* 🗄 Mongo */
+      const query = includeDeleted
+        ? { room, ...ChatService._notExpired() }
+        : { room, deleted: false, ...ChatService._notExpired() };
+
+      if (cursor) {
+        const op = direction === "before" ? "$lt" : "$gt";
+        query.$or = cursor.id
+          ? [
+              { timestamp: { [op]: cursor.ts } },
+              { timestamp: cursor.ts, _id: { [op]: cursor.id } },
+            ]
+          : [{ timestamp: { [op]: cursor.ts } }];
+      }
+
+      const order = direction === "before" ? -1 : 1;
+      const rows = await Message.find(query)
+        .sort({ timestamp: order, _id: order })
+        .limit(size + 1)
+        .lean();
+
+      const hasMore = rows.length > size;
+      const pageRows = rows.slice(0, size);
+      if (direction === "before") pageRows.reverse();
+
+      return await buildPage(pageRows, hasMore, "mongo");
     } catch (err) {
+      if (err.message === "Cursor inválido") throw err;
       console.error("❌ Error cargando historial:", err);
-      return [];
+      return {
+        messages: [],
+        pageInfo: { hasMore: false, direction, before: null, after: null, limit: size, source: "error" },
+      };
+    }
+  }
+
+  /* ⏳ Vencidos por retención: ocultos hasta que el sweeper los borre */
+  static _notExpired(now = new Date()) {
+    return { expiresAt: { $not: { $lte: now } } };
+  }
+
+  static _isExpired(m, now = new Date()) {
+    return Boolean(m?.expiresAt) && new Date(m.expiresAt) <= now;
+  }
+
+  /* Fila de Mongo/Redis → vista del lector (texto, reacciones, sus sobres) */
+  static _viewRow(m, { chatKey = null, viewerId = null, deviceId = null } = {}) {
+    return ChatService._forViewer(
+      {
+        ...m,
+        decryptedText: ChatService._plainText(m, chatKey),
+        reactionSummary: ChatService.summarizeReactions(m.reactions),
+      },
+      viewerId,
+      deviceId
+    );
+  }
+
+  /* Cursor → { ts, id } (id de mensaje del room o fecha ISO) */
+  static async _resolveCursor(room, raw) {
+    if (!raw) return null;
+
+    if (mongoose.isValidObjectId(raw)) {
+      const ref = await Message.findOne({ _id: raw, room }).select("timestamp").lean();
+      return ref ? { ts: new Date(ref.timestamp), id: ref._id } : null;
+    }
+
+    const ts = new Date(raw);
+    return Number.isNaN(ts.getTime()) ? null : { ts, id: null };
+  }
+
+  /* Página desde Redis solo si la ventana demuestra cubrirla; si no → null */
+  static _pageFromHotWindow(hot = [], { size, cursor, direction }) {
+    if (!hot?.length) return null;
+
+    const cmp = (m) => {
+      const diff = new Date(m.timestamp) - cursor.ts;
+      if (diff !== 0 || !cursor.id) return diff;
+      const a = String(m._id);
+      const b = String(cursor.id);
+      return a < b ? -1 : a > b ? 1 : 0;
+    };
+
+    const now = new Date();
+    const visible = hot.filter(
+      (m) => m && typeof m === "object" && !m.deleted && !ChatService._isExpired(m, now)
+    );
+
+    // Última página: solo si Redis tiene más de una página visible
+    if (!cursor) {
+      if (visible.length <= size) return null;
+      return { messages: visible.slice(-size), hasMore: true };
     }
+
+    // Redis debe contener mensajes anteriores al cursor (ventana contigua)
+    if (cmp(hot[0]) >= 0) return null;
+
+    if (direction === "before") {
+      const older = visible.filter((m) => cmp(m) < 0);
+      if (older.length <= size) return null;
+      return { messages: older.slice(-size), hasMore: true };
+    }
+
+    // after: todo lo posterior al cursor vive en la cola de Redis
+    const newer = visible.filter((m) => cmp(m) > 0);
+    return { messages: newer.slice(0, size), hasMore: newer.length > size };
   }
 
   /* =====================================================
-     🟢 Marcar como leído
+     📬 Entregado (ack del socket receptor)
+     - Solo actualiza receipts del propio usuario
+     - Emite message_delivered al emisor (todos sus dispositivos)
   ====================================================== */
-  static async markAsRead(room, userId) {
+  static async markDelivered(messageIds, userId, wsEmit = null) {
     try {
-      await Message.updateMany(
-        { room, to: userId, read: false },
-        { $set: { read: true } }
+      const ids = [...new Set([].concat(messageIds || []).map(String))].filter((id) =>
+        mongoose.isValidObjectId(id)
       );
+      if (!ids.length) return [];
 
-      const redis = await getRedis();
+      const me = String(userId);
+      const pending = await Message.find({
+        _id: { $in: ids },
+        receipts: { $elemMatch: { userId: me, deliveredAt: null } },
+      })
+        .select("room from")
+        .lean();
 
-      if (redis) {
-        const list = await getHistoryFromRedis(room);
+      if (!pending.length) return [];
+
+      const deliveredAt = new Date();
+
+      await Message.updateMany(
+        { _id: { $in: pending.map((m) => m._id) } },
+        { $set: { "receipts.$[r].deliveredAt": deliveredAt } },
+        { arrayFilters: [{ "r.userId": me, "r.deliveredAt": null }] }
+      );
 
-        const updated = list.map((m) =>
-          m.to === userId ? { ...m, read: true } : m
+      // Agrupar por room + emisor → un evento por chat
+      const groups = new Map();
+      for (const m of pending) {
+        const k = `${m.room}|${m.from}`;
+        if (!groups.has(k)) groups.set(k, { room: m.room, from: m.from, messageIds: [] });
+        groups.get(k).messageIds.push(String(m._id));
+      }
+
+      const payloads = [];
+      for (const { room, from, messageIds: delivered } of groups.values()) {
+        await ChatService._patchRedisRows(
+          room,
+          (row) => delivered.includes(String(row._id)),
+          (row) => ChatService._setReceipt(row, me, "deliveredAt", deliveredAt)
         );
 
-        const key = `chat:${room}:messages`;
-        const pipe = redis.pipeline();
+        const payload = { room, messageIds: delivered, by: me, deliveredAt };
+        if (wsEmit) wsEmit("message_delivered", payload, [from]);
+        payloads.push(payload);
+      }
 
-        pipe.del(key);
-        updated.forEach((msg) => pipe.rpush(key, JSON.stringify(msg)));
+      return payloads;
+    } catch (err) {
+      console.error("❌ markDelivered:", err);
+      return [];
+    }
+  }
 
-        await pipe.exec();
+  /* =====================================================
+     🟢 Marcar como leído (todo o hasta un mensaje)
+     - upTo: _id del último mensaje visto (incluido)
+     - Emite messages_read a los participantes (ticks del
+       emisor + sync del resto de dispositivos del lector)
+  ====================================================== */
+  static async markAsRead(room, userId, { upTo = null, wsEmit = null } = {}) {
+    try {
+      const me = String(userId);
+      const participants = await ChatService._getRoomParticipants(room);
+      if (!participants.includes(me)) throw new Error("No autorizado");
+
+      let until = new Date();
+      if (upTo) {
+        const ref = mongoose.isValidObjectId(upTo)
+          ? await Message.findOne({ _id: upTo, room }).select("timestamp").lean()
+          : null;
+        if (!ref) throw new Error("Mensaje no encontrado");
+        until = new Date(ref.timestamp);
       }
 
-      // reset unreadCount
+      const readAt = new Date();
+      const inRange = { room, timestamp: { $lte: until } };
+
+      // legacy 1:1
+      await Message.updateMany(
+        { ...inRange, to: me, read: false },
+        { $set: { read: true } }
+      );
+
+      await Message.updateMany(
+        { ...inRange, receipts: { $elemMatch: { userId: me, readAt: null } } },
+        {
+          $set: {
+            "receipts.$[r].readAt": readAt,
+            "receipts.$[d].deliveredAt": readAt,
+          },
+        },
+        {
+          arrayFilters: [
+            { "r.userId": me, "r.readAt": null },
+            { "d.userId": me, "d.deliveredAt": null },
+          ],
+        }
+      );
+
+      await ChatService._patchRedisRows(
+        room,
+        (row) => new Date(row.timestamp) <= until,
+        (row) => {
+          let next = ChatService._setReceipt(row, me, "deliveredAt", readAt);
+          next = ChatService._setReceipt(next, me, "readAt", readAt);
+          return row.to === me ? { ...next, read: true } : next;
+        }
+      );
+
+      // unreadCount = lo que queda sin leer tras upTo
+      const unreadCount = upTo
+        ? await Message.countDocuments({
+            room,
+            deleted: false,
+            receipts: { $elemMatch: { userId: me, readAt: null } },
+          })
+        : 0;
+
       await UserActivity.updateOne(
         { userId, "chats.chatId": room },
-        { $set: { "chats.$.unreadCount": 0 } }
+        { $set: { "chats.$.unreadCount": unreadCount, "chats.$.markedUnread": false } }
       );
+
+      const payload = { room, by: me, upTo, readAt, unreadCount };
+      if (wsEmit) wsEmit("messages_read", payload, participants);
+
+      return payload;
     } catch (err) {
       console.error("❌ markAsRead:", err);
+      throw err;
     }
   }
 
+  /* Receipt de un usuario en una fila cacheada (sin pisar fechas previas) */
+  static _setReceipt(row, userId, field, at) {
+    if (!Array.isArray(row.receipts)) return row;
+    return {
+      ...row,
+      receipts: row.receipts.map((r) =>
+        r.userId === userId && !r[field] ? { ...r, [field]: at } : r
+      ),
+    };
+  }
+
+  /* Quita del cache Redis las filas que cumplan `match` (LREM por valor exacto) */
+  static async _removeRedisRows(room, match) {
+    try {
+      const redis = await getRedis();
+      if (!redis) return 0;
+
+      const key = `chat:${room}:messages`;
+      const list = await redis.lrange(key, 0, -1);
+      const pipe = redis.pipeline();
+      let removed = 0;
+
+      for (const raw of list) {
+        let row;
+        try {
+          row = JSON.parse(raw);
+        } catch {
+          continue;
+        }
+        if (!match(row)) continue;
+        pipe.lrem(key, 1, raw);
+        removed++;
+      }
+
+      if (removed) await pipe.exec();
+      return removed;
+    } catch (err) {
+      console.warn("⚠️ Redis remove rows:", err.message);
+      return 0;
+    }
+  }
+
+  /* Reescribe en Redis solo las filas que cumplen `match`
+     El reemplazo es por valor exacto dentro de un script Lua (atómico):
+     si otra escritura cambió una fila entre la lectura y el script, se relee */
+  static async _patchRedisRows(room, match, patch) {
+    try {
+      const redis = await getRedis();
+      if (!redis) return;
+
+      const key = `chat:${room}:messages`;
+
+      for (let attempt = 0; attempt < REDIS_PATCH_RETRIES; attempt++) {
+        const list = await redis.lrange(key, 0, -1);
+        const pairs = [];
+
+        for (const raw of new Set(list)) {
+          let row;
+          try {
+            row = JSON.parse(raw);
+          } catch {
+            continue;
+          }
+          if (!match(row)) continue;
+          pairs.push(raw, JSON.stringify(patch(row)));
+        }
+
+        if (!pairs.length) return;
+
+        const found = await redis.eval(PATCH_ROWS_LUA, 1, key, ...pairs);
+        if (Number(found) === pairs.length / 2) return;
+      }
+
+      console.warn(`⚠️ Redis patch rows: ${room} cambió durante ${REDIS_PATCH_RETRIES} intentos`);
+    } catch (err) {
+      console.warn("⚠️ Redis patch rows:", err.message);
+    }
+  }
+
+  /* Participantes de un room: grupo → miembros; 1:1 → ids del room */
+  static async _getRoomParticipants(room) {
+    if (mongoose.isValidObjectId(room)) {
+      const conversation = await Conversation.findById(room).select("members").lean();
+      if (conversation) return conversation.members;
+    }
+    return String(room).split("_");
+  }
+
+  /* =====================================================
+     👥 Participantes de un mensaje (1:1 o grupo)
+  ====================================================== */
+  static async _getMessageParticipants(msg) {
+    if (msg.conversationId) {
+      const conversation = await Conversation.findById(msg.conversationId)
+        .select("members admins")
+        .lean();
+
+      return {
+        members: conversation?.members || [],
+        admins: conversation?.admins || [],
+      };
+    }
+
+    return {
+      members: [msg.from, msg.to].filter(Boolean).map(String),
+      admins: [],
+    };
+  }
+
   /* =====================================================
      🗑 Soft delete
   ====================================================== */
@@ -269,9 +986,12 @@ export class ChatService {
       const msg = await Message.findById(messageId);
       if (!msg) throw new Error("Mensaje no encontrado");
 
-      const allowed =
-        String(msg.from) === String(actorId) ||
-        String(msg.to) === String(actorId);
+      const { members, admins } = await ChatService._getMessageParticipants(msg);
+
+      // 1:1 → cualquiera de los dos; grupo → autor o admin
+      const allowed = msg.conversationId
+        ? String(msg.from) === String(actorId) || admins.includes(String(actorId))
+        : members.includes(String(actorId));
 
       if (!allowed) throw new Error("No autorizado");
 
@@ -307,7 +1027,7 @@ export class ChatService {
         deletedAt: msg.deletedAt,
       };
 
-      if (wsEmit) wsEmit("message_deleted", payload);
+      if (wsEmit) wsEmit("message_deleted", payload, members);
 
       return payload;
     } catch (err) {
@@ -316,6 +1036,394 @@ export class ChatService {
     }
   }
 
+  /* =====================================================
+     ✏️ Editar mensaje (solo el autor)
+     - Guarda la revisión previa en editHistory
+     - E2EE → el cliente envía sobres nuevos (newText se ignora)
+     - Legacy AES → no editable (el servidor ya no tiene la clave)
+  ====================================================== */
+  static async editMessage(
+    messageId,
+    actorId,
+    newText,
+    { envelopes = null, senderDeviceId = null, wsEmit = null } = {}
+  ) {
+    try {
+      const msg = await Message.findById(messageId);
+      if (!msg) throw new Error("Mensaje no encontrado");
+
+      if (String(msg.from) !== String(actorId)) throw new Error("No autorizado");
+      if (msg.deleted) throw new Error("No se puede editar un mensaje eliminado");
+      if (msg.type === "system") throw new Error("No se puede editar un mensaje del sistema");
+      if (ChatService._encryptionOf(msg) === "legacy")
+        throw new Error("Los mensajes cifrados con chatKey no se pueden editar");
+
+      const { members } = await ChatService._getMessageParticipants(msg);
+      const e2ee = msg.encryption === "e2ee";
+      const now = new Date();
+
+      let text = "";
+      if (e2ee) {
+        const sealed = await validateEnvelopes(envelopes, {
+          participants: members,
+          senderId: actorId,
+          senderDeviceId,
+        });
+        msg.editHistory.push({ text: "", envelopes: msg.envelopes, editedAt: now });
+        msg.envelopes = sealed;
+        msg.senderDeviceId = senderDeviceId ? String(senderDeviceId) : msg.senderDeviceId;
+      } else {
+        text = String(newText ?? "").trim();
+        if (!text && msg.type === "text") throw new Error("El mensaje no puede estar vacío");
+        if (msg.text === text) throw new Error("Sin cambios");
+
+        msg.editHistory.push({ text: msg.text, editedAt: now });
+        msg.text = text;
+      }
+
+      if (msg.editHistory.length > MAX_EDIT_REVISIONS)
+        msg.editHistory.splice(0, msg.editHistory.length - MAX_EDIT_REVISIONS);
+
+      msg.editedAt = now;
+      msg.updatedAt = now;
+      await msg.save();
+
+      const saved = msg.toObject();
+
+      // Redis sync
+      await ChatService._patchRedisRows(
+        msg.room,
+        (row) => String(row._id) === String(msg._id),
+        (row) => ({
+          ...row,
+          text: saved.text,
+          envelopes: saved.envelopes,
+          senderDeviceId: saved.senderDeviceId,
+          editedAt: saved.editedAt,
+          editHistory: saved.editHistory,
+          updatedAt: saved.updatedAt,
+        })
+      );
+
+      const payload = {
+        messageId: String(msg._id),
+        room: msg.room,
+        text: saved.text,
+        decryptedText: e2ee ? null : text,
+        envelopes: saved.envelopes,
+        editedAt: saved.editedAt,
+        editedBy: String(actorId),
+        revisions: saved.editHistory.length,
+      };
+
+      ChatService._emitToViewers(wsEmit, "message_edited", payload, members);
+
+      return ChatService._forViewer(payload, actorId, senderDeviceId);
+    } catch (err) {
+      console.error("❌ editMessage:", err);
+      throw err;
+    }
+  }
+
+  /* =====================================================
+     😀 Reaccionar a un mensaje
+     action: "toggle" | "add" | "remove"
+  ====================================================== */
+  static async reactToMessage(messageId, userId, emoji, { action = "toggle", wsEmit = null } = {}) {
+    try {
+      const me = String(userId);
+      const value = String(emoji || "").trim();
+
+      if (!value || value.length > 16 || /\s/.test(value) || !EMOJI_RE.test(value))
+        throw new Error("Emoji inválido");
+      if (!["toggle", "add", "remove"].includes(action)) throw new Error("Acción inválida");
+
+      const msg = mongoose.isValidObjectId(messageId)
+        ? await Message.findById(messageId).select("room from to conversationId deleted reactions").lean()
+        : null;
+      if (!msg) throw new Error("Mensaje no encontrado");
+      if (msg.deleted) throw new Error("No se puede reaccionar a un mensaje eliminado");
+
+      const { members } = await ChatService._getMessageParticipants(msg);
+      if (!members.includes(me)) throw new Error("No autorizado");
+
+      const mine = (msg.reactions || []).filter((r) => r.userId === me);
+      const exists = mine.some((r) => r.emoji === value);
+      const add = action === "add" || (action === "toggle" && !exists);
+
+      if (add && !exists) {
+        if (mine.length >= MAX_REACTIONS_PER_USER)
+          throw new Error(`Máximo ${MAX_REACTIONS_PER_USER} reacciones por mensaje`);
+
+        await Message.updateOne(
+          { _id: msg._id, reactions: { $not: { $elemMatch: { userId: me, emoji: value } } } },
+          { $push: { reactions: { emoji: value, userId: me, createdAt: new Date() } } }
+        );
+      } else if (!add && exists) {
+        await Message.updateOne(
+          { _id: msg._id },
+          { $pull: { reactions: { userId: me, emoji: value } } }
+        );
+      }
+
+      const fresh = await Message.findById(msg._id).select("reactions").lean();
+      const reactions = fresh?.reactions || [];
+
+      await ChatService._patchRedisRows(
+        msg.room,
+        (row) => String(row._id) === String(msg._id),
+        (row) => ({ ...row, reactions })
+      );
+
+      const payload = {
+        messageId: String(msg._id),
+        room: msg.room,
+        emoji: value,
+        userId: me,
+        action: add ? "added" : "removed",
+        reactions: ChatService.summarizeReactions(reactions),
+      };
+
+      if (wsEmit) wsEmit("message_reaction", payload, members);
+
+      return payload;
+    } catch (err) {
+      console.error("❌ reactToMessage:", err);
+      throw err;
+    }
+  }
+
+  /* Resumen por emoji: [{ emoji, count, users }] (orden de aparición) */
+  static summarizeReactions(reactions = []) {
+    const byEmoji = new Map();
+
+    for (const r of reactions || []) {
+      if (!byEmoji.has(r.emoji)) byEmoji.set(r.emoji, { emoji: r.emoji, count: 0, users: [] });
+      const entry = byEmoji.get(r.emoji);
+      entry.count++;
+      entry.users.push(r.userId);
+    }
+
+    return [...byEmoji.values()];
+  }
+
+  /* =====================================================
+     📌 Fijar / desfijar (cualquier participante, visible para todos)
+  ====================================================== */
+  static async pinMessage(messageId, userId, { pinned = true, wsEmit = null } = {}) {
+    const me = String(userId);
+
+    const msg = mongoose.isValidObjectId(messageId)
+      ? await Message.findById(messageId)
+          .select("room from to conversationId type deleted pinnedAt pinnedBy")
+          .lean()
+      : null;
+    if (!msg) throw new Error("Mensaje no encontrado");
+
+    const { members } = await ChatService._getMessageParticipants(msg);
+    if (!members.includes(me)) throw new Error("No autorizado");
+
+    if (pinned) {
+      if (msg.deleted) throw new Error("No se puede fijar un mensaje eliminado");
+      if (msg.type === "system") throw new Error("No se puede fijar un mensaje del sistema");
+    }
+
+    // Idempotente: sin cambios no se emite nada
+    if (Boolean(msg.pinnedAt) === Boolean(pinned)) {
+      return {
+        messageId: String(msg._id),
+        room: msg.room,
+        pinned: Boolean(msg.pinnedAt),
+        pinnedAt: msg.pinnedAt || null,
+        pinnedBy: msg.pinnedBy || null,
+      };
+    }
+
+    if (pinned) {
+      const count = await Message.countDocuments({
+        room: msg.room,
+        pinnedAt: { $type: "date" },
+        deleted: false,
+      });
+      if (count >= MAX_PINNED_PER_ROOM)
+        throw new Error(`Máximo ${MAX_PINNED_PER_ROOM} mensajes fijados por chat`);
+    }
+
+    const pinnedAt = pinned ? new Date() : null;
+    const pinnedBy = pinned ? me : null;
+
+    await Message.updateOne({ _id: msg._id }, { $set: { pinnedAt, pinnedBy } });
+    await ChatService._patchRedisRows(
+      msg.room,
+      (row) => String(row._id) === String(msg._id),
+      (row) => ({ ...row, pinnedAt, pinnedBy })
+    );
+
+    const payload = pinned
+      ? { messageId: String(msg._id), room: msg.room, pinned: true, pinnedAt, pinnedBy }
+      : { messageId: String(msg._id), room: msg.room, pinned: false, unpinnedBy: me };
+
+    if (wsEmit) wsEmit(pinned ? "message_pinned" : "message_unpinned", payload, members);
+
+    return payload;
+  }
+
+  /* =====================================================
+     📌 Mensajes fijados de un room (más reciente primero)
+  ====================================================== */
+  static async getPinnedMessages(room, userId, { chatKey = null, deviceId = null } = {}) {
+    const participants = await ChatService._getRoomParticipants(room);
+    if (!participants.includes(String(userId))) throw new Error("No autorizado");
+
+    const rows = await Message.find({
+      room,
+      pinnedAt: { $type: "date" },
+      deleted: false,
+      ...ChatService._notExpired(),
+    })
+      .sort({ pinnedAt: -1 })
+      .limit(MAX_PINNED_PER_ROOM)
+      .lean();
+
+    return rows.map((m) => ChatService._viewRow(m, { chatKey, viewerId: userId, deviceId }));
+  }
+
+  /* =====================================================
+     ⭐ Destacar / quitar destacado (privado del usuario)
+     - message_starred solo al propio usuario (sus otros dispositivos)
+  ====================================================== */
+  static async starMessage(messageId, userId, { starred = true, wsEmit = null } = {}) {
+    const me = String(userId);
+
+    const msg = mongoose.isValidObjectId(messageId)
+      ? await Message.findById(messageId).select("room from to conversationId deleted").lean()
+      : null;
+    if (!msg) throw new Error("Mensaje no encontrado");
+
+    const { members } = await ChatService._getMessageParticipants(msg);
+    if (!members.includes(me)) throw new Error("No autorizado");
+
+    let starredAt = null;
+    if (starred) {
+      if (msg.deleted) throw new Error("No se puede destacar un mensaje eliminado");
+
+      const doc = await StarredMessage.findOneAndUpdate(
+        { userId: me, messageId: String(msg._id) },
+        { $setOnInsert: { room: msg.room, starredAt: new Date() } },
+        { upsert: true, new: true }
+      ).lean();
+      starredAt = doc.starredAt;
+    } else {
+      await StarredMessage.deleteOne({ userId: me, messageId: String(msg._id) });
+    }
+
+    const payload = { messageId: String(msg._id), room: msg.room, starred: Boolean(starred), starredAt };
+    if (wsEmit) wsEmit("message_starred", payload, [me]);
+
+    return payload;
+  }
+
+  /* =====================================================
+     ⭐ Destacados del usuario (todos o de un room)
+     Paginación: ?limit=50&before=<ISO starredAt>
+  ====================================================== */
+  static async getStarredMessages(
+    userId,
+    { room = null, limit = STARRED_PAGE_SIZE, before = null, chatKey = null, deviceId = null } = {}
+  ) {
+    const me = String(userId);
+    const size = Math.min(Math.max(Number(limit) || STARRED_PAGE_SIZE, 1), STARRED_PAGE_MAX);
+
+    if (room) {
+      const participants = await ChatService._getRoomParticipants(room);
+      if (!participants.includes(me)) throw new Error("No autorizado");
+    }
+
+    const query = { userId: me };
+    if (room) query.room = room;
+    if (before) {
+      const ts = new Date(before);
+      if (Number.isNaN(ts.getTime())) throw new Error("Cursor inválido");
+      query.starredAt = { $lt: ts };
+    }
+
+    const stars = await StarredMessage.find(query)
+      .sort({ starredAt: -1 })
+      .limit(size + 1)
+      .lean();
+
+    const hasMore = stars.length > size;
+    const page = stars.slice(0, size);
+
+    // Grupos que el usuario ya abandonó → fuera del listado
+    const groupRooms = [...new Set(page.map((s) => s.room).filter((r) => mongoose.isValidObjectId(r)))];
+    const memberOf = new Set(
+      groupRooms.length
+        ? (await Conversation.find({ _id: { $in: groupRooms }, members: me }).select("_id").lean()).map(
+            (c) => String(c._id)
+          )
+        : []
+    );
+
+    const byId = new Map(
+      (
+        await Message.find({
+          _id: { $in: page.map((s) => s.messageId) },
+          deleted: false,
+          ...ChatService._notExpired(),
+        }).lean()
+      ).map((m) => [String(m._id), m])
+    );
+
+    const messages = page
+      .filter((s) => byId.has(s.messageId))
+      .filter((s) => !mongoose.isValidObjectId(s.room) || memberOf.has(s.room))
+      .map((s) => ({
+        ...ChatService._viewRow(byId.get(s.messageId), { chatKey, viewerId: me, deviceId }),
+        starredAt: s.starredAt,
+      }));
+
+    return {
+      messages,
+      pageInfo: {
+        hasMore,
+        before: page.length ? page[page.length - 1].starredAt.toISOString() : null,
+        limit: size,
+      },
+    };
+  }
+
+  /* =====================================================
+     🕘 Historial de ediciones (participantes)
+  ====================================================== */
+  static async getEditHistory(messageId, userId, { chatKey = null, deviceId = null } = {}) {
+    const msg = await Message.findById(messageId).lean().catch(() => null);
+    if (!msg) throw new Error("Mensaje no encontrado");
+
+    const { members } = await ChatService._getMessageParticipants(msg);
+    if (!members.includes(String(userId))) throw new Error("No autorizado");
+
+    const view = (rev) =>
+      ChatService._forViewer(
+        {
+          text: rev.text,
+          decryptedText: ChatService._plainText({ ...msg, text: rev.text }, chatKey),
+          envelopes: rev.envelopes || [],
+          editedAt: rev.editedAt,
+        },
+        userId,
+        deviceId
+      );
+
+    return {
+      messageId: String(msg._id),
+      encryption: ChatService._encryptionOf(msg),
+      current: view(msg),
+      revisions: (msg.editHistory || []).map(view),
+    };
+  }
+
+
   /* =====================================================
      ♻ Restaurar mensaje
   ====================================================== */
@@ -326,10 +1434,13 @@ export class ChatService {
 
       if (!msg.deleted) throw new Error("No está eliminado");
 
-      const allowed =
-        String(msg.from) === String(actorId) ||
-        String(msg.to) === String(actorId) ||
-        String(msg.deletedBy) === String(actorId);
+      const { members, admins } = await ChatService._getMessageParticipants(msg);
+
+      const allowed = msg.conversationId
+        ? String(msg.from) === String(actorId) ||
+          String(msg.deletedBy) === String(actorId) ||
+          admins.includes(String(actorId))
+        : members.includes(String(actorId));
 
       if (!allowed) throw new Error("No autorizado");
 
@@ -364,7 +1475,7 @@ export class ChatService {
         restoredBy: actorId,
       };
 
-      if (wsEmit) wsEmit("message_restored", payload);
+      if (wsEmit) wsEmit("message_restored", payload, members);
 
       return payload;
     } catch (err) {
@@ -392,12 +1503,183 @@ export class ChatService {
     }
   }
 
+  /* =====================================================
+     🔎 Búsqueda en los chats del usuario
+     - q: texto (índice $text); opcional si hay otros filtros
+     - with / conversationId: limitar a un chat
+     - from, type (lista separada por comas), since / until
+     - sort: "relevance" (por defecto con q) | "recent"
+     - Mensajes cifrados (E2EE / legacy) excluidos: el servidor no puede leerlos
+  ====================================================== */
+  static async searchMessages(
+    userId,
+    {
+      q = "",
+      with: otherUserId = null,
+      conversationId = null,
+      from = null,
+      type = null,
+      since = null,
+      until = null,
+      sort = null,
+      page = 1,
+      limit = SEARCH_PAGE_SIZE,
+    } = {}
+  ) {
+    const me = String(userId);
+    const text = String(q || "").trim();
+    const types = type
+      ? [].concat(type).flatMap((t) => String(t).split(",")).map((t) => t.trim()).filter(Boolean)
+      : [];
+
+    if (!text && !from && !types.length && !since && !until)
+      throw new Error("Búsqueda vacía");
+    if (types.some((t) => !MESSAGE_TYPES.includes(t))) throw new Error("Tipo de mensaje inválido");
+
+    const size = Math.min(Math.max(Number(limit) || SEARCH_PAGE_SIZE, 1), SEARCH_PAGE_MAX);
+    const pageNum = Math.max(Number(page) || 1, 1);
+
+    // null → documentos previos al campo encryption (en claro), salvo que guarden chatKey (legacy sin migrar)
+    const query = {
+      deleted: false,
+      encryption: { $in: ["none", null] },
+      chatKey: { $in: [null, ""] },
+      ...ChatService._notExpired(),
+    };
+
+    /* 🔐 Alcance: solo rooms del usuario */
+    if (conversationId) {
+      const conversation = await Conversation.findById(conversationId).catch(() => null);
+      if (!conversation) throw new Error("Conversación no encontrada");
+      if (!conversation.isMember(me)) throw new Error("No autorizado");
+      query.room = String(conversation._id);
+    } else if (otherUserId) {
+      query.room = [me, String(otherUserId)].sort().join("_");
+    } else {
+      const groups = await Conversation.find({ members: me }).select("_id").lean();
+      query.$or = [
+        { to: me },
+        { from: me, to: { $ne: null } },
+        { conversationId: { $in: groups.map((g) => String(g._id)) } },
+      ];
+    }
+
+    if (from) query.from = String(from);
+    query.type = types.length ? { $in: types } : { $ne: "system" };
+
+    if (since || until) {
+      const range = {};
+      if (since) range.$gte = new Date(since);
+      if (until) range.$lte = new Date(until);
+      if (Object.values(range).some((d) => Number.isNaN(d.getTime())))
+        throw new Error("Rango de fechas inválido");
+      query.timestamp = range;
+    }
+
+    let cursor;
+    if (text) {
+      query.$text = { $search: text };
+      cursor = Message.find(query, { score: { $meta: "textScore" } }).sort(
+        sort === "recent"
+          ? { timestamp: -1, _id: -1 }
+          : { score: { $meta: "textScore" }, timestamp: -1 }
+      );
+    } else {
+      cursor = Message.find(query).sort({ timestamp: -1, _id: -1 });
+    }
+
+    const rows = await cursor
+      .select("-editHistory -envelopes")
+      .skip((pageNum - 1) * size)
+      .limit(size + 1)
+      .lean();
+
+    const terms = ChatService._searchTerms(text);
+    const results = rows.slice(0, size).map((m) => ({
+      ...m,
+      decryptedText: m.text,
+      reactionSummary: ChatService.summarizeReactions(m.reactions),
+      chatWith: m.conversationId ? null : m.from === me ? m.to : m.from,
+      ...ChatService._highlight(m.text, terms),
+    }));
+
+    return {
+      results,
+      pageInfo: {
+        page: pageNum,
+        limit: size,
+        hasMore: rows.length > size,
+        sort: text && sort !== "recent" ? "relevance" : "recent",
+        encryptedExcluded: true,
+      },
+    };
+  }
+
+  /* Términos a resaltar (sin operadores de $text: -excluidos y comillas) */
+  static _searchTerms(q = "") {
+    return [
+      ...new Set(
+        String(q)
+          .split(/\s+/)
+          .filter((t) => t && !t.startsWith("-"))
+          .map((t) => foldText(t.replace(/["']/g, "")))
+          .filter((t) => t.length > 1)
+      ),
+    ];
+  }
+
+  /* =====================================================
+     🖍 Resaltado: snippet alrededor del primer acierto
+     highlights = [{ start, end }] relativos al snippet
+  ====================================================== */
+  static _highlight(text = "", terms = []) {
+    const source = String(text || "");
+    if (!source) return { snippet: "", highlights: [] };
+
+    const folded = foldText(source);
+    const ranges = [];
+
+    for (const term of terms) {
+      let idx = folded.indexOf(term);
+      while (idx !== -1) {
+        const atWordStart = idx === 0 || !/[\p{L}\p{N}]/u.test(folded[idx - 1]);
+        if (atWordStart) ranges.push({ start: idx, end: idx + term.length });
+        idx = folded.indexOf(term, idx + term.length);
+      }
+    }
+
+    ranges.sort((a, b) => a.start - b.start);
+    const merged = [];
+    for (const r of ranges) {
+      const last = merged[merged.length - 1];
+      if (last && r.start <= last.end) last.end = Math.max(last.end, r.end);
+      else merged.push({ ...r });
+    }
+
+    if (source.length <= SNIPPET_LENGTH) return { snippet: source, highlights: merged };
+
+    const first = merged[0]?.start ?? 0;
+    const offset = Math.max(0, Math.min(first - Math.floor(SNIPPET_LENGTH / 3), source.length - SNIPPET_LENGTH));
+    const end = offset + SNIPPET_LENGTH;
+
+    return {
+      snippet: `${offset > 0 ? "…" : ""}${source.slice(offset, end)}${end < source.length ? "…" : ""}`,
+      highlights: merged
+        .filter((r) => r.start >= offset && r.end <= end)
+        .map((r) => ({
+          start: r.start - offset + (offset > 0 ? 1 : 0),
+          end: r.end - offset + (offset > 0 ? 1 : 0),
+        })),
+    };
+  }
+
   /* =====================================================
      🗑 BORRAR TODO EL ROOM
   ====================================================== */
   static async deleteRoomHistory(room) {
     try {
       await Message.deleteMany({ room });
+      await StarredMessage.deleteMany({ room });
 
       const redis = await getRedis();
       if (redis) await redis.del(`chat:${room}:messages`);
@@ -0,0 +1,207 @@
+/**
+ * 🔕 ChatSettingsService.js
+ * ------------------------------------------------------
+ * ✔ Ajustes por usuario y chat en UserActivity.chats
+ *   (silenciar hasta, archivar, marcar no leído, nivel de notificación)
+ * ✔ Lista de conversaciones por última actividad
+ * ✔ chat_settings_updated solo al propio usuario (sus dispositivos)
+ */
+
+import mongoose from "mongoose";
+import Message from "../domain/Message.js";
+import { UserActivity } from "../domain/UserActivity.js";
+import Conversation from "../domain/Conversation.js";
+import { ConversationService } from "./ConversationService.js";
+
+export const NOTIFICATION_LEVELS = ["all", "mentions", "none"];
+
+// "always" → fecha lejana (Date no admite Infinity)
+const MUTE_FOREVER = new Date("9999-12-31T00:00:00.000Z");
+
+export const MUTE_OPTIONS = {
+  "8h": 60 * 60 * 8,
+  "1w": 60 * 60 * 24 * 7,
+};
+
+const LIST_PAGE_SIZE = 50;
+const LIST_PAGE_MAX = 200;
+
+const isMuted = (chat, now = new Date()) =>
+  Boolean(chat?.mutedUntil && new Date(chat.mutedUntil) > now);
+
+export class ChatSettingsService {
+  /* =====================================================
+     🔢 mute: false | "8h" | "1w" | "always" | segundos | fecha ISO
+  ====================================================== */
+  static resolveMutedUntil(mute, now = new Date()) {
+    if (mute === false || mute === null || mute === "off" || mute === 0) return null;
+    if (mute === true || mute === "always") return MUTE_FOREVER;
+    if (mute in MUTE_OPTIONS) return new Date(now.getTime() + MUTE_OPTIONS[mute] * 1000);
+
+    const seconds = Number(mute);
+    if (Number.isFinite(seconds) && seconds > 0)
+      return new Date(now.getTime() + seconds * 1000);
+
+    const until = new Date(mute);
+    if (!Number.isNaN(until.getTime()) && until > now) return until;
+
+    throw new Error("Duración de silencio inválida");
+  }
+
+  /* Vista pública de una entrada de UserActivity.chats */
+  static toView(chat = {}, now = new Date()) {
+    const muted = isMuted(chat, now);
+    return {
+      room: chat.chatId,
+      lastMessageAt: chat.lastMessageAt || null,
+      unreadCount: chat.unreadCount || 0,
+      muted,
+      mutedUntil: muted ? chat.mutedUntil : null,
+      archived: Boolean(chat.archived),
+      markedUnread: Boolean(chat.markedUnread),
+      notificationLevel: chat.notificationLevel || "all",
+    };
+  }
+
+  /* =====================================================
+     🔍 Ajustes de un chat
+  ====================================================== */
+  static async getSettings(userId, target = {}) {
+    const { room, conversationId, to } = await ConversationService.resolveChat(userId, target);
+
+    const activity = await UserActivity.findOne(
+      { userId, "chats.chatId": room },
+      { "chats.$": 1 }
+    ).lean();
+
+    return {
+      ...ChatSettingsService.toView(activity?.chats?.[0] || { chatId: room, lastMessageAt: null }),
+      conversationId,
+      otherUserId: to,
+    };
+  }
+
+  /* =====================================================
+     ✏️ Actualizar ajustes
+     patch: { mute, archived, unread, notificationLevel }
+  ====================================================== */
+  static async updateSettings(userId, target = {}, patch = {}, wsEmit = null) {
+    const { room, conversationId, to } = await ConversationService.resolveChat(userId, target);
+    const now = new Date();
+    const set = {};
+
+    if (patch.mute !== undefined) set.mutedUntil = ChatSettingsService.resolveMutedUntil(patch.mute, now);
+    if (patch.archived !== undefined) set.archived = Boolean(patch.archived);
+    if (patch.unread !== undefined) set.markedUnread = Boolean(patch.unread);
+    if (patch.notificationLevel !== undefined) {
+      if (!NOTIFICATION_LEVELS.includes(patch.notificationLevel))
+        throw new Error("Nivel de notificación inválido (all, mentions, none)");
+      set.notificationLevel = patch.notificationLevel;
+    }
+    if (!Object.keys(set).length) throw new Error("Sin cambios");
+
+    let activity = await UserActivity.findOne({ userId });
+    if (!activity) activity = new UserActivity({ userId, notifications: [], chats: [] });
+
+    let chat = activity.chats.find((c) => c.chatId === room);
+    if (!chat) {
+      // chat sin mensajes recibidos aún → última actividad real del room
+      const last = await Message.findOne({ room }).sort({ timestamp: -1 }).select("timestamp").lean();
+      activity.chats.push({ chatId: room, unreadCount: 0, lastMessageAt: last?.timestamp || now });
+      chat = activity.chats[activity.chats.length - 1];
+    }
+
+    Object.assign(chat, set);
+    await activity.save();
+
+    const payload = {
+      ...ChatSettingsService.toView(chat.toObject ? chat.toObject() : chat, now),
+      conversationId,
+      otherUserId: to,
+    };
+    if (wsEmit) wsEmit("chat_settings_updated", payload, [String(userId)]);
+
+    return payload;
+  }
+
+  /* =====================================================
+     📋 Conversaciones del usuario (última actividad primero)
+     ?archived=true|false  ?limit=50  ?before=<ISO lastMessageAt>
+  ====================================================== */
+  static async listConversations(userId, { archived = null, limit = LIST_PAGE_SIZE, before = null } = {}) {
+    const size = Math.min(Math.max(Number(limit) || LIST_PAGE_SIZE, 1), LIST_PAGE_MAX);
+    const me = String(userId);
+
+    let cursor = null;
+    if (before) {
+      cursor = new Date(before);
+      if (Number.isNaN(cursor.getTime())) throw new Error("Cursor inválido");
+    }
+
+    const activity = await UserActivity.findOne({ userId }).select("chats").lean();
+    const now = new Date();
+
+    const candidates = (activity?.chats || [])
+      .filter((c) => archived === null || Boolean(c.archived) === Boolean(archived))
+      .filter((c) => !cursor || new Date(c.lastMessageAt) < cursor);
+
+    // Grupos eliminados o abandonados fuera ANTES de paginar (páginas completas)
+    const groupIds = candidates.map((c) => c.chatId).filter((id) => mongoose.isValidObjectId(id));
+    const memberOf = new Set(
+      groupIds.length
+        ? (await Conversation.find({ _id: { $in: groupIds }, members: me }).select("_id").lean()).map((g) =>
+            String(g._id)
+          )
+        : []
+    );
+
+    const chats = candidates
+      .filter((c) => !mongoose.isValidObjectId(c.chatId) || memberOf.has(String(c.chatId)))
+      .sort((a, b) => new Date(b.lastMessageAt) - new Date(a.lastMessageAt));
+
+    const page = chats.slice(0, size).map((c) => {
+      const view = ChatSettingsService.toView(c, now);
+      const isGroup = mongoose.isValidObjectId(c.chatId);
+      return {
+        ...view,
+        type: isGroup ? "group" : "direct",
+        conversationId: isGroup ? c.chatId : null,
+        otherUserId: isGroup ? null : String(c.chatId).split("_").find((id) => id !== me) || null,
+      };
+    });
+
+    return {
+      conversations: page,
+      pageInfo: {
+        hasMore: chats.length > size,
+        before: page.length ? new Date(page[page.length - 1].lastMessageAt).toISOString() : null,
+        limit: size,
+      },
+    };
+  }
+
+  /* =====================================================
+     🔔 ¿Notificar este mensaje a `chat`? (ChatService)
+     mentions → solo si el texto incluye @username o el emisor lo
+     mencionó por id (`mentioned`: único aviso posible en E2EE, text = "")
+  ====================================================== */
+  static shouldNotify(
+    chat,
+    { isGroup = false, text = "", username = null, mentioned = false } = {},
+    now = new Date()
+  ) {
+    if (!chat) return true;
+    if (isMuted(chat, now)) return false;
+
+    const level = chat.notificationLevel || "all";
+    if (level === "none") return false;
+    if (level === "mentions" && isGroup) {
+      if (mentioned) return true;
+      if (!username || !text) return false;
+      return new RegExp(`(^|[^\\w])@${username.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}\\b`, "i").test(text);
+    }
+    return true;
+  }
+}
+
+export default ChatSettingsService;
@@ -10,11 +10,13 @@
 // - Soporte de media opcional en comentarios
 // - addCommentToPost para InteractionService
 // - ✅ Import defensivo de CommentModel (named o default)
+// - #hashtags + @menciones (HashtagService) con notificación
 // ======================================================
 
 import * as CommentModelModule from "../infrastructure/models/CommentModel.js";
 import { User } from "../domain/User.js";
 import { PostModel } from "../infrastructure/models/PostModel.js";
+import HashtagService from "./HashtagService.js";
 
 // Import defensivo: soporta default, { Comment }, { CommentModel }, etc.
 const Comment =
@@ -173,6 +175,7 @@ export class CommentService {
 
     const createdBy = snapshot._id;
     const mediaArray = Array.isArray(media) ? media : [];
+    const { hashtags, mentions } = await HashtagService.parse(content, createdBy);
 
     const comment = await Comment.create({
       content, // puede ser cadena vacía si solo hay media (lo controla el pre-validate)
@@ -181,6 +184,15 @@ export class CommentService {
       createdBy,
       parentId,
       media: mediaArray,
+      hashtags,
+      mentions: mentions.map((m) => m.userId),
+    });
+
+    await HashtagService.notifyMentions({
+      mentions,
+      from: snapshot.username,
+      postId,
+      commentId: comment._id,
     });
 
     // Si es respuesta, incrementar repliesCount del padre
@@ -348,10 +360,27 @@ export class CommentService {
     if (!text)
       throw new Error("El comentario no puede estar vacío");
 
+    // Solo se notifica a los mencionados nuevos
+    const previous = (comment.mentions || []).map(String);
+    const { hashtags, mentions } = await HashtagService.parse(
+      text,
+      comment.createdBy._id
+    );
+
     comment.content = text;
+    comment.hashtags = hashtags;
+    comment.mentions = mentions.map((m) => m.userId);
     comment.editedAt = new Date();
     await comment.save();
 
+    await HashtagService.notifyMentions({
+      mentions,
+      previous,
+      from: comment.createdBy.username || user.username || "Usuario",
+      postId: comment.targetId,
+      commentId: comment._id,
+    });
+
     return { ...comment.toJSON(), id: comment._id.toString() };
   }
 
@@ -0,0 +1,249 @@
+/**
+ * 👥 ConversationService.js
+ * ------------------------------------------------------
+ * ✔ Crear grupos (título / avatar / miembros iniciales)
+ * ✔ Invitar, expulsar, salir
+ * ✔ Promover / degradar admins
+ * ✔ wsEmit(event, payload, recipients) → todos los miembros
+ */
+
+import Conversation from "../domain/Conversation.js";
+import { ChatService } from "./ChatService.js";
+
+const MAX_GROUP_MEMBERS = Number(process.env.CHAT_GROUP_MAX_MEMBERS || 256);
+
+const uniqIds = (ids = []) =>
+  [...new Set((Array.isArray(ids) ? ids : [ids]).filter(Boolean).map(String))];
+
+export class ConversationService {
+  /* =====================================================
+     ➕ Crear grupo
+  ====================================================== */
+  static async createGroup({
+    creatorId,
+    title,
+    avatar = null,
+    memberIds = [],
+    wsEmit = null,
+  }) {
+    if (!title?.trim()) throw new Error("El título del grupo es requerido");
+
+    const members = uniqIds([creatorId, ...uniqIds(memberIds)]);
+    if (members.length < 2) throw new Error("Un grupo requiere al menos 2 miembros");
+    if (members.length > MAX_GROUP_MEMBERS)
+      throw new Error(`Máximo ${MAX_GROUP_MEMBERS} miembros por grupo`);
+
+    const conversation = await Conversation.create({
+      title: title.trim(),
+      avatar,
+      createdBy: String(creatorId),
+      members,
+      admins: [String(creatorId)],
+      lastMessageAt: new Date(),
+    });
+
+    const payload = conversation.toObject();
+    if (wsEmit) wsEmit("group_created", payload, payload.members);
+
+    return payload;
+  }
+
+  /* =====================================================
+     🔍 Obtener grupo (solo miembros)
+  ====================================================== */
+  static async getForMember(conversationId, userId) {
+    const conversation = await Conversation.findById(conversationId).catch(() => null);
+    if (!conversation) throw new Error("Conversación no encontrada");
+    if (!conversation.isMember(userId)) throw new Error("No autorizado");
+    return conversation;
+  }
+
+  /* =====================================================
+     🧭 Resolver chat 1:1 (otherUserId) o grupo (conversationId)
+     → { room, conversationId, to, participants, conversation }
+  ====================================================== */
+  static async resolveChat(userId, { otherUserId = null, conversationId = null } = {}) {
+    const me = String(userId);
+
+    if (conversationId) {
+      const conversation = await ConversationService.getForMember(conversationId, me);
+      return {
+        room: String(conversation._id),
+        conversationId: String(conversation._id),
+        to: null,
+        participants: [...conversation.members],
+        conversation,
+      };
+    }
+
+    if (!otherUserId) throw new Error("Chat requerido");
+    if (String(otherUserId) === me) throw new Error("Chat inválido");
+
+    return {
+      room: [me, String(otherUserId)].sort().join("_"),
+      conversationId: null,
+      to: String(otherUserId),
+      participants: [me, String(otherUserId)],
+      conversation: null,
+    };
+  }
+
+  /* =====================================================
+     📋 Grupos del usuario (por actividad)
+  ====================================================== */
+  static async listForUser(userId, limit = 50) {
+    return Conversation.find({ members: String(userId) })
+      .sort({ lastMessageAt: -1 })
+      .limit(limit)
+      .lean();
+  }
+
+  /* =====================================================
+     ✏️ Actualizar título / avatar (admins)
+  ====================================================== */
+  static async updateGroup(conversationId, actorId, { title, avatar } = {}, wsEmit = null) {
+    const conversation = await ConversationService.getForMember(conversationId, actorId);
+    if (!conversation.isAdmin(actorId)) throw new Error("Solo admins pueden editar el grupo");
+
+    if (title !== undefined) {
+      if (!String(title).trim()) throw new Error("El título del grupo es requerido");
+      conversation.title = String(title).trim();
+    }
+    if (avatar !== undefined) conversation.avatar = avatar || null;
+
+    await conversation.save();
+
+    const payload = {
+      conversationId: String(conversation._id),
+      title: conversation.title,
+      avatar: conversation.avatar,
+      updatedBy: String(actorId),
+    };
+    if (wsEmit) wsEmit("group_updated", payload, conversation.members);
+
+    return conversation.toObject();
+  }
+
+  /* =====================================================
+     📨 Invitar miembros (admins)
+  ====================================================== */
+  static async addMembers(conversationId, actorId, memberIds = [], wsEmit = null) {
+    const conversation = await ConversationService.getForMember(conversationId, actorId);
+    if (!conversation.isAdmin(actorId)) throw new Error("Solo admins pueden invitar");
+
+    const added = uniqIds(memberIds).filter((id) => !conversation.isMember(id));
+    if (!added.length) return conversation.toObject();
+
+    if (conversation.members.length + added.length > MAX_GROUP_MEMBERS)
+      throw new Error(`Máximo ${MAX_GROUP_MEMBERS} miembros por grupo`);
+
+    conversation.members.push(...added);
+    await conversation.save();
+
+    const payload = {
+      conversationId: String(conversation._id),
+      added,
+      addedBy: String(actorId),
+    };
+    if (wsEmit) wsEmit("group_members_added", payload, conversation.members);
+
+    return conversation.toObject();
+  }
+
+  /* =====================================================
+     🚫 Expulsar miembro (admins)
+  ====================================================== */
+  static async removeMember(conversationId, actorId, memberId, wsEmit = null) {
+    const conversation = await ConversationService.getForMember(conversationId, actorId);
+    if (!conversation.isAdmin(actorId)) throw new Error("Solo admins pueden expulsar");
+
+    const target = String(memberId);
+    if (target === String(actorId)) throw new Error("Usa leave para salir del grupo");
+    if (!conversation.isMember(target)) throw new Error("El usuario no es miembro");
+    if (target === conversation.createdBy) throw new Error("No se puede expulsar al creador");
+
+    const recipients = [...conversation.members];
+
+    conversation.members = conversation.members.filter((id) => id !== target);
+    conversation.admins = conversation.admins.filter((id) => id !== target);
+    await conversation.save();
+
+    const payload = {
+      conversationId: String(conversation._id),
+      userId: target,
+      removedBy: String(actorId),
+      reason: "kicked",
+    };
+    if (wsEmit) wsEmit("group_member_removed", payload, recipients);
+
+    return conversation.toObject();
+  }
+
+  /* =====================================================
+     🚪 Salir del grupo
+     - Si sale el último admin → se promueve al siguiente miembro
+     - Si no queda nadie → se borra grupo + historial
+  ====================================================== */
+  static async leave(conversationId, userId, wsEmit = null) {
+    const conversation = await ConversationService.getForMember(conversationId, userId);
+
+    const me = String(userId);
+    const recipients = [...conversation.members];
+
+    conversation.members = conversation.members.filter((id) => id !== me);
+    conversation.admins = conversation.admins.filter((id) => id !== me);
+
+    const room = String(conversation._id);
+
+    if (!conversation.members.length) {
+      await Conversation.deleteOne({ _id: conversation._id });
+      await ChatService.deleteRoomHistory(room);
+    } else {
+      if (!conversation.admins.length) conversation.admins = [conversation.members[0]];
+      await conversation.save();
+    }
+
+    const payload = {
+      conversationId: room,
+      userId: me,
+      removedBy: me,
+      reason: "left",
+      admins: conversation.admins,
+    };
+    if (wsEmit) wsEmit("group_member_removed", payload, recipients);
+
+    return payload;
+  }
+
+  /* =====================================================
+     🛡 Promover / degradar admin (admins)
+  ====================================================== */
+  static async setAdmin(conversationId, actorId, memberId, isAdmin = true, wsEmit = null) {
+    const conversation = await ConversationService.getForMember(conversationId, actorId);
+    if (!conversation.isAdmin(actorId)) throw new Error("Solo admins pueden cambiar roles");
+
+    const target = String(memberId);
+    if (!conversation.isMember(target)) throw new Error("El usuario no es miembro");
+
+    if (isAdmin) {
+      if (!conversation.isAdmin(target)) conversation.admins.push(target);
+    } else {
+      if (target === conversation.createdBy) throw new Error("No se puede degradar al creador");
+      conversation.admins = conversation.admins.filter((id) => id !== target);
+      if (!conversation.admins.length) throw new Error("El grupo necesita al menos un admin");
+    }
+
+    await conversation.save();
+
+    const payload = {
+      conversationId: String(conversation._id),
+      admins: conversation.admins,
+      changedBy: String(actorId),
+    };
+    if (wsEmit) wsEmit("group_admins_updated", payload, conversation.members);
+
+    return conversation.toObject();
+  }
+}
+
+export default ConversationService;
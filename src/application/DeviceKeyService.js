@@ -0,0 +1,265 @@
+// src/application/DeviceKeyService.js
+import DeviceKey from "../domain/DeviceKey.js";
+
+const MAX_PREKEYS_PER_UPLOAD = 100;
+const MAX_STORED_PREKEYS = 500;
+const MAX_KEY_LENGTH = 512;
+const MAX_CIPHERTEXT_LENGTH = Number(process.env.E2EE_MAX_CIPHERTEXT_LENGTH || 65536);
+const MAX_ENVELOPES = 2048;
+const ENVELOPE_TYPES = ["prekey", "message"];
+
+const KEY_RE = /^[A-Za-z0-9+/_-]+={0,2}$/;
+
+function assertKey(value, label) {
+  if (typeof value !== "string" || !value || value.length > MAX_KEY_LENGTH || !KEY_RE.test(value)) {
+    throw new Error(`${label} inválida (base64 requerido)`);
+  }
+  return value;
+}
+
+function assertKeyId(value, label) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 0) throw new Error(`${label} inválido`);
+  return n;
+}
+
+function normalizeDeviceId(deviceId) {
+  const id = String(deviceId || "").trim();
+  if (!id || id.length > 128) throw new Error("deviceId inválido");
+  return id;
+}
+
+function normalizePreKeys(preKeys = []) {
+  if (!Array.isArray(preKeys)) throw new Error("oneTimePreKeys debe ser un array");
+  if (preKeys.length > MAX_PREKEYS_PER_UPLOAD)
+    throw new Error(`Máximo ${MAX_PREKEYS_PER_UPLOAD} prekeys por subida`);
+
+  const seen = new Set();
+  return preKeys
+    .map((k) => ({
+      keyId: assertKeyId(k?.keyId, "keyId de prekey"),
+      publicKey: assertKey(k?.publicKey, "Prekey"),
+    }))
+    .filter((k) => (seen.has(k.keyId) ? false : seen.add(k.keyId)));
+}
+
+function toDeviceSummary(doc) {
+  return {
+    deviceId: doc.deviceId,
+    registrationId: doc.registrationId,
+    identityKey: doc.identityKey,
+    signedPreKeyId: doc.signedPreKey?.keyId ?? null,
+    preKeyCount: doc.oneTimePreKeys?.length || 0,
+    lastSeenAt: doc.lastSeenAt,
+    updatedAt: doc.updatedAt,
+  };
+}
+
+/**
+ * Publica (o rota) el bundle de claves públicas de un dispositivo.
+ * Si cambia la identityKey se descartan las prekeys anteriores.
+ * @param {string} userId - Dueño del dispositivo (del token).
+ * @param {Object} payload - { deviceId, registrationId?, identityKey, signedPreKey, oneTimePreKeys? }
+ * @returns {Promise<Object>} - Resumen del dispositivo + identityChanged.
+ */
+export async function uploadKeyBundle(userId, payload = {}) {
+  if (!userId) throw new Error("Usuario no autenticado");
+
+  const deviceId = normalizeDeviceId(payload.deviceId);
+  const identityKey = assertKey(payload.identityKey, "identityKey");
+  const spk = payload.signedPreKey || {};
+  const signedPreKey = {
+    keyId: assertKeyId(spk.keyId, "keyId de signedPreKey"),
+    publicKey: assertKey(spk.publicKey, "signedPreKey"),
+    signature: assertKey(spk.signature, "Firma de signedPreKey"),
+  };
+  const preKeys = normalizePreKeys(payload.oneTimePreKeys || []);
+  const registrationId =
+    payload.registrationId !== undefined && payload.registrationId !== null
+      ? assertKeyId(payload.registrationId, "registrationId")
+      : null;
+
+  const existing = await DeviceKey.findOne({ userId: String(userId), deviceId });
+  const identityChanged = Boolean(existing && existing.identityKey !== identityKey);
+
+  let doc;
+  if (!existing || identityChanged) {
+    doc = await DeviceKey.findOneAndUpdate(
+      { userId: String(userId), deviceId },
+      {
+        $set: {
+          registrationId,
+          identityKey,
+          signedPreKey,
+          oneTimePreKeys: preKeys.slice(-MAX_STORED_PREKEYS),
+          lastSeenAt: new Date(),
+        },
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+  } else {
+    const known = new Set(existing.oneTimePreKeys.map((k) => k.keyId));
+    doc = await DeviceKey.findOneAndUpdate(
+      { _id: existing._id },
+      {
+        $set: { registrationId, signedPreKey, lastSeenAt: new Date() },
+        $push: {
+          oneTimePreKeys: {
+            $each: preKeys.filter((k) => !known.has(k.keyId)),
+            $slice: -MAX_STORED_PREKEYS,
+          },
+        },
+      },
+      { new: true }
+    );
+  }
+
+  return { ...toDeviceSummary(doc), identityChanged };
+}
+
+/**
+ * Repone prekeys de un solo uso de un dispositivo ya registrado.
+ * @returns {Promise<Object>} - Resumen del dispositivo.
+ */
+export async function addOneTimePreKeys(userId, deviceId, preKeys = []) {
+  const id = normalizeDeviceId(deviceId);
+  const incoming = normalizePreKeys(preKeys);
+
+  const existing = await DeviceKey.findOne({ userId: String(userId), deviceId: id })
+    .select("oneTimePreKeys.keyId")
+    .lean();
+  if (!existing) throw new Error("Dispositivo no registrado");
+
+  const known = new Set((existing.oneTimePreKeys || []).map((k) => k.keyId));
+  const doc = await DeviceKey.findOneAndUpdate(
+    { _id: existing._id },
+    {
+      $set: { lastSeenAt: new Date() },
+      $push: {
+        oneTimePreKeys: {
+          $each: incoming.filter((k) => !known.has(k.keyId)),
+          $slice: -MAX_STORED_PREKEYS,
+        },
+      },
+    },
+    { new: true }
+  );
+
+  return toDeviceSummary(doc);
+}
+
+/**
+ * Dispositivos registrados de un usuario (sin consumir prekeys).
+ */
+export async function listDevices(userId) {
+  const docs = await DeviceKey.find({ userId: String(userId) }).sort({ createdAt: 1 }).lean();
+  return docs.map(toDeviceSummary);
+}
+
+/**
+ * Bundles de claves de los dispositivos de un usuario.
+ * Cada llamada consume (atómicamente) una prekey de un solo uso por dispositivo.
+ * @param {string} userId - Usuario destino.
+ * @param {{ deviceId?: string }} [options] - Limitar a un dispositivo.
+ * @returns {Promise<Array>} - [{ userId, deviceId, registrationId, identityKey, signedPreKey, oneTimePreKey }]
+ */
+export async function fetchKeyBundles(userId, { deviceId = null } = {}) {
+  const filter = { userId: String(userId) };
+  if (deviceId) filter.deviceId = normalizeDeviceId(deviceId);
+
+  const devices = await DeviceKey.find(filter).select("_id").lean();
+
+  const bundles = await Promise.all(
+    devices.map(async ({ _id }) => {
+      // new:false → documento previo; su primera prekey es la que acabamos de retirar
+      const doc = await DeviceKey.findOneAndUpdate(
+        { _id },
+        { $pop: { oneTimePreKeys: -1 } },
+        { new: false }
+      ).lean();
+      if (!doc) return null;
+
+      return {
+        userId: doc.userId,
+        deviceId: doc.deviceId,
+        registrationId: doc.registrationId,
+        identityKey: doc.identityKey,
+        signedPreKey: doc.signedPreKey,
+        oneTimePreKey: doc.oneTimePreKeys?.[0] || null,
+      };
+    })
+  );
+
+  return bundles.filter(Boolean);
+}
+
+/**
+ * Elimina un dispositivo del directorio (logout / revocación).
+ */
+export async function removeDevice(userId, deviceId) {
+  const result = await DeviceKey.deleteOne({
+    userId: String(userId),
+    deviceId: normalizeDeviceId(deviceId),
+  });
+  return { deleted: result.deletedCount > 0 };
+}
+
+/**
+ * Normaliza y valida los sobres cifrados de un mensaje.
+ * Exige un sobre por cada dispositivo registrado de los participantes
+ * (excepto el dispositivo emisor) y ninguno para dispositivos desconocidos.
+ * @param {Array} envelopes - [{ userId, deviceId, type, ciphertext }]
+ * @param {{ participants: string[], senderId: string, senderDeviceId?: string }} ctx
+ * @returns {Promise<Array>} - Sobres normalizados.
+ * @throws {Error} code = "DEVICE_MISMATCH" con details { missing, extra }
+ */
+export async function validateEnvelopes(envelopes, { participants, senderId, senderDeviceId = null }) {
+  if (!Array.isArray(envelopes) || !envelopes.length)
+    throw new Error("envelopes requerido para mensajes cifrados");
+  if (envelopes.length > MAX_ENVELOPES) throw new Error(`Máximo ${MAX_ENVELOPES} sobres por mensaje`);
+
+  const allowedUsers = new Set(participants.map(String));
+  const normalized = envelopes.map((e) => {
+    const userId = String(e?.userId || "");
+    if (!allowedUsers.has(userId)) throw new Error("Sobre para un usuario que no participa en el chat");
+    const ciphertext = e?.ciphertext;
+    if (typeof ciphertext !== "string" || !ciphertext || ciphertext.length > MAX_CIPHERTEXT_LENGTH)
+      throw new Error("ciphertext inválido");
+    return {
+      userId,
+      deviceId: normalizeDeviceId(e.deviceId),
+      type: ENVELOPE_TYPES.includes(e.type) ? e.type : "message",
+      ciphertext,
+    };
+  });
+
+  const registered = await DeviceKey.find({ userId: { $in: [...allowedUsers] } })
+    .select("userId deviceId")
+    .lean();
+
+  const keyOf = (u, d) => `${u}:${d}`;
+  const provided = new Set(normalized.map((e) => keyOf(e.userId, e.deviceId)));
+  const known = new Set(registered.map((d) => keyOf(d.userId, d.deviceId)));
+
+  const missing = registered
+    .filter((d) => !(d.userId === String(senderId) && d.deviceId === String(senderDeviceId)))
+    .filter((d) => !provided.has(keyOf(d.userId, d.deviceId)))
+    .map((d) => ({ userId: d.userId, deviceId: d.deviceId }));
+
+  const extra = normalized
+    .filter((e) => !known.has(keyOf(e.userId, e.deviceId)))
+    .map((e) => ({ userId: e.userId, deviceId: e.deviceId }));
+
+  const withoutKeys = [...allowedUsers].filter(
+    (u) => u !== String(senderId) && !registered.some((d) => d.userId === u)
+  );
+
+  if (missing.length || extra.length || withoutKeys.length) {
+    const err = new Error("Los sobres no coinciden con los dispositivos registrados");
+    err.code = "DEVICE_MISMATCH";
+    err.details = { missing, extra, withoutKeys };
+    throw err;
+  }
+
+  return normalized;
+}
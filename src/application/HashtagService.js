@@ -0,0 +1,197 @@
+/**
+ * #️⃣ HashtagService
+ * Hashtags y @menciones en publicaciones y comentarios
+ * - Extracción de #tags (normalizados: minúsculas, sin acentos) y @username
+ * - Resolución de menciones a userId (User.username)
+ * - Notificación a los mencionados (UserActivityService)
+ * - Posts por hashtag y hashtags en tendencia
+ */
+
+import { User } from "../domain/User.js";
+import { PostModel } from "../infrastructure/models/PostModel.js";
+import { Comment } from "../infrastructure/models/CommentModel.js";
+import { addNotification } from "./UserActivityService.js";
+
+const MAX_HASHTAGS = 30;
+const MAX_MENTIONS = 20;
+const PAGE_SIZE = 20;
+const PAGE_MAX = 50;
+const TRENDING_HOURS = 24;
+const TRENDING_MAX_HOURS = 30 * 24;
+
+// "#tag" no precedido de letra/dígito (evita "a#b", "&#39;")
+const HASHTAG_RE = /(^|[^\p{L}\p{N}_&])#([\p{L}\p{N}_]{1,50})/gu;
+// "@username" con el mismo alfabeto que User.username; no precedido de palabra (evita emails)
+const MENTION_RE = /(^|[^\w@.])@([a-z0-9._-]{3,20})/gi;
+
+const notDeleted = { $or: [{ deletedAt: null }, { deletedAt: { $exists: false } }] };
+
+export class HashtagService {
+  /* =====================================================
+     🔤 Normalización (misma que TopicClassifierService)
+  ====================================================== */
+  static normalizeTag(raw = "") {
+    return String(raw)
+      .trim()
+      .replace(/^#+/, "")
+      .toLowerCase()
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "");
+  }
+
+  static extractHashtags(text = "") {
+    const tags = new Set();
+    for (const [, , raw] of String(text || "").matchAll(HASHTAG_RE)) {
+      const tag = HashtagService.normalizeTag(raw);
+      // "#1" o "#2025" no son hashtags
+      if (tag && /\p{L}/u.test(tag)) tags.add(tag);
+      if (tags.size >= MAX_HASHTAGS) break;
+    }
+    return [...tags];
+  }
+
+  static extractMentions(text = "") {
+    const names = new Set();
+    for (const [, , raw] of String(text || "").matchAll(MENTION_RE)) {
+      // "@ana." al final de una frase
+      const name = raw.toLowerCase().replace(/[.-]+$/, "");
+      if (name.length >= 3) names.add(name);
+      if (names.size >= MAX_MENTIONS) break;
+    }
+    return [...names];
+  }
+
+  /* =====================================================
+     👥 @username → userId (sin el autor)
+  ====================================================== */
+  static async resolveMentions(text = "", authorId = null) {
+    const names = HashtagService.extractMentions(text);
+    if (!names.length) return [];
+
+    const users = await User.find({ username: { $in: names } })
+      .select("_id username")
+      .lean();
+
+    return users
+      .filter((u) => String(u._id) !== String(authorId))
+      .map((u) => ({ userId: String(u._id), username: u.username }));
+  }
+
+  /* Hashtags + menciones resueltas de un texto */
+  static async parse(text = "", authorId = null) {
+    const hashtags = HashtagService.extractHashtags(text);
+    let mentions = [];
+    try {
+      mentions = await HashtagService.resolveMentions(text, authorId);
+    } catch (err) {
+      console.warn("⚠️ No se pudieron resolver menciones:", err?.message);
+    }
+    return { hashtags, mentions };
+  }
+
+  /* =====================================================
+     🔔 Notificar menciones
+     previous: userIds ya notificados (edición de comentario)
+  ====================================================== */
+  static async notifyMentions({ mentions = [], previous = [], from, postId, commentId = null }) {
+    const already = new Set(previous.map(String));
+    const where = commentId ? "un comentario" : "una publicación";
+
+    for (const { userId } of mentions) {
+      if (already.has(userId)) continue;
+      try {
+        await addNotification(userId, "mention", `🏷️ @${from} te mencionó en ${where}`, {
+          postId: postId ? String(postId) : null,
+          commentId: commentId ? String(commentId) : null,
+          by: from,
+        });
+      } catch (err) {
+        console.warn(`⚠️ No se pudo notificar mención a ${userId}:`, err?.message);
+      }
+    }
+  }
+
+  /* =====================================================
+     📜 Posts con un hashtag (?before=<ISO createdAt>)
+  ====================================================== */
+  static async getPostsByHashtag(rawTag, { before = null, limit = PAGE_SIZE } = {}) {
+    const tag = HashtagService.normalizeTag(rawTag);
+    if (!tag || !/^[\p{L}\p{N}_]{1,50}$/u.test(tag)) throw new Error("Hashtag inválido");
+
+    const size = Math.min(Math.max(Number(limit) || PAGE_SIZE, 1), PAGE_MAX);
+    const query = { hashtags: tag, ...notDeleted };
+
+    if (before) {
+      const cursor = new Date(before);
+      if (Number.isNaN(cursor.getTime())) throw new Error("Fecha inválida");
+      query.createdAt = { $lt: cursor };
+    }
+
+    const rows = await PostModel.find(query)
+      .sort({ createdAt: -1 })
+      .limit(size + 1);
+
+    const posts = rows.slice(0, size);
+    return {
+      tag,
+      posts,
+      pageInfo: {
+        hasMore: rows.length > size,
+        before: posts.length ? posts[posts.length - 1].createdAt.toISOString() : null,
+        limit: size,
+      },
+    };
+  }
+
+  /* =====================================================
+     🔥 Tendencias: usos en posts + comentarios de las últimas `hours`
+  ====================================================== */
+  static async trending({ hours = TRENDING_HOURS, limit = 10, now = new Date() } = {}) {
+    const windowHours = Math.min(Math.max(Number(hours) || TRENDING_HOURS, 1), TRENDING_MAX_HOURS);
+    const size = Math.min(Math.max(Number(limit) || 10, 1), PAGE_MAX);
+    const since = new Date(now.getTime() - windowHours * 60 * 60 * 1000);
+
+    const countBy = (author) => [
+      { $unwind: "$hashtags" },
+      { $group: { _id: "$hashtags", count: { $sum: 1 }, authors: { $addToSet: author } } },
+    ];
+
+    const [posts, comments] = await Promise.all([
+      PostModel.aggregate([
+        { $match: { createdAt: { $gte: since }, "hashtags.0": { $exists: true }, ...notDeleted } },
+        ...countBy("$authorId"),
+      ]),
+      Comment.aggregate([
+        { $match: { createdAt: { $gte: since }, "hashtags.0": { $exists: true } } },
+        ...countBy({ $toString: "$createdBy" }),
+      ]),
+    ]);
+
+    const byTag = new Map();
+    const entry = (tag) => {
+      if (!byTag.has(tag)) byTag.set(tag, { tag, posts: 0, comments: 0, authors: new Set() });
+      return byTag.get(tag);
+    };
+
+    for (const g of posts) {
+      const e = entry(g._id);
+      e.posts = g.count;
+      g.authors.forEach((a) => e.authors.add(a));
+    }
+    for (const g of comments) {
+      const e = entry(g._id);
+      e.comments = g.count;
+      g.authors.forEach((a) => e.authors.add(a));
+    }
+
+    const tags = [...byTag.values()]
+      .map(({ authors, ...e }) => ({ ...e, uses: e.posts + e.comments, authors: authors.size }))
+      // muchos autores distintos pesan más que uno que repite
+      .sort((a, b) => b.authors - a.authors || b.uses - a.uses || a.tag.localeCompare(b.tag))
+      .slice(0, size);
+
+    return { hours: windowHours, since, tags };
+  }
+}
+
+export default HashtagService;
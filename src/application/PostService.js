@@ -7,6 +7,7 @@
 // 🎯 No rompe feed, explore, likes ni topics
 // 🆕 Soporta portada personalizada de video + watermark metadata
 // 🆕 registerView(postId) para viewsCount (persistente)
+// 🆕 #hashtags + @menciones (HashtagService) con notificación
 // ======================================================
 
 import chalk from "chalk";
@@ -14,6 +15,7 @@ import { Post } from "../domain/Post.js";
 import { PostModel } from "../infrastructure/models/PostModel.js";
 import Upload from "../domain/Upload.js";
 import TopicClassifierService from "./TopicClassifierService.js";
+import HashtagService from "./HashtagService.js";
 
 /* ======================================================
    🔧 path público correcto
@@ -274,6 +276,14 @@ export class PostService {
         }
       }
 
+      // =============================
+      // #️⃣ Hashtags + 🏷️ menciones
+      // =============================
+      const { hashtags, mentions } = await HashtagService.parse(
+        safeContent,
+        authorId
+      );
+
       // =============================
       // 💾 Guardar
       // =============================
@@ -291,9 +301,17 @@ export class PostService {
         likes: [],
         commentsCount: 0,
         topics: normalizedTopics,
+        hashtags,
+        mentions: mentions.map((m) => m.userId),
         // viewsCount queda con default: 0
       });
 
+      await HashtagService.notifyMentions({
+        mentions,
+        from: username,
+        postId: created._id,
+      });
+
       return this.toDomain(created);
     } catch (err) {
       console.error("❌ Error createPost:", err);
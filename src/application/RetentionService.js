@@ -0,0 +1,222 @@
+/**
+ * ⏳ RetentionService.js
+ * ------------------------------------------------------
+ * ✔ Mensajes temporales por chat (off / 24h / 7d / 90d)
+ * ✔ 1:1 → cualquiera de los dos; grupo → solo admins
+ * ✔ Mensaje de sistema + retention_changed a todos los participantes
+ * ✔ Barrido: Mongo + cache Redis + media (disco local o R2)
+ * ✔ wsEmit(event, payload, recipients)
+ */
+
+import Message from "../domain/Message.js";
+import RetentionPolicy from "../domain/RetentionPolicy.js";
+import StarredMessage from "../domain/StarredMessage.js";
+import { ChatService } from "./ChatService.js";
+import { ConversationService } from "./ConversationService.js";
+import { saveMessageToRedis } from "../infrastructure/RedisProvider.js";
+import { removeUploadFile } from "../infrastructure/uploadMiddleware.js";
+
+export const RETENTION_OPTIONS = {
+  off: 0,
+  "24h": 60 * 60 * 24,
+  "7d": 60 * 60 * 24 * 7,
+  "90d": 60 * 60 * 24 * 90,
+};
+
+const SWEEP_BATCH_SIZE = Number(process.env.CHAT_RETENTION_SWEEP_BATCH || 500);
+const SWEEP_MAX_BATCHES = 20;
+
+const labelFor = (ttlSeconds) =>
+  Object.keys(RETENTION_OPTIONS).find((k) => RETENTION_OPTIONS[k] === ttlSeconds) || "off";
+
+export class RetentionService {
+  /* =====================================================
+     🔢 "24h" | "7d" | "90d" | "off" | segundos equivalentes
+  ====================================================== */
+  static normalizeTtl(ttl) {
+    if (ttl === null || ttl === undefined || ttl === false) return 0;
+
+    const key = String(ttl).trim().toLowerCase();
+    if (key in RETENTION_OPTIONS) return RETENTION_OPTIONS[key];
+
+    const seconds = Number(key);
+    if (Object.values(RETENTION_OPTIONS).includes(seconds)) return seconds;
+
+    throw new Error("Duración inválida (off, 24h, 7d, 90d)");
+  }
+
+  /* =====================================================
+     🧭 Resolver room + participantes (valida permisos)
+  ====================================================== */
+  static async _resolveChat(actorId, target = {}, { write = false } = {}) {
+    const chat = await ConversationService.resolveChat(actorId, target);
+    if (write && chat.conversation && !chat.conversation.isAdmin(String(actorId)))
+      throw new Error("Solo admins pueden cambiar los mensajes temporales");
+    return chat;
+  }
+
+  /* =====================================================
+     🔍 Política actual del chat
+  ====================================================== */
+  static async getPolicy(actorId, target = {}) {
+    const { room, conversationId } = await RetentionService._resolveChat(actorId, target);
+    const policy = await RetentionPolicy.findOne({ room }).lean();
+    const ttlSeconds = policy?.ttlSeconds || 0;
+
+    return {
+      room,
+      conversationId,
+      ttlSeconds,
+      ttl: labelFor(ttlSeconds),
+      setBy: policy?.setBy || null,
+      updatedAt: policy?.updatedAt || null,
+    };
+  }
+
+  /* =====================================================
+     ✏️ Cambiar política + mensaje de sistema
+  ====================================================== */
+  static async setPolicy(actorId, target = {}, ttl, wsEmit = null) {
+    const ttlSeconds = RetentionService.normalizeTtl(ttl);
+    const chat = await RetentionService._resolveChat(actorId, target, { write: true });
+
+    const current = await RetentionPolicy.findOne({ room: chat.room }).lean();
+    if ((current?.ttlSeconds || 0) === ttlSeconds) {
+      return { ...(await RetentionService.getPolicy(actorId, target)), message: null };
+    }
+
+    if (ttlSeconds) {
+      await RetentionPolicy.updateOne(
+        { room: chat.room },
+        {
+          $set: {
+            conversationId: chat.conversationId,
+            ttlSeconds,
+            setBy: String(actorId),
+          },
+        },
+        { upsert: true }
+      );
+    } else {
+      await RetentionPolicy.deleteOne({ room: chat.room });
+    }
+
+    const label = labelFor(ttlSeconds);
+
+    const msg = await Message.create({
+      room: chat.room,
+      from: String(actorId),
+      to: chat.to,
+      conversationId: chat.conversationId,
+      type: "system",
+      text: ttlSeconds
+        ? `Mensajes temporales activados: ${label}`
+        : "Mensajes temporales desactivados",
+      system: {
+        event: "retention_changed",
+        data: { ttlSeconds, ttl: label, setBy: String(actorId) },
+      },
+      read: true,
+      timestamp: new Date(),
+    });
+
+    const message = { ...msg.toObject(), decryptedText: msg.text, reactionSummary: [] };
+    await saveMessageToRedis(chat.room, msg.toObject());
+
+    const payload = {
+      room: chat.room,
+      conversationId: chat.conversationId,
+      ttlSeconds,
+      ttl: label,
+      setBy: String(actorId),
+      message,
+    };
+
+    if (wsEmit) {
+      wsEmit("NEW_MESSAGE", message, chat.participants);
+      wsEmit("retention_changed", payload, chat.participants);
+    }
+
+    return payload;
+  }
+
+  /* =====================================================
+     🧹 Barrido de mensajes vencidos
+     - Borrado físico en Mongo + cache Redis
+     - Media solo si ningún otro mensaje la referencia (reenvíos)
+     - messages_expired { room, messageIds } a los participantes
+  ====================================================== */
+  static async sweepExpired({ now = new Date(), wsEmit = null } = {}) {
+    let deleted = 0;
+    let files = 0;
+    const rooms = new Set();
+
+    for (let batch = 0; batch < SWEEP_MAX_BATCHES; batch++) {
+      const expired = await Message.find({ expiresAt: { $lte: now } })
+        .select("_id room mediaUrl thumbnailUrl")
+        .sort({ expiresAt: 1 })
+        .limit(SWEEP_BATCH_SIZE)
+        .lean();
+      if (!expired.length) break;
+
+      const ids = expired.map((m) => m._id);
+      await Message.deleteMany({ _id: { $in: ids } });
+      await StarredMessage.deleteMany({ messageId: { $in: ids.map(String) } });
+      deleted += ids.length;
+
+      /* 📁 Media huérfana */
+      const urls = [
+        ...new Set(expired.flatMap((m) => [m.mediaUrl, m.thumbnailUrl]).filter(Boolean)),
+      ];
+      for (const url of urls) {
+        const stillUsed = await Message.exists({
+          $or: [{ mediaUrl: url }, { thumbnailUrl: url }],
+        });
+        if (!stillUsed && (await RetentionService._deleteMediaFile(url))) files++;
+      }
+
+      /* 🔥 Redis + aviso por room */
+      const byRoom = new Map();
+      for (const m of expired) {
+        if (!byRoom.has(m.room)) byRoom.set(m.room, []);
+        byRoom.get(m.room).push(String(m._id));
+      }
+
+      for (const [room, messageIds] of byRoom) {
+        rooms.add(room);
+        const idSet = new Set(messageIds);
+        await ChatService._removeRedisRows(room, (row) => idSet.has(String(row._id)));
+
+        if (wsEmit) {
+          const participants = await ChatService._getRoomParticipants(room);
+          wsEmit("messages_expired", { room, messageIds }, participants);
+        }
+      }
+
+      if (expired.length < SWEEP_BATCH_SIZE) break;
+    }
+
+    return { deleted, files, rooms: rooms.size };
+  }
+
+  /* =====================================================
+     🗑 Borrar archivo de media (/uploads/...) en disco o R2
+  ====================================================== */
+  static async _deleteMediaFile(url) {
+    const str = String(url || "");
+    const idx = str.indexOf("/uploads/");
+    if (idx === -1) return false;
+
+    const relPath = str.slice(idx + "/uploads/".length).split(/[?#]/)[0];
+    if (!relPath) return false;
+
+    try {
+      return await removeUploadFile(relPath);
+    } catch (err) {
+      console.warn("⚠️ No se pudo eliminar media expirada:", relPath, err?.message);
+      return false;
+    }
+  }
+}
+
+export default RetentionService;
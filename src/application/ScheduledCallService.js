@@ -0,0 +1,360 @@
+/**
+ * 🗓️ ScheduledCallService
+ * Llamadas programadas (audio / video) con uno o más usuarios
+ * - Crear / editar / cancelar (organizador) y RSVP (asistentes)
+ * - Recordatorio REMINDER_MINUTES antes y aviso al empezar (/calls + notificación)
+ * - A la hora: CallService.startCall hace sonar a los asistentes
+ */
+
+import mongoose from "mongoose";
+import ScheduledCall, { RSVP_RESPONSES } from "../domain/ScheduledCall.js";
+import { User } from "../domain/User.js";
+import { CallService } from "./CallService.js";
+import { addNotification } from "./UserActivityService.js";
+
+export const REMINDER_MINUTES = Number(process.env.SCHEDULED_CALL_REMINDER_MINUTES || 10);
+
+// servidor caído: pasado este margen ya no se hace sonar
+const START_GRACE_MS = 15 * 60 * 1000;
+const MAX_AHEAD_MS = 365 * 24 * 60 * 60 * 1000;
+const MAX_ATTENDEES = Number(process.env.CALL_MAX_PARTICIPANTS || 8) - 1;
+const SWEEP_BATCH = 100;
+
+const uniqueIds = (ids = []) => [...new Set(ids.filter(Boolean).map(String))];
+
+export class ScheduledCallService {
+  /* =====================================================
+     ✅ Validaciones
+  ====================================================== */
+  static _parseStartsAt(value, now = new Date()) {
+    const startsAt = new Date(value);
+    if (!value || Number.isNaN(startsAt.getTime())) throw new Error("Fecha de inicio inválida");
+    if (startsAt <= now) throw new Error("La fecha de inicio debe ser futura");
+    if (startsAt - now > MAX_AHEAD_MS) throw new Error("Solo se puede programar hasta un año antes");
+    return startsAt;
+  }
+
+  static async _validAttendees(organizer, attendeeIds = []) {
+    const ids = uniqueIds(Array.isArray(attendeeIds) ? attendeeIds : [attendeeIds]).filter(
+      (id) => id !== organizer
+    );
+    if (!ids.length) throw new Error("Asistentes requeridos");
+    if (ids.length > MAX_ATTENDEES) throw new Error(`Máximo ${MAX_ATTENDEES} asistentes`);
+    if (ids.some((id) => !mongoose.isValidObjectId(id))) throw new Error("Asistente inválido");
+
+    const found = await User.countDocuments({ _id: { $in: ids } });
+    if (found !== ids.length) throw new Error("Asistente inválido");
+    return ids;
+  }
+
+  static _everyone(scheduled) {
+    return [scheduled.organizer, ...scheduled.attendees.map((a) => a.userId)];
+  }
+
+  static async _getForOrganizer(id, userId) {
+    if (!mongoose.isValidObjectId(id)) throw new Error("Llamada programada no encontrada");
+    const scheduled = await ScheduledCall.findById(id);
+    if (!scheduled) throw new Error("Llamada programada no encontrada");
+    if (scheduled.organizer !== String(userId)) throw new Error("No autorizado");
+    if (scheduled.status !== "scheduled") throw new Error("La llamada programada ya no se puede modificar");
+    return scheduled;
+  }
+
+  /* =====================================================
+     ➕ Crear
+  ====================================================== */
+  static async create(
+    organizerId,
+    { title = "", description = "", type = "audio", startsAt, attendees = [] } = {},
+    wsEmit = null
+  ) {
+    const organizer = String(organizerId);
+    if (!["audio", "video"].includes(type)) throw new Error("Tipo inválido (audio, video)");
+
+    const when = ScheduledCallService._parseStartsAt(startsAt);
+    const ids = await ScheduledCallService._validAttendees(organizer, attendees);
+
+    const scheduled = await ScheduledCall.create({
+      organizer,
+      title: String(title || "").slice(0, 120),
+      description: String(description || "").slice(0, 1000),
+      type,
+      startsAt: when,
+      attendees: ids.map((userId) => ({ userId })),
+    });
+
+    const payload = scheduled.toObject();
+    if (wsEmit) wsEmit("scheduled_call_created", payload, ids);
+
+    for (const userId of ids) {
+      await addNotification(userId, "scheduled_call", `🗓️ Llamada ${type} programada por ${organizer}`, {
+        scheduledCallId: String(scheduled._id),
+        startsAt: when,
+      });
+    }
+
+    return payload;
+  }
+
+  /* =====================================================
+     ✏️ Editar (organizador; solo mientras está programada)
+     Cambiar la hora reinicia recordatorio y RSVP
+  ====================================================== */
+  static async update(id, userId, patch = {}, wsEmit = null) {
+    const scheduled = await ScheduledCallService._getForOrganizer(id, userId);
+    const before = ScheduledCallService._everyone(scheduled);
+
+    if (patch.title !== undefined) scheduled.title = String(patch.title || "").slice(0, 120);
+    if (patch.description !== undefined)
+      scheduled.description = String(patch.description || "").slice(0, 1000);
+    if (patch.type !== undefined) {
+      if (!["audio", "video"].includes(patch.type)) throw new Error("Tipo inválido (audio, video)");
+      scheduled.type = patch.type;
+    }
+
+    const rescheduled = patch.startsAt !== undefined;
+    if (rescheduled) {
+      scheduled.startsAt = ScheduledCallService._parseStartsAt(patch.startsAt);
+      scheduled.reminderSentAt = null;
+    }
+
+    if (patch.attendees !== undefined) {
+      const ids = await ScheduledCallService._validAttendees(scheduled.organizer, patch.attendees);
+      const current = new Map(scheduled.attendees.map((a) => [a.userId, a]));
+      scheduled.attendees = ids.map((userId) => current.get(userId) || { userId });
+    }
+
+    if (rescheduled) {
+      scheduled.attendees.forEach((a) => {
+        a.rsvp = "pending";
+        a.respondedAt = null;
+      });
+    }
+
+    await scheduled.save();
+
+    const payload = scheduled.toObject();
+    const after = ScheduledCallService._everyone(scheduled);
+    const removed = before.filter((uid) => !after.includes(uid));
+
+    if (wsEmit) {
+      wsEmit("scheduled_call_updated", payload, after);
+      if (removed.length) {
+        wsEmit("scheduled_call_cancelled", { _id: payload._id, status: "cancelled", removed: true }, removed);
+      }
+    }
+
+    return payload;
+  }
+
+  /* =====================================================
+     🚫 Cancelar (organizador)
+  ====================================================== */
+  static async cancel(id, userId, wsEmit = null) {
+    const scheduled = await ScheduledCallService._getForOrganizer(id, userId);
+
+    scheduled.status = "cancelled";
+    scheduled.cancelledAt = new Date();
+    await scheduled.save();
+
+    const payload = scheduled.toObject();
+    if (wsEmit) wsEmit("scheduled_call_cancelled", payload, ScheduledCallService._everyone(scheduled));
+
+    for (const attendee of scheduled.attendees) {
+      await addNotification(
+        attendee.userId,
+        "scheduled_call",
+        `🚫 Llamada programada cancelada por ${scheduled.organizer}`,
+        { scheduledCallId: String(scheduled._id) }
+      );
+    }
+
+    return payload;
+  }
+
+  /* =====================================================
+     🙋 RSVP (asistentes): accepted | declined | tentative
+  ====================================================== */
+  static async rsvp(id, userId, response, wsEmit = null) {
+    const me = String(userId);
+    if (!RSVP_RESPONSES.includes(response) || response === "pending")
+      throw new Error("Respuesta inválida (accepted, declined, tentative)");
+    if (!mongoose.isValidObjectId(id)) throw new Error("Llamada programada no encontrada");
+
+    const scheduled = await ScheduledCall.findOneAndUpdate(
+      { _id: id, status: "scheduled", "attendees.userId": me },
+      { $set: { "attendees.$.rsvp": response, "attendees.$.respondedAt": new Date() } },
+      { new: true }
+    ).lean();
+
+    if (!scheduled) {
+      const current = await ScheduledCall.findById(id).lean();
+      if (!current) throw new Error("Llamada programada no encontrada");
+      if (!current.attendees.some((a) => a.userId === me)) throw new Error("No autorizado");
+      throw new Error("La llamada programada ya no se puede modificar");
+    }
+
+    if (wsEmit) {
+      wsEmit(
+        "scheduled_call_rsvp",
+        { scheduledCallId: String(scheduled._id), userId: me, rsvp: response, attendees: scheduled.attendees },
+        ScheduledCallService._everyone(scheduled)
+      );
+    }
+
+    return scheduled;
+  }
+
+  /* =====================================================
+     🔍 Consultas
+  ====================================================== */
+  static async get(id, userId) {
+    if (!mongoose.isValidObjectId(id)) throw new Error("Llamada programada no encontrada");
+    const scheduled = await ScheduledCall.findById(id).lean();
+    if (!scheduled) throw new Error("Llamada programada no encontrada");
+    if (!ScheduledCallService._everyone(scheduled).includes(String(userId))) throw new Error("No autorizado");
+    return scheduled;
+  }
+
+  // ?from=<ISO>&to=<ISO>&status=scheduled (por defecto: próximas)
+  static async listMine(userId, { from = null, to = null, status = "scheduled", limit = 50 } = {}) {
+    const me = String(userId);
+    const query = { $or: [{ organizer: me }, { "attendees.userId": me }] };
+
+    if (status && status !== "all") query.status = status;
+
+    const range = {};
+    if (from) range.$gte = new Date(from);
+    else if (status === "scheduled") range.$gte = new Date(Date.now() - START_GRACE_MS);
+    if (to) range.$lt = new Date(to);
+    if (Object.values(range).some((d) => Number.isNaN(d.getTime())))
+      throw new Error("Rango de fechas inválido");
+    if (Object.keys(range).length) query.startsAt = range;
+
+    return ScheduledCall.find(query)
+      .sort({ startsAt: 1 })
+      .limit(Math.min(Math.max(Number(limit) || 50, 1), 200))
+      .lean();
+  }
+
+  /* =====================================================
+     ⏰ Barrido (ScheduledCallScheduler)
+     1) recordatorio REMINDER_MINUTES antes
+     2) a la hora: aviso + CallService.startCall
+     Cada paso se reclama con un update condicional (una sola vez)
+  ====================================================== */
+  static async runDue({ now = new Date(), socketService = null } = {}) {
+    const result = { reminded: 0, started: 0, expired: 0 };
+    const reminderAt = new Date(now.getTime() + REMINDER_MINUTES * 60 * 1000);
+
+    // 1️⃣ Recordatorios
+    const dueReminders = await ScheduledCall.find({
+      status: "scheduled",
+      reminderSentAt: null,
+      startsAt: { $gt: now, $lte: reminderAt },
+    })
+      .select("_id")
+      .limit(SWEEP_BATCH)
+      .lean();
+
+    for (const { _id } of dueReminders) {
+      const scheduled = await ScheduledCall.findOneAndUpdate(
+        { _id, status: "scheduled", reminderSentAt: null },
+        { $set: { reminderSentAt: now } },
+        { new: true }
+      ).lean();
+      if (!scheduled) continue;
+
+      const minutes = Math.max(1, Math.round((new Date(scheduled.startsAt) - now) / 60000));
+      await ScheduledCallService._announce(scheduled, socketService, "scheduled_call_reminder", {
+        minutesBefore: minutes,
+        message: `⏰ "${scheduled.title || "Llamada"}" empieza en ${minutes} min`,
+      });
+      result.reminded += 1;
+    }
+
+    // 2️⃣ Vencidas sin arrancar (servidor caído) → expired
+    const expired = await ScheduledCall.updateMany(
+      { status: "scheduled", startsAt: { $lt: new Date(now.getTime() - START_GRACE_MS) } },
+      { $set: { status: "expired" } }
+    );
+    result.expired = expired.modifiedCount || 0;
+
+    // 3️⃣ Inicio
+    const dueStarts = await ScheduledCall.find({ status: "scheduled", startsAt: { $lte: now } })
+      .select("_id")
+      .limit(SWEEP_BATCH)
+      .lean();
+
+    for (const { _id } of dueStarts) {
+      const scheduled = await ScheduledCall.findOneAndUpdate(
+        { _id, status: "scheduled" },
+        { $set: { status: "started", startedAt: now } },
+        { new: true }
+      ).lean();
+      if (!scheduled) continue;
+
+      await ScheduledCallService._start(scheduled, socketService);
+      result.started += 1;
+    }
+
+    return result;
+  }
+
+  /* Aviso por /calls + notificación a quienes no rechazaron */
+  static async _announce(scheduled, socketService, event, { message, ...extra } = {}) {
+    const recipients = [
+      scheduled.organizer,
+      ...scheduled.attendees.filter((a) => a.rsvp !== "declined").map((a) => a.userId),
+    ];
+    const payload = {
+      scheduledCallId: String(scheduled._id),
+      title: scheduled.title,
+      type: scheduled.type,
+      startsAt: scheduled.startsAt,
+      organizer: scheduled.organizer,
+      ...extra,
+    };
+
+    for (const userId of recipients) {
+      socketService?.emitToUserInNamespace?.(userId, "/calls", event, payload);
+      await addNotification(userId, "scheduled_call", message, payload);
+    }
+  }
+
+  /* Hace sonar a los asistentes (todos rechazaron → cancelada) y avisa con el callId */
+  static async _start(scheduled, socketService) {
+    const receivers = scheduled.attendees.filter((a) => a.rsvp !== "declined").map((a) => a.userId);
+
+    if (!receivers.length) {
+      await ScheduledCall.updateOne(
+        { _id: scheduled._id },
+        { $set: { status: "cancelled", cancelledAt: new Date() } }
+      );
+      return null;
+    }
+
+    let call = null;
+    try {
+      call = await CallService.startCall({
+        callerId: scheduled.organizer,
+        receiverId: receivers,
+        type: scheduled.type,
+        socketService,
+      });
+      await ScheduledCall.updateOne({ _id: scheduled._id }, { $set: { callId: call._id } });
+    } catch (err) {
+      console.error("❌ No se pudo iniciar la llamada programada:", err?.message);
+      await ScheduledCall.updateOne({ _id: scheduled._id }, { $set: { status: "failed" } });
+    }
+
+    await ScheduledCallService._announce(scheduled, socketService, "scheduled_call_starting", {
+      callId: call ? String(call._id) : null,
+      message: `📞 "${scheduled.title || "Llamada"}" empieza ahora`,
+    });
+
+    return call;
+  }
+}
+
+export default ScheduledCallService;
@@ -0,0 +1,183 @@
+// src/application/VoiceNoteService.js
+// =======================================================
+// 🎤 VoiceNoteService — notas de voz del chat
+// -------------------------------------------------------
+// - Duración con ffprobe (probeVideoMetadata)
+// - Transcode a un único formato (opus/ogg por defecto, aac/m4a opcional)
+// - Waveform: picos normalizados 0–100 (VOICE_NOTE_WAVEFORM_BARS barras)
+// - Deja el resultado en un temporal: ChatMediaService lo guarda (LOCAL / R2)
+// =======================================================
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import crypto from "crypto";
+import ffmpeg from "../video/ffmpegClient.js";
+import { probeVideoMetadata } from "./VideoProcessingService.js";
+
+const MAX_DURATION_SEC = Number(process.env.VOICE_NOTE_MAX_SECONDS || 900);
+const WAVEFORM_BARS = Number(process.env.VOICE_NOTE_WAVEFORM_BARS || 64);
+const WAVEFORM_SAMPLE_RATE = 8000;
+
+// Un solo formato de salida para todos los clientes
+const FORMATS = {
+  opus: {
+    ext: "ogg",
+    mime: "audio/ogg",
+    options: ["-c:a libopus", "-b:a 32k", "-ac 1", "-ar 48000", "-application voip"],
+  },
+  aac: {
+    ext: "m4a",
+    mime: "audio/mp4",
+    options: ["-c:a aac", "-b:a 64k", "-ac 1", "-ar 44100", "-movflags +faststart"],
+  },
+};
+
+const FORMAT = FORMATS[process.env.VOICE_NOTE_CODEC] || FORMATS.opus;
+
+/* ======================================================
+   Helpers internos
+   ====================================================== */
+
+function safeUnlink(p) {
+  if (p) fs.promises.unlink(p).catch(() => {});
+}
+
+function transcode(inputPath, outputPath) {
+  return new Promise((resolve, reject) => {
+    ffmpeg(inputPath)
+      .noVideo()
+      .duration(MAX_DURATION_SEC + 1) // corta entradas absurdamente largas
+      .outputOptions(FORMAT.options)
+      .output(outputPath)
+      .on("end", () => resolve())
+      .on("error", (err) => reject(err))
+      .run();
+  });
+}
+
+/**
+ * Decodifica a PCM mono 8 kHz y calcula el pico de cada barra.
+ * Se procesa en streaming (no se guarda el audio entero en memoria).
+ *
+ * @param {string} inputPath
+ * @param {number} durationSec - para repartir las muestras entre barras
+ * @returns {Promise<number[]>} - enteros 0–100
+ */
+function computeWaveform(inputPath, durationSec, bars = WAVEFORM_BARS) {
+  return new Promise((resolve, reject) => {
+    const totalSamples = Math.max(Math.ceil(durationSec * WAVEFORM_SAMPLE_RATE), bars);
+    const samplesPerBar = Math.ceil(totalSamples / bars);
+    const peaks = new Array(bars).fill(0);
+
+    let sampleIndex = 0;
+    let carry = null; // byte suelto entre chunks
+
+    const stream = ffmpeg(inputPath)
+      .noVideo()
+      .audioChannels(1)
+      .audioFrequency(WAVEFORM_SAMPLE_RATE)
+      .format("s16le")
+      .on("error", (err) => reject(err))
+      .pipe();
+
+    stream.on("data", (chunk) => {
+      const buf = carry ? Buffer.concat([carry, chunk]) : chunk;
+      const usable = buf.length - (buf.length % 2);
+      carry = usable < buf.length ? buf.subarray(usable) : null;
+
+      for (let i = 0; i < usable; i += 2) {
+        const bar = Math.min(Math.floor(sampleIndex / samplesPerBar), bars - 1);
+        const amp = Math.abs(buf.readInt16LE(i));
+        if (amp > peaks[bar]) peaks[bar] = amp;
+        sampleIndex++;
+      }
+    });
+
+    stream.on("end", () => {
+      const max = Math.max(...peaks, 1);
+      resolve(peaks.map((p) => Math.round((p / max) * 100)));
+    });
+    stream.on("error", (err) => reject(err));
+  });
+}
+
+/* ======================================================
+   API pública
+   ====================================================== */
+
+/**
+ * Procesa una nota de voz subida con multer (memoryStorage o diskStorage).
+ * Lanza Error con mensaje legible si el audio no es válido.
+ * El llamador es dueño de `absolutePath` (moverlo al almacenamiento o borrarlo).
+ *
+ * @param {Object} opts
+ * @param {Object} opts.file - archivo de multer ({ buffer } o { path })
+ * @returns {Promise<{absolutePath: string, mediaSize: number, mediaMime: string, durationSec: number, waveform: number[]}>}
+ */
+export async function processVoiceNote({ file }) {
+  if (!file) throw new Error("Archivo de audio requerido");
+
+  const mime = String(file.mimetype || "");
+  if (!mime.startsWith("audio/") && mime !== "video/webm" && mime !== "application/ogg")
+    throw new Error("La nota de voz debe ser un archivo de audio");
+
+  // multer.memoryStorage → volcamos a un temporal para ffmpeg
+  let tmpInput = null;
+  let inputPath = file.path || null;
+  if (!inputPath) {
+    if (!file.buffer?.length) throw new Error("Archivo de audio vacío");
+    tmpInput = path.join(os.tmpdir(), `voice_in_${crypto.randomUUID()}`);
+    await fs.promises.writeFile(tmpInput, file.buffer);
+    inputPath = tmpInput;
+  }
+
+  const outputPath = path.join(os.tmpdir(), `voice_${crypto.randomUUID()}.${FORMAT.ext}`);
+
+  try {
+    const inputMeta = await probeVideoMetadata(inputPath);
+    if (inputMeta.durationSec && inputMeta.durationSec > MAX_DURATION_SEC)
+      throw new Error(`La nota de voz supera ${Math.round(MAX_DURATION_SEC / 60)} minutos`);
+
+    try {
+      await transcode(inputPath, outputPath);
+    } catch (err) {
+      console.warn("[VoiceNoteService] ffmpeg error:", err?.message || err);
+      throw new Error("Audio inválido o corrupto");
+    }
+
+    // MediaRecorder (webm) suele venir sin duración → la sacamos del resultado
+    const outputMeta = await probeVideoMetadata(outputPath);
+    const durationSec = outputMeta.durationSec || inputMeta.durationSec;
+    if (!durationSec) throw new Error("Audio inválido o corrupto");
+    if (durationSec > MAX_DURATION_SEC)
+      throw new Error(`La nota de voz supera ${Math.round(MAX_DURATION_SEC / 60)} minutos`);
+
+    let waveform = [];
+    try {
+      waveform = await computeWaveform(outputPath, durationSec);
+    } catch (err) {
+      // sin waveform la nota sigue siendo reproducible
+      console.warn("[VoiceNoteService] waveform error:", err?.message || err);
+    }
+
+    const stat = await fs.promises.stat(outputPath);
+
+    return {
+      absolutePath: outputPath,
+      mediaSize: stat.size,
+      mediaMime: FORMAT.mime,
+      durationSec: Math.round(durationSec * 100) / 100,
+      waveform,
+    };
+  } catch (err) {
+    safeUnlink(outputPath);
+    throw err;
+  } finally {
+    safeUnlink(tmpInput);
+    // diskStorage (processingUpload): el original ya no hace falta
+    if (file.path) safeUnlink(file.path);
+  }
+}
+
+export default { processVoiceNote };
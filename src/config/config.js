@@ -104,7 +104,7 @@ uploads: {
   uploadDir: required("UPLOADS_DIR", "uploads"),
 },
 
-  // 📡 WebRTC / SFU (Cloudflare)
+  // 📡 WebRTC: SFU de Cloudflare o TURN propio (coturn)
   webrtc: {
     provider: required("RTC_PROVIDER", "cloudflare"),
     appId: required("CLOUDFLARE_RTC_APP_ID", ""),
@@ -117,6 +117,15 @@ uploads: {
       .map((u) => u.trim())
       .filter(Boolean),
     ttlSeconds: parseInt(required("RTC_TTL_SECONDS", 3600), 10),
+
+    // 🧊 coturn (RTC_PROVIDER=coturn)
+    turn: {
+      urls: (process.env.RTC_TURN_URLS || "")
+        .split(",")
+        .map((u) => u.trim())
+        .filter(Boolean),
+      secret: process.env.RTC_TURN_SECRET || "",
+    },
   },
 
   // 📰 Noticias (alineado con tus .env de NEWSAPI / GNEWS / THENEWSAPI)
@@ -1,5 +1,25 @@
 import mongoose from "mongoose";
 
+/**
+ * 👥 Estado de cada participante
+ * ringing → joined ⇄ held → left   |   ringing → declined   |   ringing → missed (timeout)
+ * busy: ya estaba en dos llamadas (activa + en espera) al invitarlo
+ * (declined / left / missed / busy pueden volver a ringing con una invitación)
+ */
+export const PARTICIPANT_STATES = ["ringing", "joined", "held", "declined", "left", "missed", "busy"];
+
+const ParticipantStateSchema = new mongoose.Schema(
+  {
+    userId: { type: String, required: true },
+    state: { type: String, enum: PARTICIPANT_STATES, default: "ringing" },
+    invitedBy: { type: String, default: null },
+    invitedAt: { type: Date, default: Date.now },
+    joinedAt: { type: Date, default: null },
+    leftAt: { type: Date, default: null },
+  },
+  { _id: false }
+);
+
 /**
  * 📞 Esquema de llamadas (1 a 1 o grupales)
  * Soporta audio / video, con seguimiento de estado, participantes y duración.
@@ -19,13 +39,19 @@ const CallSchema = new mongoose.Schema(
       index: true,
     },
 
-    // Todos los participantes de la llamada
+    // Todos los participantes de la llamada (incluye invitados a mitad)
     participants: {
       type: [String],
       default: [],
       index: true,
     },
 
+    // Estado por participante (la llamada sigue activa con 2+ joined)
+    participantStates: {
+      type: [ParticipantStateSchema],
+      default: [],
+    },
+
     // Tipo de llamada: audio o video
     type: {
       type: String,
@@ -36,7 +62,7 @@ const CallSchema = new mongoose.Schema(
     // Estado de la llamada
     status: {
       type: String,
-      enum: ["ringing", "active", "rejected", "cancelled", "ended", "missed"],
+      enum: ["ringing", "active", "rejected", "cancelled", "ended", "missed", "busy"],
       default: "ringing",
       index: true,
     },
@@ -75,8 +101,9 @@ const CallSchema = new mongoose.Schema(
  */
 CallSchema.pre("save", function (next) {
   if (this.isModified("status") && this.status === "ended") {
-    if (this.startedAt && this.endedAt) {
-      this.duration = Math.round((this.endedAt - this.startedAt) / 1000);
+    const from = this.acceptedAt || this.startedAt;
+    if (from && this.endedAt) {
+      this.duration = Math.round((this.endedAt - from) / 1000);
     }
   }
   next();
@@ -95,5 +122,8 @@ CallSchema.virtual("isGroupCall").get(function () {
 CallSchema.index({ participants: 1, startedAt: -1 });
 CallSchema.index({ caller: 1, status: 1 });
 
+// Barrido de timbre vencido (CallTimeoutScheduler)
+CallSchema.index({ status: 1, "participantStates.state": 1, "participantStates.invitedAt": 1 });
+
 const Call = mongoose.model("Call", CallSchema);
 export default Call;
@@ -29,6 +29,19 @@ const CallLogSchema = new mongoose.Schema(
       index: true,
     },
 
+    // 👤 Quién llegó a unirse (llamadas grupales)
+    joined: {
+      type: [String],
+      default: [],
+    },
+
+    // 📵 Quién no contestó (timeout de timbre)
+    missed: {
+      type: [String],
+      default: [],
+      index: true,
+    },
+
     // 🎥 Tipo de llamada
     type: {
       type: String,
@@ -45,7 +58,7 @@ const CallLogSchema = new mongoose.Schema(
     // 📊 Estado final
     status: {
       type: String,
-      enum: ["completed", "missed", "cancelled", "rejected"],
+      enum: ["completed", "missed", "cancelled", "rejected", "busy"],
       default: "completed",
       index: true,
     },
@@ -60,6 +73,12 @@ const CallLogSchema = new mongoose.Schema(
       required: true,
     },
 
+    // 📶 Resumen de calidad (CallQualityService.summarizeCall)
+    quality: {
+      type: Object,
+      default: null,
+    },
+
     // 💬 Quién finalizó o canceló
     endedBy: {
       type: String,
@@ -0,0 +1,52 @@
+import mongoose from "mongoose";
+
+/**
+ * 📶 CallQualitySample.js
+ * Muestras periódicas de estadísticas WebRTC por participante (serie temporal).
+ * Se resumen en CallLog.quality al terminar la llamada.
+ */
+export const CANDIDATE_TYPES = ["host", "srflx", "prflx", "relay", "unknown"];
+export const NETWORK_TYPES = ["wifi", "cellular", "ethernet", "vpn", "other", "unknown"];
+
+const CallQualitySampleSchema = new mongoose.Schema(
+  {
+    callId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Call",
+      required: true,
+    },
+    userId: { type: String, required: true },
+
+    // 🕒 Momento de la muestra (reloj del cliente, acotado por el servidor)
+    at: { type: Date, required: true },
+
+    // 📊 Métricas
+    rttMs: { type: Number, default: null },
+    jitterMs: { type: Number, default: null },
+    packetLossPct: { type: Number, default: null },
+    bitrateKbps: { type: Number, default: null },
+    codec: { type: String, default: null, trim: true },
+    candidateType: { type: String, enum: CANDIDATE_TYPES, default: "unknown" },
+    networkType: { type: String, enum: NETWORK_TYPES, default: "unknown" },
+  },
+  { versionKey: false }
+);
+
+/* ======================================================
+   📚 Índices
+====================================================== */
+
+// Informe por llamada (timeline)
+CallQualitySampleSchema.index({ callId: 1, at: 1 });
+
+// Agregados por rango de fechas
+CallQualitySampleSchema.index({ at: -1, networkType: 1 });
+
+// Retención: 30 días (el resumen queda en CallLog)
+CallQualitySampleSchema.index({ at: 1 }, { expireAfterSeconds: 60 * 60 * 24 * 30 });
+
+const CallQualitySample =
+  mongoose.models.CallQualitySample ||
+  mongoose.model("CallQualitySample", CallQualitySampleSchema);
+
+export default CallQualitySample;
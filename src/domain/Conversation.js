@@ -0,0 +1,64 @@
+import mongoose from "mongoose";
+
+/**
+ * 👥 Conversation.js
+ * Conversaciones grupales del chat (miembros, admins, título/avatar)
+ * El room de los mensajes del grupo es el propio _id de la conversación.
+ */
+const ConversationSchema = new mongoose.Schema(
+  {
+    /* ======================================================
+       🏷 Identidad del grupo
+    ====================================================== */
+    title: { type: String, required: true, trim: true, maxlength: 120 },
+    avatar: { type: String, default: null },
+
+    /* ======================================================
+       👥 Miembros y administradores
+    ====================================================== */
+    createdBy: { type: String, required: true, index: true },
+    members: { type: [String], default: [], index: true },
+    admins: { type: [String], default: [] },
+
+    /* ======================================================
+       🕒 Actividad
+    ====================================================== */
+    lastMessageAt: { type: Date, default: null, index: true },
+  },
+  { versionKey: false, timestamps: true }
+);
+
+/* ======================================================
+   📚 Índices
+====================================================== */
+
+// Lista de grupos del usuario ordenada por actividad
+ConversationSchema.index({ members: 1, lastMessageAt: -1 });
+
+/* ======================================================
+   🛡 Consistencia: admins ⊆ members, sin duplicados
+====================================================== */
+ConversationSchema.pre("validate", function (next) {
+  this.members = [...new Set((this.members || []).map(String))];
+  this.admins = [...new Set((this.admins || []).map(String))].filter((id) =>
+    this.members.includes(id)
+  );
+  next();
+});
+
+/* ======================================================
+   🧩 Métodos de instancia
+====================================================== */
+ConversationSchema.methods.isMember = function (userId) {
+  return this.members.includes(String(userId));
+};
+
+ConversationSchema.methods.isAdmin = function (userId) {
+  return this.admins.includes(String(userId));
+};
+
+const Conversation =
+  mongoose.models.Conversation ||
+  mongoose.model("Conversation", ConversationSchema);
+
+export default Conversation;
@@ -0,0 +1,65 @@
+// ================================
+// 🔑 src/domain/DeviceKey.js
+// ================================
+// Directorio de claves públicas E2EE por dispositivo (estilo X3DH).
+// El servidor solo guarda material PÚBLICO: nunca ve claves privadas
+// ni texto plano de los mensajes.
+
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+// ======================================
+// 🧩 Prekey (firmada o de un solo uso)
+// ======================================
+const PreKeySchema = new Schema(
+  {
+    keyId: { type: Number, required: true },
+    publicKey: { type: String, required: true, trim: true }, // base64
+  },
+  { _id: false }
+);
+
+const SignedPreKeySchema = new Schema(
+  {
+    keyId: { type: Number, required: true },
+    publicKey: { type: String, required: true, trim: true }, // base64
+    signature: { type: String, required: true, trim: true }, // firmada con identityKey
+  },
+  { _id: false }
+);
+
+// ======================================
+// 🔐 Esquema de claves del dispositivo
+// ======================================
+const DeviceKeySchema = new Schema(
+  {
+    userId: { type: String, required: true, index: true },
+    deviceId: { type: String, required: true, trim: true, maxlength: 128 },
+
+    // 🪪 Identidad a largo plazo del dispositivo
+    registrationId: { type: Number, default: null },
+    identityKey: { type: String, required: true, trim: true },
+
+    // 🗝 Prekeys
+    signedPreKey: { type: SignedPreKeySchema, required: true },
+    oneTimePreKeys: { type: [PreKeySchema], default: [] },
+
+    // 🕒 Actividad
+    lastSeenAt: { type: Date, default: Date.now },
+  },
+  { versionKey: false, timestamps: true }
+);
+
+// ======================================
+// 📊 Índices
+// ======================================
+// Un bundle por (usuario, dispositivo)
+DeviceKeySchema.index({ userId: 1, deviceId: 1 }, { unique: true });
+
+// ======================================
+// ✅ Exportación estándar
+// ======================================
+const DeviceKey =
+  mongoose.models.DeviceKey || mongoose.model("DeviceKey", DeviceKeySchema);
+export default DeviceKey;
@@ -1,5 +1,56 @@
 import mongoose from "mongoose";
 
+/* ======================================================
+   🔐 Sobre E2EE: ciphertext opaco para UN dispositivo
+   (el servidor nunca ve el texto plano ni las claves)
+====================================================== */
+const EnvelopeSchema = new mongoose.Schema(
+  {
+    userId: { type: String, required: true },
+    deviceId: { type: String, required: true },
+    type: { type: String, enum: ["prekey", "message"], default: "message" },
+    ciphertext: { type: String, required: true },
+  },
+  { _id: false }
+);
+
+/* ======================================================
+   ✏️ Revisión previa de un mensaje editado
+   (text plano, o los sobres E2EE anteriores)
+====================================================== */
+const EditRevisionSchema = new mongoose.Schema(
+  {
+    text: { type: String, default: "" },
+    envelopes: { type: [EnvelopeSchema], default: undefined },
+    editedAt: { type: Date, default: Date.now }, // cuándo fue reemplazada
+  },
+  { _id: false }
+);
+
+/* ======================================================
+   😀 Reacción emoji (una fila por usuario + emoji)
+====================================================== */
+const ReactionSchema = new mongoose.Schema(
+  {
+    emoji: { type: String, required: true },
+    userId: { type: String, required: true },
+    createdAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+/* ======================================================
+   📬 Receipt por destinatario (entregado / leído)
+====================================================== */
+const ReceiptSchema = new mongoose.Schema(
+  {
+    userId: { type: String, required: true },
+    deliveredAt: { type: Date, default: null },
+    readAt: { type: Date, default: null },
+  },
+  { _id: false }
+);
+
 const MessageSchema = new mongoose.Schema(
   {
     /* ======================================================
@@ -8,7 +59,19 @@ const MessageSchema = new mongoose.Schema(
     room: { type: String, required: true, index: true },
 
     from: { type: String, required: true, index: true },
-    to: { type: String, required: true, index: true },
+
+    // 1:1 → destinatario; en grupos es null (se usa conversationId)
+    to: {
+      type: String,
+      default: null,
+      index: true,
+      required: function () {
+        return !this.conversationId;
+      },
+    },
+
+    // 👥 Conversación grupal (room === conversationId)
+    conversationId: { type: String, default: null, index: true },
 
     /* ======================================================
        💬 Contenido
@@ -17,10 +80,22 @@ const MessageSchema = new mongoose.Schema(
 
     type: {
       type: String,
-      enum: ["text", "image", "video", "audio", "file"],
+      enum: ["text", "image", "video", "audio", "file", "system"],
       default: "text",
     },
 
+    // ⚙️ Mensajes de sistema (type = "system"), p.ej. retention_changed
+    system: {
+      type: new mongoose.Schema(
+        {
+          event: { type: String, required: true },
+          data: { type: mongoose.Schema.Types.Mixed, default: {} },
+        },
+        { _id: false }
+      ),
+      default: null,
+    },
+
     /* ======================================================
        📁 Multimedia (opcional)
     ====================================================== */
@@ -32,19 +107,55 @@ const MessageSchema = new mongoose.Schema(
     // mime real capturado por uploadMiddleware
     mediaMime: { type: String, default: null },
 
-    // thumbnail para videos/imágenes (FUTURE READY)
+    // thumbnail JPG para videos/imágenes (ChatMediaService)
     thumbnailUrl: { type: String, default: null },
 
+    // duración (s) de audio / video
+    mediaDuration: { type: Number, default: null },
+
+    // 🎤 Notas de voz: waveform (picos 0–100)
+    voiceNote: { type: Boolean, default: false },
+    waveform: { type: [Number], default: undefined },
+
     /* ======================================================
-       🧪 Seguridad (AES opcional)
+       ↩️ Respuesta / cita / reenvío
     ====================================================== */
-    chatKey: { type: String, default: null },
+    replyTo: { type: String, default: null, index: true },
+    quotedText: { type: String, default: null },
+    forwardedFrom: {
+      type: new mongoose.Schema(
+        {
+          messageId: { type: String, required: true },
+          from: { type: String, required: true }, // autor original
+        },
+        { _id: false }
+      ),
+      default: null,
+    },
+
+    /* ======================================================
+       🔐 Cifrado extremo a extremo
+       - none   → text en claro
+       - e2ee   → text vacío, contenido solo en envelopes
+       - legacy → text AES con chatKey del cliente (ya no se guarda la clave)
+    ====================================================== */
+    encryption: {
+      type: String,
+      enum: ["none", "e2ee", "legacy"],
+      default: "none",
+      index: true,
+    },
+    senderDeviceId: { type: String, default: null },
+    envelopes: { type: [EnvelopeSchema], default: [] },
 
     /* ======================================================
        📖 Estado
     ====================================================== */
     read: { type: Boolean, default: false, index: true },
 
+    // estado por destinatario (1:1 → 1 receipt, grupo → N)
+    receipts: { type: [ReceiptSchema], default: [] },
+
     timestamp: {
       type: Date,
       default: Date.now,
@@ -57,6 +168,28 @@ const MessageSchema = new mongoose.Schema(
       index: true,
     },
 
+    /* ======================================================
+       ✏️ Edición
+    ====================================================== */
+    editedAt: { type: Date, default: null },
+    editHistory: { type: [EditRevisionSchema], default: [] },
+
+    /* ======================================================
+       😀 Reacciones
+    ====================================================== */
+    reactions: { type: [ReactionSchema], default: [] },
+
+    /* ======================================================
+       📌 Fijado en el chat (visible para todos los participantes)
+    ====================================================== */
+    pinnedAt: { type: Date, default: null },
+    pinnedBy: { type: String, default: null },
+
+    /* ======================================================
+       ⏳ Mensajes temporales (RetentionPolicy del room)
+    ====================================================== */
+    expiresAt: { type: Date, default: null },
+
     /* ======================================================
        🗑 Soft delete
     ====================================================== */
@@ -81,14 +214,42 @@ MessageSchema.index({ from: 1, to: 1, timestamp: -1 });
 MessageSchema.index({ to: 1, read: 1 });
 MessageSchema.index({ from: 1, deleted: 1 });
 
+// Receipts pendientes por usuario (unread / delivered)
+MessageSchema.index({ room: 1, "receipts.userId": 1, "receipts.readAt": 1 });
+
 // Soft-delete & restore más rápido
 MessageSchema.index({ deleted: 1, deletedAt: -1 });
 
+// Mensajes fijados por room
+MessageSchema.index(
+  { room: 1, pinnedAt: -1 },
+  { partialFilterExpression: { pinnedAt: { $type: "date" } } }
+);
+
+// Control de acceso a /uploads/chat/* y limpieza de media huérfana
+MessageSchema.index({ mediaUrl: 1 }, { partialFilterExpression: { mediaUrl: { $type: "string" } } });
+MessageSchema.index(
+  { thumbnailUrl: 1 },
+  { partialFilterExpression: { thumbnailUrl: { $type: "string" } } }
+);
+
+// Barrido de mensajes temporales vencidos
+MessageSchema.index(
+  { expiresAt: 1 },
+  { partialFilterExpression: { expiresAt: { $type: "date" } } }
+);
+
+// Búsqueda full-text (solo mensajes en claro tienen texto indexable)
+MessageSchema.index(
+  { text: "text" },
+  { name: "message_text_search", default_language: "spanish", language_override: "searchLanguage" }
+);
+
 /* ======================================================
    🧹 Limpieza automática
 ====================================================== */
 MessageSchema.pre("save", function (next) {
-  if (!this.text && !this.mediaUrl) {
+  if (!this.text && !this.mediaUrl && this.encryption !== "e2ee") {
     this.text = "[mensaje vacío]";
   }
 
@@ -105,9 +266,13 @@ MessageSchema.pre("save", function (next) {
 ====================================================== */
 MessageSchema.pre("validate", function (next) {
   // evitar mensajes corruptos de media
-  if (this.type !== "text" && !this.mediaUrl) {
+  if (this.type !== "text" && this.type !== "system" && !this.mediaUrl) {
     return next(new Error("mediaUrl requerido para mensajes multimedia"));
   }
+  // un mensaje E2EE no puede llevar texto legible por el servidor
+  if (this.encryption === "e2ee" && (this.text || !this.envelopes?.length)) {
+    return next(new Error("Mensaje E2EE inválido: requiere envelopes y text vacío"));
+  }
   next();
 });
 
@@ -10,6 +10,7 @@
 // ✔ Conserva thumb personalizado, isCover y watermark
 // ✔ 🆕 Soporta videoTopics, videoAnalyzedAt y viewsCount
 // ✔ 🆕 Alias videoViews para compat con PostModel.toPublicJSON
+// ✔ 🆕 hashtags + mentions (userIds)
 // ======================================================
 
 import UserModel from "../infrastructure/models/UserModel.js";
@@ -104,6 +105,8 @@ export class Post {
     likes = [],
     topics = [],
     videoTopics = [],
+    hashtags = [],
+    mentions = [],
     commentsCount = 0,
     createdAt = new Date(),
     updatedAt = new Date(),
@@ -232,6 +235,14 @@ export class Post {
           .filter(Boolean)
       : [];
 
+    this.hashtags = Array.isArray(hashtags)
+      ? hashtags.filter((t) => typeof t === "string" && t)
+      : [];
+
+    this.mentions = Array.isArray(mentions)
+      ? mentions.filter(Boolean).map(String)
+      : [];
+
     const likeSet = new Set();
     if (Array.isArray(likes)) {
       likes.forEach((id) => {
@@ -287,6 +298,8 @@ export class Post {
       likes: plain.likes || [],
       topics: plain.topics || [],
       videoTopics: plain.videoTopics || [],
+      hashtags: plain.hashtags || [],
+      mentions: plain.mentions || [],
       commentsCount:
         typeof plain.commentsCount === "number"
           ? plain.commentsCount
@@ -427,6 +440,8 @@ export class Post {
       topics: this.topics,
       videoTopics: this.videoTopics || [],
       videoAnalyzedAt: this.videoAnalyzedAt || null,
+      hashtags: this.hashtags,
+      mentions: this.mentions,
       likes: this.likes,
       likesCount: this.likes.length,
       commentsCount: this.commentsCount,
@@ -451,6 +466,8 @@ export class Post {
       media: this.media,
       topics: this.topics,
       videoTopics: this.videoTopics || [],
+      hashtags: this.hashtags,
+      mentions: this.mentions,
       likes: this.likes,
       commentsCount: this.commentsCount,
       viewsCount: this.viewsCount,
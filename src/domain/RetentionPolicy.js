@@ -0,0 +1,27 @@
+import mongoose from "mongoose";
+
+/**
+ * ⏳ RetentionPolicy.js
+ * Mensajes temporales por chat (1:1 o grupo), identificado por room.
+ * Solo afecta a los mensajes enviados después del cambio (expiresAt se fija al enviar).
+ */
+const RetentionPolicySchema = new mongoose.Schema(
+  {
+    room: { type: String, required: true, unique: true },
+
+    // 👥 null en chats 1:1
+    conversationId: { type: String, default: null },
+
+    // ⏱ 0 = desactivado
+    ttlSeconds: { type: Number, required: true, min: 0 },
+
+    setBy: { type: String, required: true },
+  },
+  { versionKey: false, timestamps: true }
+);
+
+const RetentionPolicy =
+  mongoose.models.RetentionPolicy ||
+  mongoose.model("RetentionPolicy", RetentionPolicySchema);
+
+export default RetentionPolicy;
@@ -0,0 +1,61 @@
+import mongoose from "mongoose";
+
+/**
+ * 🗓️ ScheduledCall.js
+ * Llamadas programadas: organizador + asistentes con RSVP.
+ * ScheduledCallScheduler envía el recordatorio (10 min antes) y a la hora
+ * hace sonar a los asistentes con CallService.startCall.
+ */
+export const RSVP_RESPONSES = ["pending", "accepted", "declined", "tentative"];
+
+const AttendeeSchema = new mongoose.Schema(
+  {
+    userId: { type: String, required: true },
+    rsvp: { type: String, enum: RSVP_RESPONSES, default: "pending" },
+    respondedAt: { type: Date, default: null },
+  },
+  { _id: false }
+);
+
+const ScheduledCallSchema = new mongoose.Schema(
+  {
+    organizer: { type: String, required: true, index: true },
+    title: { type: String, trim: true, maxlength: 120, default: "" },
+    description: { type: String, trim: true, maxlength: 1000, default: "" },
+    type: { type: String, enum: ["audio", "video"], default: "audio" },
+
+    startsAt: { type: Date, required: true },
+    attendees: { type: [AttendeeSchema], default: [] },
+
+    // scheduled → started (sonó) | cancelled | expired (servidor caído) | failed
+    status: {
+      type: String,
+      enum: ["scheduled", "started", "cancelled", "expired", "failed"],
+      default: "scheduled",
+    },
+
+    reminderSentAt: { type: Date, default: null },
+    startedAt: { type: Date, default: null },
+    cancelledAt: { type: Date, default: null },
+
+    // llamada creada al empezar
+    callId: { type: mongoose.Schema.Types.ObjectId, ref: "Call", default: null },
+  },
+  { timestamps: true, versionKey: false }
+);
+
+/* ======================================================
+   📚 Índices
+====================================================== */
+
+// Barrido del scheduler (recordatorios / inicio)
+ScheduledCallSchema.index({ status: 1, startsAt: 1 });
+
+// Agenda del usuario
+ScheduledCallSchema.index({ "attendees.userId": 1, startsAt: 1 });
+ScheduledCallSchema.index({ organizer: 1, startsAt: 1 });
+
+const ScheduledCall =
+  mongoose.models.ScheduledCall || mongoose.model("ScheduledCall", ScheduledCallSchema);
+
+export default ScheduledCall;
@@ -0,0 +1,33 @@
+import mongoose from "mongoose";
+
+/**
+ * ⭐ StarredMessage.js
+ * Mensajes destacados: privados por usuario (el otro participante no los ve).
+ * Se guarda el room para listar por chat sin tocar Message.
+ */
+const StarredMessageSchema = new mongoose.Schema(
+  {
+    userId: { type: String, required: true },
+    messageId: { type: String, required: true, index: true },
+    room: { type: String, required: true },
+    starredAt: { type: Date, default: Date.now },
+  },
+  { versionKey: false }
+);
+
+/* ======================================================
+   📚 Índices
+====================================================== */
+
+// Un destacado por usuario y mensaje
+StarredMessageSchema.index({ userId: 1, messageId: 1 }, { unique: true });
+
+// Listados (todos / por room) ordenados por fecha
+StarredMessageSchema.index({ userId: 1, starredAt: -1 });
+StarredMessageSchema.index({ userId: 1, room: 1, starredAt: -1 });
+
+const StarredMessage =
+  mongoose.models.StarredMessage ||
+  mongoose.model("StarredMessage", StarredMessageSchema);
+
+export default StarredMessage;
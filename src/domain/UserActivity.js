@@ -42,6 +42,16 @@ const ChatActivitySchema = new Schema(
     chatId: { type: String, required: true },
     lastMessageAt: { type: Date, default: Date.now },
     unreadCount: { type: Number, default: 0 },
+
+    // ⚙️ Ajustes del usuario para este chat
+    mutedUntil: { type: Date, default: null }, // año 9999 = silenciado siempre
+    archived: { type: Boolean, default: false },
+    markedUnread: { type: Boolean, default: false },
+    notificationLevel: {
+      type: String,
+      enum: ["all", "mentions", "none"],
+      default: "all",
+    },
   },
   { _id: false }
 );
@@ -124,6 +134,7 @@ const UserActivitySchema = new Schema(
     notifications: { type: [NotificationSchema], default: [] },
     typing: { type: TypingStateSchema, default: () => ({}) },
     currentCall: { type: CurrentCallSchema, default: null },
+    missedCallsSeenAt: { type: Date, default: null }, // badge de llamadas perdidas
 
     // 🧾 Logs de acciones
     logs: [
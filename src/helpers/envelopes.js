@@ -0,0 +1,28 @@
+// src/helpers/envelopes.js
+// Helpers HTTP para mensajes E2EE (MessageRoutes y ChatController)
+
+/**
+ * multipart → envelopes llega como string JSON
+ * @param {string|Array|null} raw
+ * @returns {Array|null}
+ * @throws {Error} "envelopes inválido" si el JSON no se puede leer
+ */
+export function parseEnvelopes(raw) {
+  if (!raw) return null;
+  if (Array.isArray(raw)) return raw;
+  try {
+    return JSON.parse(raw);
+  } catch {
+    throw new Error("envelopes inválido");
+  }
+}
+
+/**
+ * Responde el error de un envío: 409 con details { missing, extra, withoutKeys }
+ * si los sobres no cubren los dispositivos registrados, si no `fallback`.
+ */
+export function sendError(res, err, fallback = 400) {
+  if (err.code === "DEVICE_MISMATCH")
+    return res.status(409).json({ success: false, error: err.message, details: err.details });
+  return res.status(fallback).json({ success: false, error: err.message });
+}
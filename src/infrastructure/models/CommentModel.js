@@ -52,6 +52,18 @@ const CommentSchema = new Schema(
       },
     ],
 
+    // #️⃣ Hashtags del contenido (minúsculas, sin acentos)
+    hashtags: {
+      type: [String],
+      default: [],
+    },
+
+    // 🏷️ Usuarios mencionados (@username → userId, string como en PostModel)
+    mentions: {
+      type: [String],
+      default: [],
+    },
+
     // ✅ NUEVO: media opcional (array)
     media: [
       new Schema(
@@ -107,6 +119,8 @@ CommentSchema.pre("validate", function (next) {
 // 🔧 Índices: solo los necesarios aquí
 CommentSchema.index({ targetId: 1, targetType: 1 });
 CommentSchema.index({ content: "text" });
+CommentSchema.index({ hashtags: 1, createdAt: -1 });
+CommentSchema.index({ mentions: 1 });
 
 CommentSchema.virtual("likeCount").get(function () {
   return this.likes.length;
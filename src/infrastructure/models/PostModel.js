@@ -11,6 +11,7 @@
 // 🆕 viewsCount (contador de visualizaciones)
 // 🆕 videoTopics + videoAnalyzedAt (análisis IA de video)
 // 🆕 dislikes (simétrico a likes)
+// 🆕 hashtags + mentions (HashtagService)
 // ======================================================
 
 import mongoose from "mongoose";
@@ -406,6 +407,12 @@ const PostSchema = new mongoose.Schema(
     // 🕒 Cuándo se analizó por última vez el video
     videoAnalyzedAt: { type: Date, default: null },
 
+    // #️⃣ Hashtags del contenido (minúsculas, sin acentos)
+    hashtags: { type: [String], default: [] },
+
+    // 🏷️ Usuarios mencionados (@username → userId)
+    mentions: { type: [String], default: [], index: true },
+
     likes: {
       type: [String],
       default: [],
@@ -435,6 +442,7 @@ const PostSchema = new mongoose.Schema(
 PostSchema.index({ createdAt: -1 });
 PostSchema.index({ authorId: 1, createdAt: -1 });
 PostSchema.index({ videoTopics: 1, createdAt: -1 });
+PostSchema.index({ hashtags: 1, createdAt: -1 });
 
 /* ======================================================
    🌍 JSON para frontend — VIDEO JSON FRIENDLY + ORIENTATION
@@ -569,6 +577,9 @@ PostSchema.methods.toPublicJSON = function () {
     videoTopics,
     videoAnalyzedAt: this.videoAnalyzedAt || null,
 
+    hashtags: Array.isArray(this.hashtags) ? this.hashtags : [],
+    mentions: Array.isArray(this.mentions) ? this.mentions : [],
+
     likes: likesArray,
     likesCount: likesArray.length,
 
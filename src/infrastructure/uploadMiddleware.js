@@ -7,10 +7,13 @@
 // ✔ Límite por defecto 500MB (configurable por env)
 // ✔ Soporte dual: disco local / Cloudflare R2 (UPLOAD_DRIVER)
 // ✔ 100% compatible con hybridUpload / PostController
+// ✔ processingUpload + putUploadFile / removeUploadFile (media que se
+//   procesa en el servidor antes de guardarse, p.ej. adjuntos del chat)
 // ======================================================
 
 import multer from "multer";
 import fs from "fs";
+import os from "os";
 import path from "path";
 import crypto from "crypto";
 import { fileURLToPath } from "url";
@@ -106,6 +109,10 @@ const MIME_EXTENSION = {
   "audio/mp3": ".mp3",
   "audio/wav": ".wav",
   "audio/ogg": ".ogg",
+  "audio/webm": ".webm",
+  "audio/mp4": ".m4a",
+  "audio/x-m4a": ".m4a",
+  "audio/aac": ".aac",
 };
 
 const allowedMime = new Set(Object.keys(MIME_EXTENSION));
@@ -313,5 +320,104 @@ const upload = multer({
   },
 });
 
+// ======================================================
+// 🧪 Subidas a procesar (thumbnails, transcode...)
+// ------------------------------------------------------
+// El archivo queda en un temporal local (también con R2) y
+// luego se guarda con putUploadFile en el driver activo.
+// ======================================================
+const processingStorage = multer.diskStorage({
+  destination: (req, file, cb) => cb(null, os.tmpdir()),
+  filename: (req, file, cb) =>
+    cb(null, `qcx_${Date.now()}_${crypto.randomBytes(8).toString("hex")}${pickExtension(file)}`),
+});
+
+export const processingUpload = multer({
+  storage: processingStorage,
+  fileFilter,
+  limits: {
+    fileSize: maxFileSizeBytes,
+    files: MAX_FILES_PER_REQUEST,
+  },
+});
+
+const normalizeRelPath = (relPath) => {
+  const rel = String(relPath || "")
+    .replace(/\\/g, "/")
+    .replace(/^\/?uploads\//, "")
+    .replace(/^\/+/, "");
+  if (!rel || rel.split("/").includes("..")) throw new Error("Ruta de upload inválida");
+  return rel;
+};
+
+/**
+ * Guarda un archivo local en el almacenamiento activo (disco o R2).
+ * @param {string} localPath - archivo temporal (se mueve / se borra)
+ * @param {string} relPath - ruta relativa dentro de uploads (ej: "chat/room/a.jpg")
+ * @param {string} [contentType]
+ * @returns {Promise<string>} - URL lógica "/uploads/<relPath>"
+ */
+export async function putUploadFile(localPath, relPath, contentType) {
+  const rel = normalizeRelPath(relPath);
+
+  if (UPLOAD_DRIVER === "r2") {
+    if (!r2Client || !R2_BUCKET) {
+      throw new Error("R2 no está configurado correctamente. Revisa variables de entorno.");
+    }
+
+    const { size } = await fs.promises.stat(localPath);
+    await r2Client.send(
+      new PutObjectCommand({
+        Bucket: R2_BUCKET,
+        Key: `${UPLOADS_BASE_DIR}/${rel}`.replace(/\/\/+/g, "/"),
+        Body: fs.createReadStream(localPath),
+        ContentType: contentType,
+        ContentLength: size,
+      })
+    );
+    await fs.promises.unlink(localPath).catch(() => {});
+  } else {
+    const target = path.join(UPLOADS_BASE_DIR, rel);
+    ensureDir(path.dirname(target));
+    try {
+      await fs.promises.rename(localPath, target);
+    } catch (err) {
+      // /tmp en otro dispositivo → copiar + borrar
+      if (err.code !== "EXDEV") throw err;
+      await fs.promises.copyFile(localPath, target);
+      await fs.promises.unlink(localPath).catch(() => {});
+    }
+  }
+
+  return `/uploads/${rel}`;
+}
+
+/**
+ * Borra un archivo del almacenamiento activo. Devuelve false si no existía.
+ * @param {string} relPath - "chat/room/a.jpg" o "/uploads/chat/room/a.jpg"
+ */
+export async function removeUploadFile(relPath) {
+  const rel = normalizeRelPath(relPath);
+
+  if (UPLOAD_DRIVER === "r2") {
+    if (!r2Client || !R2_BUCKET) return false;
+    await r2Client.send(
+      new DeleteObjectCommand({
+        Bucket: R2_BUCKET,
+        Key: `${UPLOADS_BASE_DIR}/${rel}`.replace(/\/\/+/g, "/"),
+      })
+    );
+    return true;
+  }
+
+  try {
+    await fs.promises.unlink(path.join(UPLOADS_BASE_DIR, rel));
+    return true;
+  } catch (err) {
+    if (err.code === "ENOENT") return false;
+    throw err;
+  }
+}
+
 export default upload;
 // ======================================================
@@ -0,0 +1,75 @@
+// ======================================================
+// 🧊 coturn (TURN propio) — credenciales temporales
+// ------------------------------------------------------
+// • "REST API for TURN" (coturn: use-auth-secret + static-auth-secret)
+//   username   = "<expira unix>:<userId>"
+//   credential = base64(HMAC-SHA1(secret, username))
+// • Envs: RTC_TURN_URLS, RTC_TURN_SECRET (nunca se envía al cliente)
+// • STUN: RTC_ICE_SERVERS (mismo que Cloudflare)
+// ======================================================
+
+import crypto from "crypto";
+import config from "../config/config.js";
+
+function turnConfig() {
+  return config.webrtc?.turn || {};
+}
+
+function ttlSeconds() {
+  return Number(config.webrtc?.ttlSeconds || 3600);
+}
+
+export function hasCoturnConfig() {
+  const turn = turnConfig();
+  return Boolean(turn.secret && turn.urls?.length);
+}
+
+/**
+ * Credenciales TURN ligadas al usuario del JWT y con caducidad.
+ */
+export function mintTurnCredentials(userId, ttl = ttlSeconds(), now = Date.now()) {
+  if (!userId) throw new Error("Usuario requerido para credenciales TURN");
+
+  const expiresAt = Math.floor(now / 1000) + ttl;
+  const username = `${expiresAt}:${userId}`;
+  const credential = crypto
+    .createHmac("sha1", turnConfig().secret)
+    .update(username)
+    .digest("base64");
+
+  return { username, credential, expiresAt: new Date(expiresAt * 1000).toISOString() };
+}
+
+function iceServersWith({ username, credential }) {
+  const stun = (config.webrtc?.iceServers || []).filter((u) => u.startsWith("stun:"));
+  return [...stun.map((u) => ({ urls: u })), { urls: turnConfig().urls, username, credential }];
+}
+
+export function buildIceServers({ userId } = {}) {
+  return iceServersWith(mintTurnCredentials(userId));
+}
+
+export function createRtcPayload({ roomId, userId, username }) {
+  const now = Date.now();
+  const ttl = ttlSeconds();
+  const turn = mintTurnCredentials(userId, ttl, now);
+
+  return {
+    provider: "coturn",
+    appId: null,
+    roomId: roomId || crypto.randomUUID(),
+    clientId: userId || null,
+    username: username || null,
+    iceServers: iceServersWith(turn),
+    hasServerToken: false,
+    issuedAt: new Date(now).toISOString(),
+    expiresAt: turn.expiresAt,
+    ttlSeconds: ttl,
+  };
+}
+
+export function ensureRtcEnabled() {
+  if (!hasCoturnConfig()) {
+    throw new Error("coturn no está configurado (RTC_TURN_URLS y RTC_TURN_SECRET requeridos)");
+  }
+}
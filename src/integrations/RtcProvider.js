@@ -0,0 +1,39 @@
+// ======================================================
+// 📡 Proveedor RTC (config.webrtc.provider / RTC_PROVIDER)
+// ------------------------------------------------------
+// • cloudflare → SFU de Cloudflare (CloudflareRTC)
+// • coturn     → TURN propio con credenciales HMAC (CoturnRTC)
+// Todos exponen: ensureRtcEnabled, buildIceServers({ userId }),
+// createRtcPayload({ roomId, userId, username }), hasApiToken
+// ======================================================
+
+import config from "../config/config.js";
+import * as CloudflareRTC from "./CloudflareRTC.js";
+import * as CoturnRTC from "./CoturnRTC.js";
+
+const PROVIDERS = {
+  cloudflare: {
+    name: "cloudflare",
+    ensureRtcEnabled: CloudflareRTC.ensureRtcEnabled,
+    buildIceServers: () => CloudflareRTC.buildIceServers(),
+    createRtcPayload: CloudflareRTC.createRtcPayload,
+    hasApiToken: CloudflareRTC.hasApiToken,
+    appId: () => config.webrtc?.appId || null,
+  },
+  coturn: {
+    name: "coturn",
+    ensureRtcEnabled: CoturnRTC.ensureRtcEnabled,
+    buildIceServers: CoturnRTC.buildIceServers,
+    createRtcPayload: CoturnRTC.createRtcPayload,
+    hasApiToken: () => false,
+    appId: () => null,
+  },
+};
+
+export function getRtcProvider(name = config.webrtc?.provider || "cloudflare") {
+  const provider = PROVIDERS[String(name).toLowerCase()];
+  if (!provider) throw new Error(`Proveedor RTC desconocido: ${name}`);
+  return provider;
+}
+
+export default getRtcProvider;
@@ -26,11 +26,14 @@ import {
 import { refreshTokens } from "../infrastructure/JWTProvider.js";
 import { DailyContentScheduler } from "../schedulers/DailyContentScheduler.js";
 
-import { verifyAccessToken } from "./middlewares/AuthMiddleware.js";
+import {
+  verifyAccessToken,
+  decodeSessionToken,
+  revokeUserSessions,
+} from "./middlewares/AuthMiddleware.js";
 import { trackActivity } from "./middlewares/trackActivity.js";
 import { errorHandler, notFoundHandler } from "./middlewares/ErrorHandler.js";
 
-import ChatService from "../application/ChatService.js";
 import NewsService from "../application/NewsService.js";
 
 // Routers públicos
@@ -52,6 +55,7 @@ import newsRoutes from "./routes/newsRoutes.js";
 import deviceRoutes from "./routes/deviceRoutes.js";
 import postRoutes from "./routes/postRoutes.js";
 import chatRoutes from "./routes/chatRoutes.js";
+import messageRoutes from "./routes/MessageRoutes.js";
 import callRoutes from "./routes/callRoutes.js";
 import interactionRoutes from "./routes/interactionRoutes.js";
 import commentRoutes from "./routes/commentRoutes.js";
@@ -215,77 +219,7 @@ export async function createExpressApp({
     attachSocketService(socketService);
     console.log("🌐 SocketService activo");
 
-    const ioChats = socketService.io?.of("/chats");
-
-    if (ioChats) {
-      ioChats.on("connection", (socket) => {
-        const userId = socket.handshake.query.userId;
-
-        console.log(`💬 [Chat] conectado → ${userId} (${socket.id})`);
-
-        socket.on("private_message", async ({ to, message }) => {
-          try {
-            await ChatService.sendMessage({
-              from: userId,
-              to,
-              text: message,
-              chatKey: process.env.ENCRYPTION_KEY,
-              wsEmit: (ev, data) => {
-                socketService.emitToUser(to, ev, data);
-                socketService.emitToUser(userId, ev, data);
-              },
-            });
-          } catch (err) {
-            console.error("❌ WS private_message:", err.message);
-          }
-        });
-
-        socket.on("typing", ({ to }) => {
-          socketService.emitToUser(to, "typing", {
-            from: userId,
-            timestamp: Date.now(),
-          });
-        });
-
-        socket.on("mark_read", async ({ room }) => {
-          await ChatService.markAsRead(room, userId);
-          socketService.emitToUser(userId, "messages_read", {
-            room,
-            by: userId,
-          });
-        });
-
-        socket.on("delete_message", async ({ messageId }) => {
-          const payload = await ChatService.softDeleteMessage(
-            messageId,
-            userId,
-            (ev, data) => socketService.emitToUser(userId, ev, data)
-          );
-          socketService.emitToUser(
-            payload.deletedBy,
-            "message_deleted",
-            payload
-          );
-        });
-
-        socket.on("restore_message", async ({ messageId }) => {
-          const payload = await ChatService.restoreMessage(
-            messageId,
-            userId
-          );
-          socketService.emitToUser(
-            userId,
-            "message_restored",
-            payload
-          );
-          socketService.emitToUser(
-            payload.restoredBy,
-            "message_restored",
-            payload
-          );
-        });
-      });
-    }
+    // Los eventos de /chats los atiende SocketService (_attachChatHandlers)
   }
 
   // ======================================================
@@ -426,6 +360,7 @@ export async function createExpressApp({
   protectedRouter.use("/devices", deviceRoutes);
   protectedRouter.use("/posts", postRoutes);
   protectedRouter.use("/chat", chatRoutes);
+  protectedRouter.use("/messages", messageRoutes);
   protectedRouter.use("/calls", callRoutes);
   protectedRouter.use("/interactions", interactionRoutes);
   protectedRouter.use("/webrtc", webrtcRoutes);
@@ -479,12 +414,20 @@ export async function createExpressApp({
     try {
       const { token, refreshToken, userId } = req.body || {};
 
+      // Solo con un token válido del propio usuario se revocan sus sesiones (HTTP + WS)
+      const owner = token ? await decodeSessionToken(token, { allowExpired: true }).catch(() => null) : null;
+
       if (redis) {
         if (token) await redis.del(`session:${token}`);
         if (refreshToken) await redis.del(`refresh:${refreshToken}`);
         if (userId) await redis.del(`user:${userId}`);
       }
 
+      if (owner && (!userId || String(owner.user.id) === String(userId))) {
+        await revokeUserSessions(owner.user.id);
+        getSocketService().disconnectUser(owner.user.id);
+      }
+
       return res.json({
         success: true,
         message: "Sesión cerrada.",
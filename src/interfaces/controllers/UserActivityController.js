@@ -14,6 +14,7 @@ import config from "../../config/config.js";
 import { initRedis, getRedis } from "../../infrastructure/RedisProvider.js";
 import { UserActivity } from "../../domain/UserActivity.js";
 import { getSocketService } from "../websockets/SocketService.js";
+import { isSessionRevoked, sessionClaims } from "../middlewares/AuthMiddleware.js";
 
 const flattenHash = (hash = {}) =>
   Object.entries(hash).flatMap(([k, v]) => [k, v]);
@@ -275,11 +276,15 @@ export const refreshToken = async (req, res) => {
       ignoreExpiration: true,
     });
 
+    if (await isSessionRevoked(decoded.id, decoded.iat, decoded.sv))
+      return res.status(401).json({ success: false, error: "Sesión revocada" });
+
     const newToken = jwt.sign(
       {
         id: decoded.id,
         username: decoded.username,
         role: decoded.role,
+        ...(await sessionClaims(decoded.id)),
       },
       config.jwt.secret,
       { expiresIn: "365d" }
@@ -15,6 +15,7 @@ import path from "path";
 import chalk from "chalk";
 import bcrypt from "bcryptjs";
 import { UserActivityService } from "../../application/UserActivityService.js";
+import { sessionClaims } from "../middlewares/AuthMiddleware.js";
 
 const uploadDir = path.resolve("./uploads");
 if (!fs.existsSync(uploadDir)) fs.mkdirSync(uploadDir, { recursive: true });
@@ -22,7 +23,7 @@ if (!fs.existsSync(uploadDir)) fs.mkdirSync(uploadDir, { recursive: true });
 export function authController(JWT_SECRET) {
   if (!JWT_SECRET) throw new Error("❌ JWT_SECRET no definido");
 
-  const signAuthToken = (user) => {
+  const signAuthToken = async (user) => {
     return jwt.sign(
       {
         id: user._id.toString(),
@@ -30,6 +31,7 @@ export function authController(JWT_SECRET) {
         username: user.username,
         email: user.email,
         role: user.role || "user",
+        ...(await sessionClaims(user._id)),
       },
       JWT_SECRET,
       { expiresIn: "7d" }
@@ -170,7 +172,7 @@ export function authController(JWT_SECRET) {
             error: "Usuario no encontrado o credenciales inválidas.",
           });
 
-        const token = signAuthToken(user);
+        const token = await signAuthToken(user);
 
         // 🧩 Registrar actividad
         await UserActivityService.registerUserAction(user._id, "login", {
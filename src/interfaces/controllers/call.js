@@ -5,16 +5,40 @@
  */
 
 import CallService from "../../application/CallService.js";
+import CallQualityService from "../../application/CallQualityService.js";
+import CallHistoryService from "../../application/CallHistoryService.js";
 import { addNotification } from "../../application/UserActivityService.js";
 
+// Mensajes de CallService → código HTTP
+const BAD_REQUEST = [
+  "Receptor requerido",
+  "Sin participantes nuevos",
+  "Sin muestras",
+  "Rango de fechas inválido",
+  "Cursor inválido",
+];
+
+function callErrorStatus(err) {
+  const msg = err?.message || "";
+  if (msg === "Llamada no encontrada" || msg === "Registro no encontrado") return 404;
+  if (msg === "No autorizado") return 403;
+  if (msg === "La llamada ya terminó" || msg === "Ya estás en esa llamada" || msg.startsWith("Acción no válida"))
+    return 409;
+  if (BAD_REQUEST.includes(msg) || /^(Máximo|Dirección inválida|Estado inválido|Tipo inválido)/.test(msg))
+    return 400;
+  return 500;
+}
+
 export const CallController = {
   /**
    * 🚀 Iniciar llamada
    * type: "audio" | "video"
+   * receiverId: id | receiverIds: [ids] (grupal)
    */
   async startCall(req, res) {
     try {
-      const { receiverId, type } = req.body;
+      const { receiverIds, type } = req.body;
+      const receiverId = receiverIds ?? req.body.receiverId;
       const callerId = req.user._id;
 
       const socketService = req.app.locals.socketService;
@@ -33,7 +57,7 @@ export const CallController = {
       });
     } catch (err) {
       console.error("❌ Error al iniciar llamada:", err);
-      res.status(500).json({
+      res.status(callErrorStatus(err)).json({
         success: false,
         error: err.message || "Error al iniciar llamada",
       });
@@ -58,7 +82,7 @@ export const CallController = {
       });
     } catch (err) {
       console.error("❌ Error al aceptar llamada:", err);
-      res.status(500).json({
+      res.status(callErrorStatus(err)).json({
         success: false,
         error: err.message || "Error al aceptar llamada",
       });
@@ -83,7 +107,7 @@ export const CallController = {
       });
     } catch (err) {
       console.error("❌ Error al rechazar llamada:", err);
-      res.status(500).json({
+      res.status(callErrorStatus(err)).json({
         success: false,
         error: err.message || "Error al rechazar llamada",
       });
@@ -91,7 +115,7 @@ export const CallController = {
   },
 
   /**
-   * 📴 Finalizar llamada
+   * 📴 Finalizar llamada (salir; termina para todos con menos de 2 unidos)
    */
   async endCall(req, res) {
     try {
@@ -115,34 +139,277 @@ export const CallController = {
       });
     } catch (err) {
       console.error("❌ Error al finalizar llamada:", err);
-      res.status(500).json({
+      res.status(callErrorStatus(err)).json({
         success: false,
         error: err.message || "Error al finalizar llamada",
       });
     }
   },
 
+  /**
+   * ➕ Invitar participantes a una llamada en curso
+   * body: { userIds: [ids] }
+   */
+  async inviteToCall(req, res) {
+    try {
+      const { callId } = req.params;
+      const userIds = req.body.userIds ?? req.body.userId;
+
+      const socketService = req.app.locals.socketService;
+      const result = await CallService.inviteToCall(callId, req.user._id, userIds, socketService);
+
+      res.json({
+        success: true,
+        message: "➕ Participantes invitados correctamente",
+        data: result,
+      });
+    } catch (err) {
+      console.error("❌ Error al invitar a la llamada:", err);
+      res.status(callErrorStatus(err)).json({
+        success: false,
+        error: err.message || "Error al invitar a la llamada",
+      });
+    }
+  },
+
+  /**
+   * ⏸️ Poner llamada en espera
+   */
+  async holdCall(req, res) {
+    try {
+      const { callId } = req.params;
+      const userId = req.user._id;
+
+      const socketService = req.app.locals.socketService;
+      const result = await CallService.holdCall(callId, userId, socketService);
+
+      res.json({
+        success: true,
+        message: "⏸️ Llamada en espera",
+        data: result,
+      });
+    } catch (err) {
+      console.error("❌ Error al poner en espera:", err);
+      res.status(callErrorStatus(err)).json({
+        success: false,
+        error: err.message || "Error al poner en espera",
+      });
+    }
+  },
+
+  /**
+   * ▶️ Reanudar llamada en espera
+   */
+  async resumeCall(req, res) {
+    try {
+      const { callId } = req.params;
+      const userId = req.user._id;
+
+      const socketService = req.app.locals.socketService;
+      const result = await CallService.resumeCall(callId, userId, socketService);
+
+      res.json({
+        success: true,
+        message: "▶️ Llamada reanudada",
+        data: result,
+      });
+    } catch (err) {
+      console.error("❌ Error al reanudar llamada:", err);
+      res.status(callErrorStatus(err)).json({
+        success: false,
+        error: err.message || "Error al reanudar llamada",
+      });
+    }
+  },
+
+  /**
+   * 🔀 Cambiar a otra llamada (la actual queda en espera)
+   */
+  async switchCall(req, res) {
+    try {
+      const { callId } = req.params;
+      const userId = req.user._id;
+
+      const socketService = req.app.locals.socketService;
+      const result = await CallService.switchCall(userId, callId, socketService);
+
+      res.json({
+        success: true,
+        message: "🔀 Llamada cambiada correctamente",
+        data: result,
+      });
+    } catch (err) {
+      console.error("❌ Error al cambiar de llamada:", err);
+      res.status(callErrorStatus(err)).json({
+        success: false,
+        error: err.message || "Error al cambiar de llamada",
+      });
+    }
+  },
+
+  /**
+   * 📶 Recibir estadísticas WebRTC del cliente
+   * body: { samples: [{ at, rttMs, jitterMs, packetLossPct, bitrateKbps, codec, candidateType, networkType }] }
+   */
+  async postStats(req, res) {
+    try {
+      const { callId } = req.params;
+      const samples = req.body.samples ?? req.body;
+
+      const result = await CallQualityService.ingestSamples(callId, req.user._id, samples);
+
+      res.json({ success: true, data: result });
+    } catch (err) {
+      console.error("❌ Error al guardar estadísticas de llamada:", err);
+      res.status(callErrorStatus(err)).json({
+        success: false,
+        error: err.message || "Error al guardar estadísticas de llamada",
+      });
+    }
+  },
+
+  /**
+   * 📋 Informe QoS de una llamada (admin)
+   */
+  async getCallQos(req, res) {
+    try {
+      const report = await CallQualityService.getCallReport(req.params.callId);
+      res.json({ success: true, data: report });
+    } catch (err) {
+      console.error("❌ Error al obtener informe de calidad:", err);
+      res.status(callErrorStatus(err)).json({
+        success: false,
+        error: err.message || "Error al obtener informe de calidad",
+      });
+    }
+  },
+
+  /**
+   * 📊 Calidad agregada por red / dispositivo (admin)
+   * ?from=<ISO>&to=<ISO>
+   */
+  async getQosReport(req, res) {
+    try {
+      const report = await CallQualityService.getAggregateReport({
+        from: req.query.from || null,
+        to: req.query.to || null,
+      });
+      res.json({ success: true, data: report });
+    } catch (err) {
+      console.error("❌ Error al obtener calidad agregada:", err);
+      res.status(callErrorStatus(err)).json({
+        success: false,
+        error: err.message || "Error al obtener calidad agregada",
+      });
+    }
+  },
+
   /**
    * 📊 Obtener historial de llamadas del usuario autenticado
+   * ?direction=incoming|outgoing&status=missed|completed|rejected|cancelled|busy
+   * &type=audio|video&counterpart=<userId>&limit=50&before=<ISO startedAt>
    */
   async getHistory(req, res) {
     try {
       const userId = req.user._id;
-      const history = await CallService.getHistory(userId);
+      const { direction, status, type, counterpart, limit, before } = req.query;
+
+      const { calls, pageInfo } = await CallHistoryService.list(
+        userId,
+        { direction, status, type, counterpart, limit, before },
+        req.app.locals.socketService
+      );
 
       res.json({
         success: true,
-        data: history,
+        data: calls,
+        pageInfo,
         message: `📜 Historial de llamadas para ${userId}`,
       });
     } catch (err) {
       console.error("❌ Error al obtener historial de llamadas:", err);
-      res.status(500).json({
+      res.status(callErrorStatus(err)).json({
         success: false,
         error: err.message || "Error al obtener historial de llamadas",
       });
     }
   },
+
+  /**
+   * 📈 Estadísticas del historial
+   * ?direction&type&counterpart&from=<ISO>&to=<ISO>
+   */
+  async getHistoryStats(req, res) {
+    try {
+      const { direction, type, counterpart, from, to } = req.query;
+      const stats = await CallHistoryService.stats(req.user._id, { direction, type, counterpart, from, to });
+
+      res.json({ success: true, data: stats });
+    } catch (err) {
+      console.error("❌ Error al obtener estadísticas de llamadas:", err);
+      res.status(callErrorStatus(err)).json({
+        success: false,
+        error: err.message || "Error al obtener estadísticas de llamadas",
+      });
+    }
+  },
+
+  /**
+   * 🔴 Badge de llamadas perdidas sin ver
+   */
+  async getMissedCount(req, res) {
+    try {
+      const count = await CallHistoryService.getMissedCount(req.user._id);
+      res.json({ success: true, data: { count } });
+    } catch (err) {
+      console.error("❌ Error al obtener llamadas perdidas:", err);
+      res.status(500).json({
+        success: false,
+        error: err.message || "Error al obtener llamadas perdidas",
+      });
+    }
+  },
+
+  /**
+   * ✅ Marcar llamadas perdidas como vistas
+   */
+  async markMissedSeen(req, res) {
+    try {
+      const result = await CallHistoryService.markMissedSeen(req.user._id, req.app.locals.socketService);
+      res.json({ success: true, data: result });
+    } catch (err) {
+      console.error("❌ Error al marcar llamadas perdidas:", err);
+      res.status(500).json({
+        success: false,
+        error: err.message || "Error al marcar llamadas perdidas",
+      });
+    }
+  },
+
+  /**
+   * 🔁 Devolver llamada desde el historial
+   * body: { type?: "audio" | "video" }
+   */
+  async callBack(req, res) {
+    try {
+      const callData = await CallHistoryService.callBack(req.user._id, req.params.logId, {
+        type: req.body?.type || null,
+        socketService: req.app.locals.socketService,
+      });
+
+      res.json({
+        success: true,
+        message: "📞 Llamada iniciada correctamente",
+        data: callData,
+      });
+    } catch (err) {
+      console.error("❌ Error al devolver llamada:", err);
+      res.status(callErrorStatus(err)).json({
+        success: false,
+        error: err.message || "Error al devolver llamada",
+      });
+    }
+  },
 };
 
 export default CallController;
@@ -2,12 +2,14 @@
 // 💬 Chat Controller — QuickChatX 2025 (FINAL)
 // ======================================================
 
+import fs from "fs";
 import { ChatService } from "../../application/ChatService.js";
+import { parseEnvelopes, sendError } from "../../helpers/envelopes.js";
 
 export const ChatController = {
 
   /* =====================================================
-     📜 Obtener historial (paginado + AES opcional)
+     📜 Obtener historial (paginado + AES legacy opcional)
      GET /api/chat/:receiverId?page=1&chatKey=...
   ====================================================== */
   async getMessages(req, res) {
@@ -58,7 +60,7 @@ export const ChatController = {
   async sendMessage(req, res) {
     try {
       const { receiverId } = req.params;
-      const { text, mediaType, chatKey } = req.body;
+      const { text, mediaType } = req.body;
 
       const file = req.file || null;
 
@@ -88,19 +90,26 @@ export const ChatController = {
         text: text || "",
         mediaType: finalMediaType,
         mediaFile: file,
-        chatKey,
-        wsEmit: (event, payload) => {
+        envelopes: parseEnvelopes(req.body.envelopes),
+        senderDeviceId: req.get("x-device-id") || null,
+        wsEmit: (event, payload, recipients = [receiverId, userId]) => {
           if (!socketService) return;
 
-          // enviar evento a ambos lados
-          socketService.emitToUser(receiverId, event, payload);
-          socketService.emitToUser(userId, event, payload);
+          // cada lado recibe su propia vista (sobres E2EE)
+          socketService.emitToUsers(recipients, event, payload);
         },
       });
 
       return res.json({ success: true, data: saved });
     } catch (err) {
+      // temporal de processingUpload que no llegó al almacenamiento
+      if (req.file?.path) fs.promises.unlink(req.file.path).catch(() => {});
       console.error("❌ Error al enviar mensaje:", err);
+
+      // sobres inválidos o dispositivos sin cubrir (409 + details) → el cliente re-cifra
+      if (err.code === "DEVICE_MISMATCH" || err.message !== "Error enviando mensaje")
+        return sendError(res, err, 400);
+
       return res.status(500).json({
         success: false,
         error: "Error al enviar mensaje",
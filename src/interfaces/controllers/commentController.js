@@ -80,6 +80,8 @@ function toMobileComment(c, currentUserId) {
       : [],
 
     media: mediaArray,
+    hashtags: Array.isArray(c.hashtags) ? c.hashtags : [],
+    mentions: Array.isArray(c.mentions) ? c.mentions : [],
     embeddedPost: c.embeddedPost || null,
     createdAt: c.createdAt || new Date(),
   };
@@ -1,5 +1,12 @@
 // src/interfaces/controllers/device.js
 import { saveDeviceInfo } from "../../application/DeviceService.js";
+import {
+  uploadKeyBundle,
+  addOneTimePreKeys,
+  listDevices,
+  fetchKeyBundles,
+  removeDevice,
+} from "../../application/DeviceKeyService.js";
 
 /**
  * Controlador para guardar información del dispositivo.
@@ -30,4 +37,105 @@ export async function postDeviceInfo(req, res) {
     });
   }
 }
+
+// ======================================================
+// 🔑 Directorio de claves E2EE por dispositivo
+// ======================================================
+
+function keyErrorStatus(err) {
+  const msg = err?.message || "";
+  if (msg.includes("no autenticado")) return 401;
+  if (msg.includes("no registrado")) return 404;
+  return 400;
+}
+
+/**
+ * PUT /api/devices/keys — publica/rota el bundle del dispositivo.
+ * Body: { deviceId, registrationId?, identityKey, signedPreKey: { keyId, publicKey, signature }, oneTimePreKeys? }
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ */
+export async function putKeyBundle(req, res) {
+  try {
+    const device = await uploadKeyBundle(req.user?.id, req.body || {});
+    return res.status(200).json({ ok: true, device });
+  } catch (err) {
+    console.error("❌ Error publicando claves del dispositivo:", err.message);
+    return res.status(keyErrorStatus(err)).json({ ok: false, error: err.message });
+  }
+}
+
+/**
+ * POST /api/devices/keys/:deviceId/prekeys — repone prekeys de un solo uso.
+ * Body: { oneTimePreKeys: [{ keyId, publicKey }] }
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ */
+export async function postPreKeys(req, res) {
+  try {
+    const device = await addOneTimePreKeys(
+      req.user?.id,
+      req.params.deviceId,
+      req.body?.oneTimePreKeys || []
+    );
+    return res.status(200).json({ ok: true, device });
+  } catch (err) {
+    console.error("❌ Error reponiendo prekeys:", err.message);
+    return res.status(keyErrorStatus(err)).json({ ok: false, error: err.message });
+  }
+}
+
+/**
+ * GET /api/devices/keys — dispositivos propios con prekeys restantes.
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ */
+export async function getMyDevices(req, res) {
+  try {
+    const devices = await listDevices(req.user?.id);
+    return res.status(200).json({ ok: true, devices });
+  } catch (err) {
+    console.error("❌ Error listando dispositivos:", err.message);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+}
+
+/**
+ * GET /api/devices/keys/user/:userId?deviceId= — bundles para iniciar sesión E2EE.
+ * Consume una prekey de un solo uso por dispositivo.
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ */
+export async function getKeyBundles(req, res) {
+  try {
+    const bundles = await fetchKeyBundles(req.params.userId, {
+      deviceId: req.query.deviceId || null,
+    });
+    if (!bundles.length) {
+      return res.status(404).json({ ok: false, error: "El usuario no tiene claves registradas" });
+    }
+    return res.status(200).json({ ok: true, bundles });
+  } catch (err) {
+    console.error("❌ Error obteniendo bundles:", err.message);
+    return res.status(keyErrorStatus(err)).json({ ok: false, error: err.message });
+  }
+}
+
+/**
+ * DELETE /api/devices/keys/:deviceId — revoca un dispositivo propio.
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ */
+export async function deleteDeviceKeys(req, res) {
+  try {
+    const result = await removeDevice(req.user?.id, req.params.deviceId);
+    if (!result.deleted) {
+      return res.status(404).json({ ok: false, error: "Dispositivo no registrado" });
+    }
+    return res.status(200).json({ ok: true });
+  } catch (err) {
+    console.error("❌ Error revocando dispositivo:", err.message);
+    return res.status(keyErrorStatus(err)).json({ ok: false, error: err.message });
+  }
+}
 // -------------------------------
\ No newline at end of file
@@ -26,6 +26,7 @@ import VideoModel from "../../infrastructure/models/VideoModel.js";
 import { createVideoRecordForUpload } from "../../application/VideoProcessingService.js";
 import { User } from "../../domain/User.js";
 import { InteractionService } from "../../application/InteractionService.js";
+import { HashtagService } from "../../application/HashtagService.js";
 import Upload from "../../domain/Upload.js";
 import { S3Client, DeleteObjectCommand } from "@aws-sdk/client-s3";
 import mongoose from "mongoose";
@@ -740,6 +741,9 @@ export async function repostPost(req, res) {
     // Metadata opcional de la URL compartida
     const sharedUrl = body.originalUrl || body.url || null;
 
+    // Hashtags / menciones solo de la nota (el original ya cuenta los suyos)
+    const { hashtags, mentions } = await HashtagService.parse(note, userId);
+
     // Crear nuevo post tipo "repost"
     const repostDoc = new PostModel({
       authorId: userId,
@@ -751,10 +755,18 @@ export async function repostPost(req, res) {
       originalAuthorId: original.authorId || null,
       originalAuthorUsername: original.authorUsername || null,
       sharedUrl: sharedUrl,
+      hashtags,
+      mentions: mentions.map((m) => m.userId),
     });
 
     await repostDoc.save();
 
+    await HashtagService.notifyMentions({
+      mentions,
+      from: username.toLowerCase(),
+      postId: repostDoc._id,
+    });
+
     // Actualizar contador de reposts en el post original (si la colección lo soporta)
     if (Array.isArray(original.reposts)) {
       const already = original.reposts.some(
@@ -1013,6 +1025,59 @@ export async function getPostById(req, res) {
   }
 }
 
+// ======================================================
+// #️⃣ Posts por hashtag
+// GET /posts/hashtag/:tag?before=<ISO>&limit=20
+// ======================================================
+export async function getPostsByHashtag(req, res) {
+  try {
+    const { tag, posts, pageInfo } = await HashtagService.getPostsByHashtag(
+      req.params.tag,
+      { before: req.query.before || null, limit: req.query.limit }
+    );
+
+    const data = await Promise.all(posts.map((p) => safePostJSON(req, p)));
+
+    return res.json({
+      success: true,
+      tag,
+      count: data.length,
+      data,
+      pageInfo,
+    });
+  } catch (err) {
+    if (err.message === "Hashtag inválido" || err.message === "Fecha inválida")
+      return res.status(400).json({ success: false, error: err.message });
+
+    console.error("❌ ERROR getPostsByHashtag:", err);
+    return res.status(500).json({
+      success: false,
+      error: "Error al obtener posts del hashtag",
+    });
+  }
+}
+
+// ======================================================
+// 🔥 Hashtags en tendencia
+// GET /posts/hashtags/trending?hours=24&limit=10
+// ======================================================
+export async function getTrendingHashtags(req, res) {
+  try {
+    const data = await HashtagService.trending({
+      hours: req.query.hours,
+      limit: req.query.limit,
+    });
+
+    return res.json({ success: true, data });
+  } catch (err) {
+    console.error("❌ ERROR getTrendingHashtags:", err);
+    return res.status(500).json({
+      success: false,
+      error: "Error al obtener tendencias",
+    });
+  }
+}
+
 // ======================================================
 // 🎬 VIDEO MANIFEST (JSON ligero para reproductor)
 // GET /posts/:id/video-manifest
@@ -0,0 +1,139 @@
+/**
+ * 🗓️ ScheduledCallController
+ * Llamadas programadas: crear, editar, cancelar, RSVP y agenda
+ * Integrado con ScheduledCallService + WebSocket
+ */
+
+import ScheduledCallService from "../../application/ScheduledCallService.js";
+
+// Mensajes de ScheduledCallService → código HTTP
+function scheduledErrorStatus(err) {
+  const msg = err?.message || "";
+  if (msg === "Llamada programada no encontrada") return 404;
+  if (msg === "No autorizado") return 403;
+  if (msg === "La llamada programada ya no se puede modificar") return 409;
+  if (
+    /^(Fecha de inicio|La fecha de inicio|Solo se puede|Asistente|Máximo|Tipo inválido|Respuesta inválida)/.test(msg) ||
+    msg === "Rango de fechas inválido"
+  )
+    return 400;
+  return 500;
+}
+
+function wsEmitOf(req) {
+  const socketService = req.app.locals.socketService;
+  return socketService
+    ? (event, payload, recipients) => socketService.emitToUsers(recipients, event, payload)
+    : null;
+}
+
+function fail(res, err, fallback) {
+  console.error(`❌ ${fallback}:`, err);
+  res.status(scheduledErrorStatus(err)).json({
+    success: false,
+    error: err.message || fallback,
+  });
+}
+
+export const ScheduledCallController = {
+  /**
+   * ➕ Programar llamada
+   * body: { title, description, type, startsAt (ISO), attendees: [userIds] }
+   */
+  async create(req, res) {
+    try {
+      const { title, description, type, startsAt, attendees } = req.body;
+      const data = await ScheduledCallService.create(
+        req.user._id,
+        { title, description, type, startsAt, attendees },
+        wsEmitOf(req)
+      );
+
+      res.status(201).json({ success: true, message: "🗓️ Llamada programada", data });
+    } catch (err) {
+      fail(res, err, "Error al programar llamada");
+    }
+  },
+
+  /**
+   * 📋 Mis llamadas programadas
+   * ?from=<ISO>&to=<ISO>&status=scheduled|started|cancelled|expired|failed|all
+   */
+  async list(req, res) {
+    try {
+      const { from, to, status, limit } = req.query;
+      const data = await ScheduledCallService.listMine(req.user._id, {
+        from: from || null,
+        to: to || null,
+        status: status || "scheduled",
+        limit,
+      });
+
+      res.json({ success: true, data });
+    } catch (err) {
+      fail(res, err, "Error al obtener llamadas programadas");
+    }
+  },
+
+  /**
+   * 🔍 Detalle
+   */
+  async get(req, res) {
+    try {
+      const data = await ScheduledCallService.get(req.params.id, req.user._id);
+      res.json({ success: true, data });
+    } catch (err) {
+      fail(res, err, "Error al obtener llamada programada");
+    }
+  },
+
+  /**
+   * ✏️ Editar (organizador)
+   * body: { title?, description?, type?, startsAt?, attendees? }
+   */
+  async update(req, res) {
+    try {
+      const patch = {};
+      for (const key of ["title", "description", "type", "startsAt", "attendees"]) {
+        if (req.body[key] !== undefined) patch[key] = req.body[key];
+      }
+
+      const data = await ScheduledCallService.update(req.params.id, req.user._id, patch, wsEmitOf(req));
+      res.json({ success: true, message: "✏️ Llamada programada actualizada", data });
+    } catch (err) {
+      fail(res, err, "Error al actualizar llamada programada");
+    }
+  },
+
+  /**
+   * 🚫 Cancelar (organizador)
+   */
+  async cancel(req, res) {
+    try {
+      const data = await ScheduledCallService.cancel(req.params.id, req.user._id, wsEmitOf(req));
+      res.json({ success: true, message: "🚫 Llamada programada cancelada", data });
+    } catch (err) {
+      fail(res, err, "Error al cancelar llamada programada");
+    }
+  },
+
+  /**
+   * 🙋 RSVP
+   * body: { response: "accepted" | "declined" | "tentative" }
+   */
+  async rsvp(req, res) {
+    try {
+      const data = await ScheduledCallService.rsvp(
+        req.params.id,
+        req.user._id,
+        req.body?.response,
+        wsEmitOf(req)
+      );
+      res.json({ success: true, data });
+    } catch (err) {
+      fail(res, err, "Error al responder llamada programada");
+    }
+  },
+};
+
+export default ScheduledCallController;
@@ -23,7 +23,8 @@ import express from "express";
 import fs from "fs";
 import path from "path";
 import mongoose from "mongoose";
-import { logoutUser } from "../middlewares/AuthMiddleware.js";
+import { logoutUser, sessionClaims } from "../middlewares/AuthMiddleware.js";
+import { getSocketService } from "../websockets/SocketService.js";
 // ⬇️ FIX: UserService se importa como NAMED export
 import { UserService } from "../../application/UserService.js";
 import { PostModel } from "../../infrastructure/models/PostModel.js";
@@ -47,10 +48,14 @@ const router = express.Router();
 // ======================================================
 // JWT
 // ======================================================
-function signJwt(payload) {
+async function signJwt(payload) {
   const secret = config.jwt?.secret || process.env.JWT_SECRET;
   if (!secret) throw new Error("JWT_SECRET no definido");
-  return jwt.sign(payload, secret, { expiresIn: "365d" });
+  return jwt.sign(
+    { ...payload, ...(await sessionClaims(payload.id)) },
+    secret,
+    { expiresIn: "365d" }
+  );
 }
 
 // BASE URL para imágenes
@@ -302,7 +307,7 @@ export async function register(req, res) {
       console.log("📁 Carpeta creada:", userDir);
     }
 
-    const token = signJwt({
+    const token = await signJwt({
       id: user._id,
       username: user.username,
       email: user.email,
@@ -336,7 +341,7 @@ export async function login(req, res) {
 
     const user = await User.login(identifier, password);
 
-    const token = signJwt({
+    const token = await signJwt({
       id: user._id,
       username: user.username,
       email: user.email,
@@ -368,6 +373,7 @@ export async function logout(req, res) {
         .json({ success: false, error: "No autenticado" });
 
     await logoutUser(userId);
+    getSocketService().disconnectUser(userId);
 
     return res.json({ success: true, message: "Logout correcto" });
   } catch (err) {
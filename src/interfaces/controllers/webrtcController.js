@@ -1,31 +1,28 @@
 // ======================================================
-// 🎥 WebRTC Controller — Cloudflare SFU (placeholder seguro)
+// 🎥 WebRTC Controller — Cloudflare SFU o coturn (RtcProvider)
 // ------------------------------------------------------
-// • No expone token de API
-// • Devuelve ICE servers y appId para que el cliente conecte al SFU
+// • No expone token de API ni secreto TURN
+// • Devuelve ICE servers y appId para que el cliente conecte
 // • Usa la misma identidad (userId/username) del JWT
+//   (coturn: credenciales TURN temporales ligadas al usuario)
 // ======================================================
 
-import {
-  buildIceServers,
-  createRtcPayload,
-  ensureRtcEnabled,
-  hasApiToken,
-} from "../../integrations/CloudflareRTC.js";
+import { getRtcProvider } from "../../integrations/RtcProvider.js";
 import config from "../../config/config.js";
 
 export async function getRtcConfig(req, res) {
   try {
-    ensureRtcEnabled();
+    const provider = getRtcProvider();
+    provider.ensureRtcEnabled();
 
     return res.json({
       success: true,
       data: {
-        provider: config.webrtc?.provider || "cloudflare",
-        appId: config.webrtc?.appId || null,
-        iceServers: buildIceServers(),
+        provider: provider.name,
+        appId: provider.appId(),
+        iceServers: provider.buildIceServers({ userId: req.user?.id || req.user?._id }),
         ttlSeconds: config.webrtc?.ttlSeconds || 3600,
-        hasApiToken: hasApiToken(),
+        hasApiToken: provider.hasApiToken(),
       },
     });
   } catch (err) {
@@ -38,10 +35,11 @@ export async function getRtcConfig(req, res) {
 
 export async function createRtcSession(req, res) {
   try {
-    ensureRtcEnabled();
+    const provider = getRtcProvider();
+    provider.ensureRtcEnabled();
 
     const roomId = req.body?.roomId || req.query?.roomId || null;
-    const payload = createRtcPayload({
+    const payload = provider.createRtcPayload({
       roomId,
       userId: req.user?.id || req.user?._id,
       username: req.user?.username || null,
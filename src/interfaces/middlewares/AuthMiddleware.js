@@ -6,12 +6,17 @@
 // ✔ JWT persistente (365 días)
 // ✔ req.user siempre lleno (id + username)
 // ✔ WS seguro + refresh integrado
+// ✔ Revocación de sesiones (logout) → HTTP y WS rechazan tokens previos
 // ======================================================
 
 import jwt from "jsonwebtoken";
 import chalk from "chalk";
 import { getRedis } from "../../infrastructure/RedisProvider.js";
 
+const REVOKED_PREFIX = "auth:revoked:";
+const SESSION_VERSION_PREFIX = "auth:session-version:";
+const REVOKED_TTL_SECONDS = 60 * 60 * 24 * 365; // = vida máxima del JWT persistente
+
 // ======================================================
 // 🔍 Extraer token globalmente
 // ======================================================
@@ -50,6 +55,62 @@ function normalizeUser(decoded) {
   };
 }
 
+// ======================================================
+// 🚫 Revocación de sesiones
+// - Cada logout incrementa la versión de sesión del usuario:
+//   los tokens llevan la suya (claim `sv`) y quedan revocados si es menor
+// - Tokens sin `sv` (emitidos antes): se compara iat con el instante del
+//   logout en ms; iat va en segundos, así que el mismo segundo cuenta como revocado
+// ======================================================
+export async function getSessionVersion(userId) {
+  if (!userId) return 0;
+  try {
+    const redis = await getRedis();
+    if (!redis) return 0;
+    return Number(await redis.get(`${SESSION_VERSION_PREFIX}${userId}`)) || 0;
+  } catch {
+    return 0;
+  }
+}
+
+/** Claims de sesión para firmar un token nuevo: { sv } */
+export async function sessionClaims(userId) {
+  return { sv: await getSessionVersion(String(userId)) };
+}
+
+export async function revokeUserSessions(userId) {
+  if (!userId) return false;
+  try {
+    const redis = await getRedis();
+    if (!redis) return false;
+    await redis
+      .multi()
+      .set(`${REVOKED_PREFIX}${userId}`, String(Date.now()), "EX", REVOKED_TTL_SECONDS)
+      .incr(`${SESSION_VERSION_PREFIX}${userId}`)
+      .expire(`${SESSION_VERSION_PREFIX}${userId}`, REVOKED_TTL_SECONDS)
+      .exec();
+    return true;
+  } catch (err) {
+    console.error("❌ revokeUserSessions:", err.message);
+    return false;
+  }
+}
+
+export async function isSessionRevoked(userId, iat, sv = null) {
+  if (!userId) return false;
+  const redis = await getRedis();
+  if (!redis) return false;
+
+  if (sv !== null && sv !== undefined) {
+    const current = Number(await redis.get(`${SESSION_VERSION_PREFIX}${userId}`)) || 0;
+    return Number(sv) < current;
+  }
+
+  if (!iat) return false;
+  const revokedAt = Number(await redis.get(`${REVOKED_PREFIX}${userId}`));
+  return Boolean(revokedAt) && iat * 1000 <= revokedAt;
+}
+
 // ======================================================
 // 🔒 AUTH obligatorio
 // ======================================================
@@ -87,6 +148,13 @@ export function authenticateJWT(allowedRoles = []) {
         });
       }
 
+      if (await isSessionRevoked(user.id, decoded.iat, decoded.sv)) {
+        return res.status(401).json({
+          success: false,
+          error: "Sesión revocada",
+        });
+      }
+
       req.user = user;
 
       // ======================================================
@@ -186,46 +254,80 @@ export const authOptionalMiddleware = async (req, res, next) => {
 // ======================================================
 // 🕸️ WebSocket Auth
 // ======================================================
-export async function socketAuthMiddleware(socket, next) {
+function extractSocketToken(socket) {
+  return (
+    socket.handshake?.auth?.token ||
+    socket.handshake?.headers?.authorization?.split(" ")[1] ||
+    socket.handshake?.query?.token ||
+    null
+  );
+}
+
+/**
+ * Decodifica y valida un token sin tocar la sesión Redis.
+ * Devuelve { user, iat, sv } o lanza Error("Token inválido" | "Token expirado" | "Sesión revocada").
+ * allowExpired: acepta tokens caducados (logout: identificar al dueño)
+ */
+export async function decodeSessionToken(token, { allowExpired = false } = {}) {
   const secret = process.env.JWT_SECRET;
-  if (!secret) return next(new Error("JWT_SECRET faltante"));
+  if (!secret) throw new Error("JWT_SECRET faltante");
+  if (!token) throw new Error("Token requerido");
 
+  let decoded;
   try {
-    const token =
-      socket.handshake?.auth?.token ||
-      socket.handshake?.headers?.authorization?.split(" ")[1] ||
-      socket.handshake?.query?.token;
+    decoded = jwt.verify(token, secret, { ignoreExpiration: allowExpired });
+  } catch (err) {
+    throw new Error(err.name === "TokenExpiredError" ? "Token expirado" : "Token inválido");
+  }
 
-    if (!token) return next(new Error("Token requerido"));
+  const user = normalizeUser(decoded);
+  if (!user.id) throw new Error("Token inválido");
 
-    const decoded = jwt.verify(token, secret, { ignoreExpiration: true });
-    const user = normalizeUser(decoded);
+  if (await isSessionRevoked(user.id, decoded.iat, decoded.sv)) throw new Error("Sesión revocada");
 
-    if (!user.id) return next(new Error("Token inválido"));
+  return { user, iat: decoded.iat || null, sv: decoded.sv ?? null };
+}
 
-    socket.user = user;
+/**
+ * Verifica un token de socket (handshake o refresh) y refresca la sesión Redis.
+ */
+export async function verifySocketToken(token) {
+  const { user, iat, sv } = await decodeSessionToken(token);
+
+  const redis = await getRedis();
+  if (redis) {
+    const key = `user:${user.id}`;
+    const storedToken = await redis.hget(key, "token");
+
+    if (storedToken && storedToken !== token) {
+      console.warn(
+        chalk.yellow(
+          `⚠️ WS token cambiado → actualizando sesión para ${user.username}`
+        )
+      );
+    }
 
-    const redis = await getRedis();
-    if (redis) {
-      const key = `user:${user.id}`;
-      const storedToken = await redis.hget(key, "token");
+    await redis.hset(key, "token", token);
+    await redis.hset(key, "status", "online");
+    await redis.hset(key, "lastWS", Date.now().toString());
+  }
 
-      if (storedToken && storedToken !== token) {
-        console.warn(
-          chalk.yellow(
-            `⚠️ WS token cambiado → actualizando sesión para ${user.username}`
-          )
-        );
-      }
+  return { user, iat, sv };
+}
 
-      await redis.hset(key, "token", token);
-      await redis.hset(key, "status", "online");
-      await redis.hset(key, "lastWS", Date.now().toString());
-    }
+export async function socketAuthMiddleware(socket, next) {
+  try {
+    const { user, iat, sv } = await verifySocketToken(extractSocketToken(socket));
+
+    socket.user = user;
+    socket.data.tokenIat = iat;
+    socket.data.tokenSv = sv;
+    socket.data.authCheckedAt = Date.now();
 
     next();
   } catch (err) {
-    next(new Error("Token inválido"));
+    const known = ["JWT_SECRET faltante", "Token requerido", "Token expirado", "Sesión revocada"];
+    next(new Error(known.includes(err.message) ? err.message : "Token inválido"));
   }
 }
 
@@ -236,6 +338,7 @@ export async function logoutUser(userId) {
   try {
     const redis = await getRedis();
     if (redis) await redis.del(`user:${userId}`);
+    await revokeUserSessions(userId);
 
     console.log(`🚪 Logout OK de ${userId}`);
     return true;
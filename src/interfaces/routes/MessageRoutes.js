@@ -4,70 +4,191 @@
 // ✔ Compatible con ChatService v3.9
 // ✔ WS emit automático: NEW_MESSAGE, message_deleted, message_restored
 // ✔ Multimedia soportada (imagen, video, audio)
-// ✔ Lee historial desde Redis o Mongo
+// ✔ Notas de voz: POST /voice (duración + waveform)
+// ✔ Historial paginado por cursor (before / after) — Mongo + Redis caliente
 // ✔ Soft delete + restore
-// ✔ Marcar como leído
+// ✔ Edición con historial (message_edited)
+// ✔ Respuestas / citas (replyTo, quotedText) + reenvío
+// ✔ Reacciones emoji (message_reaction)
+// ✔ Fijados (message_pinned / message_unpinned) y destacados privados
+// ✔ Marcar como leído (todo o hasta upTo) + entregado
+// ✔ Grupos: crear, invitar, expulsar, salir, admins, historial
+// ✔ E2EE: envelopes por dispositivo (header x-device-id)
+// ✔ Búsqueda full-text en los chats propios (resaltado + paginación)
+// ✔ Mensajes temporales por chat (retention_changed, messages_expired)
+// ✔ Ajustes por chat: silenciar, archivar, no leído, notificaciones
+// ✔ Lista de chats: perfil, último mensaje, no leídos, presencia, typing
 // ======================================================
 
 import express from "express";
-import multer from "multer";
+import fs from "fs";
 import { ChatService } from "../../application/ChatService.js";
+import { ConversationService } from "../../application/ConversationService.js";
+import { RetentionService } from "../../application/RetentionService.js";
+import { ChatSettingsService } from "../../application/ChatSettingsService.js";
+import { ChatListService } from "../../application/ChatListService.js";
 import { verifyAccessToken } from "../middlewares/AuthMiddleware.js";
 import { getSocketService } from "../websockets/SocketService.js";
+import { processingUpload as upload } from "../../infrastructure/uploadMiddleware.js";
+import { parseEnvelopes, sendError } from "../../helpers/envelopes.js";
 
-const upload = multer({ storage: multer.memoryStorage() });
 const router = express.Router();
 const socket = getSocketService();
 
 /* ======================================================
-   🧩 Utilidad para emitir eventos WS
+   🧩 Utilidad para emitir eventos WS (a cada participante)
 ====================================================== */
-const wsEmit = (event, payload, room) => {
+const wsEmit = (event, payload, recipients = []) => {
   try {
-    if (room) socket.emitToRoom(room, event, payload);
-    else socket.broadcast(event, payload);
+    socket.emitToUsers(recipients, event, payload);
   } catch (err) {
     console.log("⚠️ WS emit error:", err.message);
   }
 };
 
+/* ======================================================
+   🔐 Helpers E2EE
+====================================================== */
+const deviceIdOf = (req) => req.get("x-device-id") || req.query.deviceId || null;
+
+// temporal de processingUpload que no llegó al almacenamiento
+const discardUpload = (req) => {
+  if (req.file?.path) fs.promises.unlink(req.file.path).catch(() => {});
+};
+
 /* ======================================================
    📬 POST /messages/send — enviar mensaje
 ====================================================== */
+// errores del cliente → 4xx; solo el fallo genérico de guardado es 500
+const sendErrorStatus = (err) =>
+  err.message === "Conversación no encontrada" ||
+  err.message === "Mensaje a responder no encontrado" ||
+  err.message === "Mensaje a reenviar no encontrado"
+    ? 404
+    : err.message === "No autorizado"
+    ? 403
+    : err.message === "Error enviando mensaje"
+    ? 500
+    : 400;
+
 router.post(
   "/send",
   verifyAccessToken,
   upload.single("media"),
   async (req, res) => {
     try {
-      const { to, text, mediaType, chatKey } = req.body;
+      const { to, conversationId, text, mediaType, replyTo, quotedText, forwardFrom, mentions } = req.body;
       const from = req.user.id;
 
-      if (!to)
-        return res.status(400).json({ success: false, error: "El campo 'to' es requerido." });
+      if (!to && !conversationId)
+        return res
+          .status(400)
+          .json({ success: false, error: "El campo 'to' o 'conversationId' es requerido." });
 
       const mediaFile = req.file || null;
 
       const result = await ChatService.sendMessage({
         from,
         to,
+        conversationId,
         text,
         mediaFile,
         mediaType,
-        chatKey,
-        wsEmit: (event, payload) => wsEmit(event, payload, [from, to].sort().join("_")),
+        envelopes: parseEnvelopes(req.body.envelopes),
+        senderDeviceId: deviceIdOf(req),
+        replyTo,
+        quotedText,
+        forwardFrom,
+        mentions,
+        wsEmit,
       });
 
       res.json({ success: true, message: result });
     } catch (err) {
+      discardUpload(req);
       console.error("❌ Error en /messages/send:", err);
-      res.status(500).json({ success: false, error: "Error enviando mensaje." });
+      sendError(res, err, sendErrorStatus(err));
+    }
+  }
+);
+
+/* ======================================================
+   🎤 POST /messages/voice — nota de voz (multipart "audio")
+   Respuesta: message con mediaDuration (s) + waveform (0–100)
+====================================================== */
+router.post(
+  "/voice",
+  verifyAccessToken,
+  upload.single("audio"),
+  async (req, res) => {
+    try {
+      const { to, conversationId, replyTo, quotedText } = req.body;
+
+      if (!to && !conversationId)
+        return res
+          .status(400)
+          .json({ success: false, error: "El campo 'to' o 'conversationId' es requerido." });
+      if (!req.file)
+        return res.status(400).json({ success: false, error: "Archivo 'audio' requerido." });
+
+      const result = await ChatService.sendMessage({
+        from: req.user.id,
+        to,
+        conversationId,
+        mediaFile: req.file,
+        voiceNote: true,
+        envelopes: parseEnvelopes(req.body.envelopes),
+        senderDeviceId: deviceIdOf(req),
+        replyTo,
+        quotedText,
+        wsEmit,
+      });
+
+      res.json({ success: true, message: result });
+    } catch (err) {
+      discardUpload(req);
+      console.error("❌ Error en /messages/voice:", err);
+      sendError(res, err, sendErrorStatus(err));
+    }
+  }
+);
+
+/* ======================================================
+   ⏩ POST /messages/forward — { messageIds, to | conversationId }
+====================================================== */
+router.post(
+  "/forward",
+  verifyAccessToken,
+  async (req, res) => {
+    try {
+      const { messageIds, messageId, to, conversationId } = req.body || {};
+
+      if (!to && !conversationId)
+        return res
+          .status(400)
+          .json({ success: false, error: "El campo 'to' o 'conversationId' es requerido." });
+
+      const messages = await ChatService.forwardMessages({
+        from: req.user.id,
+        messageIds: messageIds || messageId,
+        to,
+        conversationId,
+        wsEmit,
+      });
+
+      res.json({ success: true, messages });
+    } catch (err) {
+      console.error("❌ Error reenviando mensajes:", err);
+      res
+        .status(err.message === "No autorizado" ? 403 : 400)
+        .json({ success: false, error: err.message });
     }
   }
 );
 
 /* ======================================================
    📜 GET /messages/history/:otherUserId — historial chat
+   ?limit=50&before=<messageId|ISO>&after=<messageId|ISO>
 ====================================================== */
 router.get(
   "/history/:otherUserId",
@@ -76,24 +197,50 @@ router.get(
     try {
       const userA = req.user.id;
       const userB = req.params.otherUserId;
-      const { limit = 200, chatKey = null, includeDeleted = false } = req.query;
+      const { limit, before, after, chatKey = null, includeDeleted = false } = req.query;
 
-      const history = await ChatService.getHistory(
-        userA,
-        userB,
-        Number(limit),
+      const { messages, pageInfo } = await ChatService.getHistoryPage(userA, userB, {
+        limit,
+        before,
+        after,
         chatKey,
-        includeDeleted === "true"
-      );
+        includeDeleted: includeDeleted === "true",
+        deviceId: deviceIdOf(req),
+      });
 
-      res.json({ success: true, messages: history });
+      res.json({ success: true, messages, pageInfo });
     } catch (err) {
       console.error("❌ Error obteniendo historial:", err);
+
+      if (err.message === "Cursor inválido")
+        return res.status(400).json({ success: false, error: err.message });
+
       res.status(500).json({ success: false, error: "Error obteniendo historial" });
     }
   }
 );
 
+/* ======================================================
+   🔎 GET /messages/search — búsqueda en mis chats
+   ?q=&with=&conversationId=&from=&type=image,video
+   &since=&until=&sort=relevance|recent&page=1&limit=20
+   (los mensajes cifrados no son buscables en servidor)
+====================================================== */
+router.get(
+  "/search",
+  verifyAccessToken,
+  async (req, res) => {
+    try {
+      const { results, pageInfo } = await ChatService.searchMessages(req.user.id, req.query);
+
+      res.json({ success: true, results, pageInfo });
+    } catch (err) {
+      console.error("❌ Error en búsqueda:", err.message);
+      res.status(groupErrorStatus(err)).json({ success: false, error: err.message });
+    }
+  }
+);
+
 /* ======================================================
    🟢 PUT /messages/mark-read/:otherUserId
 ====================================================== */
@@ -107,11 +254,12 @@ router.put(
 
       const room = [userA, userB].sort().join("_");
 
-      await ChatService.markAsRead(room, userA);
-
-      wsEmit("messages_read", { room, by: userA }, room);
+      const read = await ChatService.markAsRead(room, userA, {
+        upTo: req.body?.upTo || req.query.upTo || null,
+        wsEmit,
+      });
 
-      res.json({ success: true });
+      res.json({ success: true, read });
     } catch (err) {
       console.error("❌ Error marcando como leídos:", err);
       res.status(500).json({ success: false, error: "Error al marcar como leídos" });
@@ -119,6 +267,30 @@ router.put(
   }
 );
 
+/* ======================================================
+   📬 PUT /messages/delivered — { messageIds: [] }
+====================================================== */
+router.put(
+  "/delivered",
+  verifyAccessToken,
+  async (req, res) => {
+    try {
+      const { messageIds, messageId } = req.body || {};
+
+      const delivered = await ChatService.markDelivered(
+        messageIds || messageId,
+        req.user.id,
+        wsEmit
+      );
+
+      res.json({ success: true, delivered });
+    } catch (err) {
+      console.error("❌ Error marcando entregados:", err);
+      res.status(500).json({ success: false, error: "Error al marcar como entregados" });
+    }
+  }
+);
+
 /* ======================================================
    🗑️ DELETE /messages/soft-delete/:id
 ====================================================== */
@@ -133,7 +305,7 @@ router.delete(
       const result = await ChatService.softDeleteMessage(
         messageId,
         actorUserId,
-        (event, payload) => wsEmit(event, payload, payload.room)
+        wsEmit
       );
 
       res.json({ success: true, deleted: result });
@@ -144,6 +316,160 @@ router.delete(
   }
 );
 
+/* ======================================================
+   ✏️ PATCH /messages/edit/:id — { text } | { envelopes } (E2EE)
+====================================================== */
+router.patch(
+  "/edit/:id",
+  verifyAccessToken,
+  async (req, res) => {
+    try {
+      const { text, envelopes = null } = req.body || {};
+
+      const result = await ChatService.editMessage(req.params.id, req.user.id, text, {
+        envelopes,
+        senderDeviceId: deviceIdOf(req),
+        wsEmit,
+      });
+
+      res.json({ success: true, edited: result });
+    } catch (err) {
+      console.error("❌ Error en edit:", err);
+      sendError(res, err, 400);
+    }
+  }
+);
+
+/* ======================================================
+   😀 POST /messages/react/:id — { emoji, action: toggle|add|remove }
+====================================================== */
+router.post(
+  "/react/:id",
+  verifyAccessToken,
+  async (req, res) => {
+    try {
+      const { emoji, action = "toggle" } = req.body || {};
+
+      const reaction = await ChatService.reactToMessage(req.params.id, req.user.id, emoji, {
+        action,
+        wsEmit,
+      });
+
+      res.json({ success: true, reaction });
+    } catch (err) {
+      console.error("❌ Error en react:", err);
+      res
+        .status(err.message === "No autorizado" ? 403 : 400)
+        .json({ success: false, error: err.message });
+    }
+  }
+);
+
+/* ======================================================
+   📌 PUT / DELETE /messages/pin/:id — fijar / desfijar
+====================================================== */
+const pinErrorStatus = (err) =>
+  err.message === "Mensaje no encontrado" ? 404 : err.message === "No autorizado" ? 403 : 400;
+
+const pinHandler = (pinned) => async (req, res) => {
+  try {
+    const pin = await ChatService.pinMessage(req.params.id, req.user.id, { pinned, wsEmit });
+    res.json({ success: true, pin });
+  } catch (err) {
+    console.error("❌ Error en pin:", err);
+    res.status(pinErrorStatus(err)).json({ success: false, error: err.message });
+  }
+};
+
+router.put("/pin/:id", verifyAccessToken, pinHandler(true));
+router.delete("/pin/:id", verifyAccessToken, pinHandler(false));
+
+/* ======================================================
+   📌 GET /messages/pinned/:otherUserId — fijados del chat 1:1
+====================================================== */
+router.get(
+  "/pinned/:otherUserId",
+  verifyAccessToken,
+  async (req, res) => {
+    try {
+      const room = [req.user.id, req.params.otherUserId].sort().join("_");
+      const messages = await ChatService.getPinnedMessages(room, req.user.id, {
+        chatKey: req.query.chatKey || null,
+        deviceId: deviceIdOf(req),
+      });
+
+      res.json({ success: true, messages });
+    } catch (err) {
+      res.status(pinErrorStatus(err)).json({ success: false, error: err.message });
+    }
+  }
+);
+
+/* ======================================================
+   ⭐ PUT / DELETE /messages/star/:id — destacar (privado)
+====================================================== */
+const starHandler = (starred) => async (req, res) => {
+  try {
+    const star = await ChatService.starMessage(req.params.id, req.user.id, { starred, wsEmit });
+    res.json({ success: true, star });
+  } catch (err) {
+    console.error("❌ Error en star:", err);
+    res.status(pinErrorStatus(err)).json({ success: false, error: err.message });
+  }
+};
+
+router.put("/star/:id", verifyAccessToken, starHandler(true));
+router.delete("/star/:id", verifyAccessToken, starHandler(false));
+
+/* ======================================================
+   ⭐ GET /messages/starred — mis destacados (todos los chats)
+   ⭐ GET /messages/starred/:otherUserId — de un chat 1:1
+   ?limit=50&before=<ISO starredAt>
+====================================================== */
+const listStarred = (roomOf) => async (req, res) => {
+  try {
+    const { messages, pageInfo } = await ChatService.getStarredMessages(req.user.id, {
+      room: roomOf(req),
+      limit: req.query.limit,
+      before: req.query.before || null,
+      chatKey: req.query.chatKey || null,
+      deviceId: deviceIdOf(req),
+    });
+
+    res.json({ success: true, messages, pageInfo });
+  } catch (err) {
+    res.status(pinErrorStatus(err)).json({ success: false, error: err.message });
+  }
+};
+
+router.get("/starred", verifyAccessToken, listStarred(() => null));
+router.get(
+  "/starred/:otherUserId",
+  verifyAccessToken,
+  listStarred((req) => [req.user.id, req.params.otherUserId].sort().join("_"))
+);
+
+/* ======================================================
+   🕘 GET /messages/edit-history/:id
+====================================================== */
+router.get(
+  "/edit-history/:id",
+  verifyAccessToken,
+  async (req, res) => {
+    try {
+      const history = await ChatService.getEditHistory(
+        req.params.id,
+        req.user.id,
+        { chatKey: req.query.chatKey || null, deviceId: deviceIdOf(req) }
+      );
+
+      res.json({ success: true, history });
+    } catch (err) {
+      res.status(400).json({ success: false, error: err.message });
+    }
+  }
+);
+
 /* ======================================================
    ♻️ PATCH /messages/restore/:id
 ====================================================== */
@@ -158,7 +484,7 @@ router.patch(
       const result = await ChatService.restoreMessage(
         messageId,
         actorUserId,
-        (event, payload) => wsEmit(event, payload, payload.room)
+        wsEmit
       );
 
       res.json({ success: true, restored: result });
@@ -169,4 +495,509 @@ router.patch(
   }
 );
 
+/* ======================================================
+   👥 GRUPOS
+====================================================== */
+const groupErrorStatus = (err) =>
+  err.message === "Conversación no encontrada"
+    ? 404
+    : err.message === "No autorizado" || err.message?.startsWith("Solo admins")
+    ? 403
+    : 400;
+
+/* ======================================================
+   ➕ POST /messages/groups — crear grupo
+====================================================== */
+router.post(
+  "/groups",
+  verifyAccessToken,
+  async (req, res) => {
+    try {
+      const { title, avatar, members = [] } = req.body;
+
+      const group = await ConversationService.createGroup({
+        creatorId: req.user.id,
+        title,
+        avatar,
+        memberIds: members,
+        wsEmit,
+      });
+
+      res.status(201).json({ success: true, group });
+    } catch (err) {
+      console.error("❌ Error creando grupo:", err);
+      res.status(groupErrorStatus(err)).json({ success: false, error: err.message });
+    }
+  }
+);
+
+/* ======================================================
+   📋 GET /messages/groups — mis grupos
+====================================================== */
+router.get(
+  "/groups",
+  verifyAccessToken,
+  async (req, res) => {
+    try {
+      const limit = Math.min(Number(req.query.limit) || 50, 200);
+      const groups = await ConversationService.listForUser(req.user.id, limit);
+
+      res.json({ success: true, groups });
+    } catch (err) {
+      console.error("❌ Error listando grupos:", err);
+      res.status(500).json({ success: false, error: "Error listando grupos" });
+    }
+  }
+);
+
+/* ======================================================
+   🔍 GET /messages/groups/:id — detalle
+====================================================== */
+router.get(
+  "/groups/:id",
+  verifyAccessToken,
+  async (req, res) => {
+    try {
+      const group = await ConversationService.getForMember(req.params.id, req.user.id);
+      res.json({ success: true, group: group.toObject() });
+    } catch (err) {
+      res.status(groupErrorStatus(err)).json({ success: false, error: err.message });
+    }
+  }
+);
+
+/* ======================================================
+   ✏️ PATCH /messages/groups/:id — título / avatar
+====================================================== */
+router.patch(
+  "/groups/:id",
+  verifyAccessToken,
+  async (req, res) => {
+    try {
+      const { title, avatar } = req.body;
+
+      const group = await ConversationService.updateGroup(
+        req.params.id,
+        req.user.id,
+        { title, avatar },
+        wsEmit
+      );
+
+      res.json({ success: true, group });
+    } catch (err) {
+      console.error("❌ Error actualizando grupo:", err);
+      res.status(groupErrorStatus(err)).json({ success: false, error: err.message });
+    }
+  }
+);
+
+/* ======================================================
+   📨 POST /messages/groups/:id/members — invitar
+====================================================== */
+router.post(
+  "/groups/:id/members",
+  verifyAccessToken,
+  async (req, res) => {
+    try {
+      const group = await ConversationService.addMembers(
+        req.params.id,
+        req.user.id,
+        req.body.members || req.body.userId,
+        wsEmit
+      );
+
+      res.json({ success: true, group });
+    } catch (err) {
+      console.error("❌ Error invitando miembros:", err);
+      res.status(groupErrorStatus(err)).json({ success: false, error: err.message });
+    }
+  }
+);
+
+/* ======================================================
+   🚫 DELETE /messages/groups/:id/members/:userId — expulsar
+====================================================== */
+router.delete(
+  "/groups/:id/members/:userId",
+  verifyAccessToken,
+  async (req, res) => {
+    try {
+      const group = await ConversationService.removeMember(
+        req.params.id,
+        req.user.id,
+        req.params.userId,
+        wsEmit
+      );
+
+      res.json({ success: true, group });
+    } catch (err) {
+      console.error("❌ Error expulsando miembro:", err);
+      res.status(groupErrorStatus(err)).json({ success: false, error: err.message });
+    }
+  }
+);
+
+/* ======================================================
+   🚪 POST /messages/groups/:id/leave — salir
+====================================================== */
+router.post(
+  "/groups/:id/leave",
+  verifyAccessToken,
+  async (req, res) => {
+    try {
+      const result = await ConversationService.leave(req.params.id, req.user.id, wsEmit);
+      res.json({ success: true, left: result });
+    } catch (err) {
+      console.error("❌ Error saliendo del grupo:", err);
+      res.status(groupErrorStatus(err)).json({ success: false, error: err.message });
+    }
+  }
+);
+
+/* ======================================================
+   🛡 PUT/DELETE /messages/groups/:id/admins/:userId
+====================================================== */
+router.put(
+  "/groups/:id/admins/:userId",
+  verifyAccessToken,
+  async (req, res) => {
+    try {
+      const group = await ConversationService.setAdmin(
+        req.params.id,
+        req.user.id,
+        req.params.userId,
+        true,
+        wsEmit
+      );
+
+      res.json({ success: true, group });
+    } catch (err) {
+      res.status(groupErrorStatus(err)).json({ success: false, error: err.message });
+    }
+  }
+);
+
+router.delete(
+  "/groups/:id/admins/:userId",
+  verifyAccessToken,
+  async (req, res) => {
+    try {
+      const group = await ConversationService.setAdmin(
+        req.params.id,
+        req.user.id,
+        req.params.userId,
+        false,
+        wsEmit
+      );
+
+      res.json({ success: true, group });
+    } catch (err) {
+      res.status(groupErrorStatus(err)).json({ success: false, error: err.message });
+    }
+  }
+);
+
+/* ======================================================
+   📜 GET /messages/groups/:id/history — historial del grupo
+   ?limit=50&before=<messageId|ISO>&after=<messageId|ISO>
+====================================================== */
+router.get(
+  "/groups/:id/history",
+  verifyAccessToken,
+  async (req, res) => {
+    try {
+      const { limit, before, after, chatKey = null, includeDeleted = false } = req.query;
+
+      const { messages, pageInfo } = await ChatService.getConversationHistory(
+        req.params.id,
+        req.user.id,
+        {
+          limit,
+          before,
+          after,
+          chatKey,
+          includeDeleted: includeDeleted === "true",
+          deviceId: deviceIdOf(req),
+        }
+      );
+
+      res.json({ success: true, messages, pageInfo });
+    } catch (err) {
+      console.error("❌ Error obteniendo historial de grupo:", err);
+      res.status(groupErrorStatus(err)).json({ success: false, error: err.message });
+    }
+  }
+);
+
+/* ======================================================
+   🟢 PUT /messages/groups/:id/mark-read — reset no leídos
+====================================================== */
+router.put(
+  "/groups/:id/mark-read",
+  verifyAccessToken,
+  async (req, res) => {
+    try {
+      const group = await ConversationService.getForMember(req.params.id, req.user.id);
+
+      const read = await ChatService.markAsRead(String(group._id), req.user.id, {
+        upTo: req.body?.upTo || req.query.upTo || null,
+        wsEmit,
+      });
+
+      res.json({ success: true, read });
+    } catch (err) {
+      console.error("❌ Error marcando grupo como leído:", err);
+      res.status(groupErrorStatus(err)).json({ success: false, error: err.message });
+    }
+  }
+);
+
+/* ======================================================
+   📌 GET /messages/groups/:id/pinned — fijados del grupo
+====================================================== */
+router.get(
+  "/groups/:id/pinned",
+  verifyAccessToken,
+  async (req, res) => {
+    try {
+      const group = await ConversationService.getForMember(req.params.id, req.user.id);
+      const messages = await ChatService.getPinnedMessages(String(group._id), req.user.id, {
+        deviceId: deviceIdOf(req),
+      });
+
+      res.json({ success: true, messages });
+    } catch (err) {
+      res.status(groupErrorStatus(err)).json({ success: false, error: err.message });
+    }
+  }
+);
+
+/* ======================================================
+   ⭐ GET /messages/groups/:id/starred — mis destacados del grupo
+====================================================== */
+router.get(
+  "/groups/:id/starred",
+  verifyAccessToken,
+  async (req, res) => {
+    try {
+      const group = await ConversationService.getForMember(req.params.id, req.user.id);
+      const { messages, pageInfo } = await ChatService.getStarredMessages(req.user.id, {
+        room: String(group._id),
+        limit: req.query.limit,
+        before: req.query.before || null,
+        deviceId: deviceIdOf(req),
+      });
+
+      res.json({ success: true, messages, pageInfo });
+    } catch (err) {
+      res.status(groupErrorStatus(err)).json({ success: false, error: err.message });
+    }
+  }
+);
+
+/* ======================================================
+   🔕 AJUSTES POR CHAT
+   PATCH body: { mute: false|"8h"|"1w"|"always"|segundos|ISO,
+                 archived, unread, notificationLevel: all|mentions|none }
+====================================================== */
+const settingsPatchOf = (body = {}) => {
+  const patch = {};
+  for (const key of ["mute", "archived", "unread", "notificationLevel"]) {
+    if (body[key] !== undefined) patch[key] = body[key];
+  }
+  return patch;
+};
+
+/* ======================================================
+   📋 GET /messages/conversations — mis chats por última actividad
+   perfil / grupo, último mensaje, no leídos, presencia y typing
+   ?archived=true|false&limit=50&before=<ISO lastMessageAt>
+====================================================== */
+router.get(
+  "/conversations",
+  verifyAccessToken,
+  async (req, res) => {
+    try {
+      const { archived, limit, before } = req.query;
+
+      const { chats, pageInfo } = await ChatListService.listChats(req.user.id, {
+        archived: archived === undefined ? null : archived === "true",
+        limit,
+        before: before || null,
+        deviceId: deviceIdOf(req),
+      });
+
+      res.json({ success: true, conversations: chats, pageInfo });
+    } catch (err) {
+      console.error("❌ Error listando conversaciones:", err);
+      res.status(400).json({ success: false, error: err.message });
+    }
+  }
+);
+
+/* ======================================================
+   🔍 GET /messages/settings/:otherUserId — ajustes chat 1:1
+====================================================== */
+router.get(
+  "/settings/:otherUserId",
+  verifyAccessToken,
+  async (req, res) => {
+    try {
+      const settings = await ChatSettingsService.getSettings(req.user.id, {
+        otherUserId: req.params.otherUserId,
+      });
+      res.json({ success: true, settings });
+    } catch (err) {
+      res.status(groupErrorStatus(err)).json({ success: false, error: err.message });
+    }
+  }
+);
+
+/* ======================================================
+   ✏️ PATCH /messages/settings/:otherUserId
+====================================================== */
+router.patch(
+  "/settings/:otherUserId",
+  verifyAccessToken,
+  async (req, res) => {
+    try {
+      const settings = await ChatSettingsService.updateSettings(
+        req.user.id,
+        { otherUserId: req.params.otherUserId },
+        settingsPatchOf(req.body),
+        wsEmit
+      );
+      res.json({ success: true, settings });
+    } catch (err) {
+      console.error("❌ Error actualizando ajustes del chat:", err);
+      res.status(groupErrorStatus(err)).json({ success: false, error: err.message });
+    }
+  }
+);
+
+/* ======================================================
+   🔍 GET /messages/groups/:id/settings — mis ajustes del grupo
+====================================================== */
+router.get(
+  "/groups/:id/settings",
+  verifyAccessToken,
+  async (req, res) => {
+    try {
+      const settings = await ChatSettingsService.getSettings(req.user.id, {
+        conversationId: req.params.id,
+      });
+      res.json({ success: true, settings });
+    } catch (err) {
+      res.status(groupErrorStatus(err)).json({ success: false, error: err.message });
+    }
+  }
+);
+
+/* ======================================================
+   ✏️ PATCH /messages/groups/:id/settings
+====================================================== */
+router.patch(
+  "/groups/:id/settings",
+  verifyAccessToken,
+  async (req, res) => {
+    try {
+      const settings = await ChatSettingsService.updateSettings(
+        req.user.id,
+        { conversationId: req.params.id },
+        settingsPatchOf(req.body),
+        wsEmit
+      );
+      res.json({ success: true, settings });
+    } catch (err) {
+      console.error("❌ Error actualizando ajustes del grupo:", err);
+      res.status(groupErrorStatus(err)).json({ success: false, error: err.message });
+    }
+  }
+);
+
+/* ======================================================
+   ⏳ MENSAJES TEMPORALES
+   ttl: "off" | "24h" | "7d" | "90d"
+====================================================== */
+
+/* ======================================================
+   🔍 GET /messages/retention/:otherUserId — política 1:1
+====================================================== */
+router.get(
+  "/retention/:otherUserId",
+  verifyAccessToken,
+  async (req, res) => {
+    try {
+      const retention = await RetentionService.getPolicy(req.user.id, {
+        otherUserId: req.params.otherUserId,
+      });
+      res.json({ success: true, retention });
+    } catch (err) {
+      res.status(groupErrorStatus(err)).json({ success: false, error: err.message });
+    }
+  }
+);
+
+/* ======================================================
+   ✏️ PUT /messages/retention/:otherUserId — body { ttl }
+====================================================== */
+router.put(
+  "/retention/:otherUserId",
+  verifyAccessToken,
+  async (req, res) => {
+    try {
+      const retention = await RetentionService.setPolicy(
+        req.user.id,
+        { otherUserId: req.params.otherUserId },
+        req.body?.ttl,
+        wsEmit
+      );
+      res.json({ success: true, retention });
+    } catch (err) {
+      console.error("❌ Error cambiando mensajes temporales:", err);
+      res.status(groupErrorStatus(err)).json({ success: false, error: err.message });
+    }
+  }
+);
+
+/* ======================================================
+   🔍 GET /messages/groups/:id/retention — política del grupo
+====================================================== */
+router.get(
+  "/groups/:id/retention",
+  verifyAccessToken,
+  async (req, res) => {
+    try {
+      const retention = await RetentionService.getPolicy(req.user.id, {
+        conversationId: req.params.id,
+      });
+      res.json({ success: true, retention });
+    } catch (err) {
+      res.status(groupErrorStatus(err)).json({ success: false, error: err.message });
+    }
+  }
+);
+
+/* ======================================================
+   ✏️ PUT /messages/groups/:id/retention — solo admins
+====================================================== */
+router.put(
+  "/groups/:id/retention",
+  verifyAccessToken,
+  async (req, res) => {
+    try {
+      const retention = await RetentionService.setPolicy(
+        req.user.id,
+        { conversationId: req.params.id },
+        req.body?.ttl,
+        wsEmit
+      );
+      res.json({ success: true, retention });
+    } catch (err) {
+      console.error("❌ Error cambiando mensajes temporales del grupo:", err);
+      res.status(groupErrorStatus(err)).json({ success: false, error: err.message });
+    }
+  }
+);
+
 export default router;
@@ -15,7 +15,7 @@ import jwt from "jsonwebtoken";
 import chalk from "chalk";
 
 import { authController } from "../controllers/auth.js";
-import { authenticateJWT } from "../middlewares/AuthMiddleware.js";
+import { authenticateJWT, sessionClaims } from "../middlewares/AuthMiddleware.js";
 import config from "../../config/config.js";
 
 const router = express.Router();
@@ -150,6 +150,7 @@ router.post(
           username: user.username,
           email: user.email,
           role: user.role || "user",
+          ...(await sessionClaims(user.id || user._id)),
         },
         JWT_SECRET,
         { expiresIn: "7d" }
@@ -1,5 +1,6 @@
 import express from "express";
 import { CallController } from "../controllers/call.js";
+import { ScheduledCallController } from "../controllers/scheduledCall.js";
 import { authenticateJWT } from "../middlewares/AuthMiddleware.js";
 
 const router = express.Router();
@@ -19,10 +20,41 @@ router.post("/:callId/accept", CallController.acceptCall);
 // ❌ Rechazar llamada
 router.post("/:callId/reject", CallController.rejectCall);
 
-// 📴 Finalizar llamada
+// ➕ Invitar a mitad de llamada
+router.post("/:callId/invite", CallController.inviteToCall);
+
+// ⏸️ Espera / ▶️ reanudar / 🔀 cambiar de llamada
+router.post("/:callId/hold", CallController.holdCall);
+router.post("/:callId/resume", CallController.resumeCall);
+router.post("/:callId/switch", CallController.switchCall);
+
+// 📴 Finalizar llamada (salir)
 router.post("/:callId/end", CallController.endCall);
 
+// 🗓️ Llamadas programadas
+router.post("/scheduled", ScheduledCallController.create);
+router.get("/scheduled", ScheduledCallController.list);
+router.get("/scheduled/:id", ScheduledCallController.get);
+router.patch("/scheduled/:id", ScheduledCallController.update);
+router.delete("/scheduled/:id", ScheduledCallController.cancel);
+router.post("/scheduled/:id/rsvp", ScheduledCallController.rsvp);
+
+// 📶 Telemetría WebRTC (participantes)
+router.post("/:callId/stats", CallController.postStats);
+
+// 📋 Informes de calidad (admin)
+router.get("/qos", authenticateJWT(["admin"]), CallController.getQosReport);
+router.get("/:callId/qos", authenticateJWT(["admin"]), CallController.getCallQos);
+
 // 📜 Obtener historial de llamadas del usuario autenticado
 router.get("/history", CallController.getHistory);
+router.get("/history/stats", CallController.getHistoryStats);
+
+// 🔁 Devolver llamada desde una entrada del historial
+router.post("/history/:logId/callback", CallController.callBack);
+
+// 🔴 Badge de llamadas perdidas
+router.get("/missed/count", CallController.getMissedCount);
+router.post("/missed/seen", CallController.markMissedSeen);
 
 export default router;
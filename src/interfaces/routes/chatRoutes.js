@@ -6,10 +6,11 @@
 // ✔ Envío de texto + multimedia
 // ✔ Soft delete / restore
 // ✔ Compatible con uploadMiddleware v17 (200MB)
+// ✔ Adjuntos vía processingUpload → ChatMediaService (LOCAL / R2 + thumbnail)
 // ======================================================
 
 import express from "express";
-import upload from "../../infrastructure/uploadMiddleware.js";
+import { processingUpload as upload } from "../../infrastructure/uploadMiddleware.js";
 import { ChatController } from "../controllers/chat.js";
 
 const router = express.Router();
@@ -18,7 +19,7 @@ const router = express.Router();
    📜 Obtener historial
    GET /api/chat/:receiverId?page=1&chatKey=...
    - page: opcional (paginación futuro)
-   - chatKey: opcional (AES por usuario)
+   - chatKey: opcional (solo mensajes AES legacy)
 ====================================================== */
 router.get("/:receiverId", ChatController.getMessages);
 
@@ -27,7 +28,7 @@ router.get("/:receiverId", ChatController.getMessages);
    POST /api/chat/send/:receiverId
    Body:
      - text (opcional si hay archivo)
-     - chatKey (AES)
+     - envelopes (E2EE, JSON [{ userId, deviceId, type, ciphertext }])
    File:
      - file (image/video/audio/document)
 ====================================================== */
@@ -1,6 +1,13 @@
 import express from "express";
 import dotenv from "dotenv";
-import { postDeviceInfo } from "../controllers/device.js";
+import {
+  postDeviceInfo,
+  putKeyBundle,
+  postPreKeys,
+  getMyDevices,
+  getKeyBundles,
+  deleteDeviceKeys,
+} from "../controllers/device.js";
 import { authenticateJWT } from "../middlewares/AuthMiddleware.js";
 
 dotenv.config(); // 🔹 Cargar variables de entorno desde .env
@@ -12,4 +19,11 @@ const router = express.Router();
 // 🔹 Pasar JWT_SECRET a tu middleware de autenticación
 router.post("/", authenticateJWT(JWT_SECRET), postDeviceInfo);
 
+// 🔑 Directorio de claves E2EE (solo claves públicas)
+router.put("/keys", authenticateJWT(JWT_SECRET), putKeyBundle);
+router.get("/keys", authenticateJWT(JWT_SECRET), getMyDevices);
+router.post("/keys/:deviceId/prekeys", authenticateJWT(JWT_SECRET), postPreKeys);
+router.delete("/keys/:deviceId", authenticateJWT(JWT_SECRET), deleteDeviceKeys);
+router.get("/keys/user/:userId", authenticateJWT(JWT_SECRET), getKeyBundles);
+
 export default router;
@@ -9,6 +9,7 @@
 // ✔ 🆕 GET /posts/:id/video-manifest (manifest ligero)
 // ✔ 🆕 POST /posts/:id/view (viewsCount++)
 // ✔ 🆕 POST /posts/repost  +  POST /posts/:id/repost (repost)
+// ✔ 🆕 GET /posts/hashtag/:tag + GET /posts/hashtags/trending
 // ======================================================
 
 import express from "express";
@@ -36,6 +37,8 @@ const REQUIRED = [
   "getPostVideoManifest", // 🆕 obligatorio
   "registerView", // 🆕 registrar views
   "repostPost", // 🆕 repost
+  "getPostsByHashtag", // 🆕 #hashtag
+  "getTrendingHashtags", // 🆕 tendencias
 ];
 
 for (const fn of REQUIRED) {
@@ -118,6 +121,25 @@ router.get(
   wrap("Error en /posts/older", postController.getOlder)
 );
 
+// ======================================================
+// #️⃣ HASHTAGS
+// ------------------------------------------------------
+// GET /posts/hashtag/:tag?before=<ISO>&limit=20
+// GET /posts/hashtags/trending?hours=24&limit=10
+// IMPORTANTE: van ANTES de /:id
+// ======================================================
+router.get(
+  "/hashtags/trending",
+  authMiddleware,
+  wrap("Error en /posts/hashtags/trending", postController.getTrendingHashtags)
+);
+
+router.get(
+  "/hashtag/:tag",
+  authMiddleware,
+  wrap("Error en /posts/hashtag/:tag", postController.getPostsByHashtag)
+);
+
 // ======================================================
 // ❤️ LIKE / UNLIKE
 // ======================================================
@@ -6,12 +6,17 @@
 // GET    /uploads/my       → mis archivos (meta en DB)
 // DELETE /uploads/:id      → borrar (meta + objeto)
 // GET    /uploads/*        → servir archivo físico desde LOCAL o R2
+//        /uploads/chat/*   → solo participantes del chat (token requerido)
 // ======================================================
 
 import { Router } from "express";
 import { UploadController } from "../controllers/uploadsController.js";
 import { authMiddleware } from "../middlewares/AuthMiddleware.js";
 import { hybridUpload } from "../../infrastructure/hybridUpload.js";
+import {
+  isChatMediaPath,
+  canAccessChatMedia,
+} from "../../application/ChatMediaService.js";
 
 import fs from "fs";
 import path from "path";
@@ -79,16 +84,43 @@ router.post(
 router.get("/my", authMiddleware, UploadController.getMyFiles);
 router.delete("/:id", authMiddleware, UploadController.deleteFile);
 
+// ======================================================
+// 🔒 Media del chat: token + participante del room
+//  - 404 (no 403) para no revelar qué archivos existen
+// ======================================================
+const relPathOf = (req) => {
+  const rawParam = req.params.file ?? req.params[0] ?? "";
+  const raw = Array.isArray(rawParam) ? rawParam.join("/") : rawParam;
+  // normalizado: "x/../chat/..." no debe saltarse el guard
+  return path.posix.normalize(String(raw)).replace(/^\/+/, ""); // sin slash inicial
+};
+
+const chatMediaGuard = (req, res, next) => {
+  const relPath = relPathOf(req);
+  if (!isChatMediaPath(relPath)) return next();
+
+  authMiddleware(req, res, async () => {
+    try {
+      const allowed = await canAccessChatMedia(req.user?.id, relPath);
+      if (!allowed) return res.sendStatus(404);
+
+      res.setHeader("Cache-Control", "private, max-age=3600");
+      next();
+    } catch (err) {
+      console.error("❌ Error verificando acceso a media del chat:", err);
+      res.sendStatus(500);
+    }
+  });
+};
+
 // ======================================================
 // 🖼 Servir archivos: GET /uploads/*
 //  - En LOCAL: lee de disco (LOCAL_UPLOADS_BASE)
 //  - En R2: key = R2_PREFIX + "/" + path_relativo
 //    Ej: /uploads/videos/vid.mp4 → key "uploads/videos/vid.mp4"
 // ======================================================
-router.get("/*file", async (req, res) => {
-  const rawParam = req.params.file ?? req.params[0] ?? "";
-  const raw = Array.isArray(rawParam) ? rawParam.join("/") : rawParam;
-  const relPath = String(raw).replace(/^\/+/, ""); // sin slash inicial
+router.get("/*file", chatMediaGuard, async (req, res) => {
+  const relPath = relPathOf(req);
 
   if (!relPath) {
     return res.status(400).json({ error: "Ruta de archivo vacía" });
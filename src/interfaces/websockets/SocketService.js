@@ -2,25 +2,58 @@
 // 🌐 src/interfaces/websockets/SocketService.js — FIX v10.8 (2025)
 // ------------------------------------------------------
 // ✔ ChatService integrado (send, delete, restore, read)
-// ✔ Typing real
+// ✔ Grupos: group_message / group_typing → todos los miembros
+// ✔ Receipts: message_delivered (ack) + mark_read { upTo }
+// ✔ edit_message → message_edited
+// ✔ replyTo / quotedText + forward_message
+// ✔ react_message → message_reaction
+// ✔ Typing real (+ estado en Redis para la lista de chats)
+// ✔ Llamadas grupales: participant_joined / participant_left / invite_to_call
+// ✔ Señalización WebRTC: webrtc_offer / webrtc_answer / webrtc_ice_candidate
+// ✔ Ocupado / llamada en espera: CALL_BUSY, CALL_WAITING, hold / resume / switch
 // ✔ Namespaces: chats / calls / activity
 // ✔ Redis Pub/Sub multi-servidor
-// ✔ userId real (no socket.id)
+// ✔ userId derivado del JWT (socketAuthMiddleware en cada namespace)
+// ✔ Sesiones revocadas → session_revoked + desconexión; auth_refresh
+// ✔ Eventos durables con eventId + replay al reconectar (lastEventId)
 // ✔ FULL compatible con tu frontend actual
 // ======================================================
 
+import crypto from "crypto";
 import { Server as IOServer } from "socket.io";
 import chalk from "chalk";
 import { createAdapter } from "@socket.io/redis-adapter";
 import { initRedis } from "../../infrastructure/RedisProvider.js";
 
 import { registerConnection, unregisterConnection } from "./socketMetrics.js";
+import {
+  QUEUED_EVENTS,
+  recordPendingEvent,
+  readPendingEvents,
+} from "./pendingEvents.js";
+import {
+  socketAuthMiddleware,
+  verifySocketToken,
+  isSessionRevoked,
+} from "../middlewares/AuthMiddleware.js";
 import { ChatService } from "../../application/ChatService.js";
+import { ConversationService } from "../../application/ConversationService.js";
+import { ChatListService } from "../../application/ChatListService.js";
 import CallService from "../../application/CallService.js";
 
+const EVENT_CHANNEL = "quickchatx:events";
+
+// Señalización WebRTC reenviada tal cual al otro participante
+const SIGNAL_EVENTS = ["webrtc_offer", "webrtc_answer", "webrtc_ice_candidate"];
+const MAX_SIGNAL_BYTES = 64 * 1024;
+const AUTH_RECHECK_MS = Number(process.env.SOCKET_AUTH_RECHECK_MS || 30000);
+const REPLAY_MAX_PAGES = 20;
+const REPLAY_NSP = "/chats";
+
 class SocketService {
   constructor() {
     this.io = null;
+    this.instanceId = crypto.randomUUID();
 
     this.redisPub = null;
     this.redisSub = null;
@@ -91,17 +124,17 @@ class SocketService {
     for (const [path, label] of Object.entries(namespaces)) {
       const ns = this.io.of(path);
 
+      // 🔐 JWT + sesión Redis en el handshake (rechaza tokens revocados)
+      ns.use(socketAuthMiddleware);
+
       ns.on("connection", (socket) => {
-        const userId = socket.handshake.query.userId;
-        const username = socket.handshake.query.username || "anon";
+        const userId = String(socket.user.id);
+        const username = socket.user.username || "anon";
 
-        if (!userId) {
-          socket.disconnect();
-          return;
-        }
+        this._attachAuthHandlers(socket, userId);
 
         // Registrar session
-        this.clients.set(socket.id, { userId, username });
+        this.clients.set(socket.id, { userId, username, nsp: path });
 
         if (!this._userSocketIndex.has(userId))
           this._userSocketIndex.set(userId, []);
@@ -116,6 +149,13 @@ class SocketService {
 
         socket.emit("connected", { id: socket.id, user: username });
 
+        // 📥 Replay automático si el cliente trae su cursor (auth.lastEventId)
+        // Solo en /chats: la cola es por usuario, no por namespace
+        // (en los tres namespaces llegaría cada evento tres veces)
+        if (path === REPLAY_NSP && socket.handshake.auth && "lastEventId" in socket.handshake.auth) {
+          this._replayPendingEvents(socket, userId, socket.handshake.auth.lastEventId || null);
+        }
+
         // ======================================================
         // 🔥 HANDLERS para namespace de CHAT
         // ======================================================
@@ -134,13 +174,13 @@ class SocketService {
           unregisterConnection(userId);
           this.clients.delete(socket.id);
 
-          const list = this._userSocketIndex.get(userId) || [];
-
-          this._userSocketIndex.set(
-            userId,
-            list.filter((id) => id !== socket.id)
+          const list = (this._userSocketIndex.get(userId) || []).filter(
+            (id) => id !== socket.id
           );
 
+          if (list.length) this._userSocketIndex.set(userId, list);
+          else this._userSocketIndex.delete(userId);
+
           console.log(chalk.yellow(`${label} desconectado → ${userId}`));
         });
       });
@@ -148,55 +188,212 @@ class SocketService {
   }
 
   // ======================================================
-  // 💬 Chat Handlers
+  // 🔐 Auth en sockets vivos
+  // - Cada paquete re-verifica revocación (como mucho cada AUTH_RECHECK_MS)
+  // - auth_refresh { token } → re-valida y actualiza la sesión del socket
   // ======================================================
-  _attachChatHandlers(socket, userId) {
-    // 1️⃣ NEW MESSAGE
-    socket.on("private_message", async ({ to, message, type = "text" }) => {
+  _attachAuthHandlers(socket, userId) {
+    socket.use(async (packet, next) => {
+      if (Date.now() - (socket.data.authCheckedAt || 0) < AUTH_RECHECK_MS) return next();
+
       try {
-        if (!to || !message) return;
-
-        await ChatService.sendMessage({
-          from: userId,
-          to,
-          text: message,
-          mediaType: type,
-          chatKey: null,
-          mediaFile: null,
-          wsEmit: (event, payload) => {
-            this.emitToUser(to, event, payload);
-            this.emitToUser(userId, event, payload);
-          },
-        });
+        if (await isSessionRevoked(userId, socket.data.tokenIat, socket.data.tokenSv)) {
+          socket.emit("session_revoked", { reason: "revoked" });
+          socket.disconnect(true);
+          return;
+        }
+        socket.data.authCheckedAt = Date.now();
+      } catch (err) {
+        console.warn("⚠️ recheck auth socket:", err.message);
+      }
+      next();
+    });
+
+    socket.on("sync_events", async ({ since = null, limit = 100 } = {}, ack) => {
+      const summary = await this._replayPendingEvents(socket, userId, since, { limit, maxPages: 1 });
+      if (typeof ack === "function") ack(summary);
+    });
+
+    socket.on("auth_refresh", async ({ token } = {}, ack) => {
+      const reply = (data) =>
+        typeof ack === "function" ? ack(data) : socket.emit("auth_refreshed", data);
+
+      try {
+        const { user, iat, sv } = await verifySocketToken(token);
+        if (String(user.id) !== userId) throw new Error("El token pertenece a otro usuario");
+
+        socket.user = user;
+        socket.data.tokenIat = iat;
+        socket.data.tokenSv = sv;
+        socket.data.authCheckedAt = Date.now();
+
+        reply({ success: true });
       } catch (err) {
-        console.error("❌ error private_message:", err.message);
+        reply({ success: false, error: err.message });
+
+        if (err.message === "Sesión revocada") {
+          socket.emit("session_revoked", { reason: "revoked" });
+          socket.disconnect(true);
+        }
       }
     });
+  }
+
+  // ======================================================
+  // 📥 Sync de eventos pendientes
+  // - sync_events { since, limit } → reemite los eventos en orden (+ ack con cursor)
+  // - Cada evento llega como emit(event, payload, { eventId, replayed })
+  // - El cliente descarta eventId <= último visto (el replay puede solaparse con el vivo)
+  // ======================================================
+  async _replayPendingEvents(socket, userId, since = null, { limit = 100, maxPages = REPLAY_MAX_PAGES } = {}) {
+    let cursor = since;
+    let count = 0;
+    let gap = false;
+    let hasMore = false;
+
+    try {
+      for (let page = 0; page < maxPages; page++) {
+        const result = await readPendingEvents(userId, { since: cursor, limit });
+        if (page === 0) gap = result.gap;
+
+        for (const { eventId, event, payload } of result.events) {
+          socket.emit(event, payload, { eventId, replayed: true });
+        }
+
+        count += result.events.length;
+        cursor = result.lastEventId;
+        hasMore = result.hasMore;
+        if (!hasMore) break;
+      }
+
+      const summary = { success: true, count, lastEventId: cursor, hasMore, gap };
+      socket.emit("sync_complete", summary);
+      return summary;
+    } catch (err) {
+      console.error("❌ sync eventos pendientes:", err.message);
+      const summary = { success: false, error: err.message, lastEventId: cursor };
+      socket.emit("sync_complete", summary);
+      return summary;
+    }
+  }
+
+  // ======================================================
+  // 🚪 Desconectar todos los sockets de un usuario (logout)
+  // ======================================================
+  disconnectUser(userId, reason = "revoked") {
+    this._disconnectLocalUser(String(userId), reason);
+
+    if (this._pubsubReady) {
+      this.redisPub.publish(
+        EVENT_CHANNEL,
+        JSON.stringify({
+          action: "disconnectUser",
+          origin: this.instanceId,
+          userId: String(userId),
+          payload: { reason },
+        })
+      );
+    }
+  }
+
+  _disconnectLocalUser(userId, reason) {
+    for (const id of [...(this._userSocketIndex.get(userId) || [])]) {
+      const nsp = this.clients.get(id)?.nsp;
+      const sock = (nsp ? this.io.of(nsp) : this.io.sockets).sockets.get(id);
+      if (!sock) continue;
+
+      sock.emit("session_revoked", { reason });
+      sock.disconnect(true);
+    }
+  }
+
+  // ======================================================
+  // 💬 Chat Handlers
+  // ======================================================
+  _attachChatHandlers(socket, userId) {
+    // 🔐 Dispositivo E2EE de este socket (filtra los sobres del historial)
+    const deviceId =
+      socket.handshake.auth?.deviceId || socket.handshake.query?.deviceId || null;
+
+    // 1️⃣ NEW MESSAGE (texto en claro o sobres E2EE)
+    socket.on(
+      "private_message",
+      async ({ to, message = "", envelopes = null, type = "text", replyTo = null, quotedText = null }) => {
+        try {
+          if (!to || (!message && !envelopes?.length)) return;
+
+          await ChatService.sendMessage({
+            from: userId,
+            to,
+            text: message,
+            mediaType: type,
+            envelopes,
+            senderDeviceId: deviceId,
+            mediaFile: null,
+            replyTo,
+            quotedText,
+            wsEmit: (event, payload, recipients) => {
+              this.emitToUsers(recipients, event, payload);
+            },
+          });
+        } catch (err) {
+          console.error("❌ error private_message:", err.message);
+          socket.emit("message_error", {
+            action: "private_message",
+            to,
+            error: err.message,
+            details: err.details || null,
+          });
+        }
+      }
+    );
 
     // 2️⃣ Typing
-    socket.on("typing", ({ to }) => {
+    socket.on("typing", ({ to, isTyping = true }) => {
       if (!to) return;
       this.emitToUser(to, "typing", { from: userId });
+      ChatListService.noteTyping([String(userId), String(to)].sort().join("_"), userId, isTyping);
     });
 
-    // 3️⃣ Mark Read
-    socket.on("mark_read", async ({ room }) => {
+    // 3️⃣ Mark Read (todo el room o hasta upTo)
+    socket.on("mark_read", async ({ room, upTo = null }) => {
       try {
-        await ChatService.markAsRead(room, userId);
-        this.emitToUser(userId, "messages_read", { room });
+        if (!room) return;
+
+        await ChatService.markAsRead(room, userId, {
+          upTo,
+          wsEmit: (event, payload, recipients) => {
+            this.emitToUsers(recipients, event, payload);
+          },
+        });
       } catch (err) {
         console.error("❌ mark_read error:", err.message);
       }
     });
 
+    // 3️⃣.1 Entregado: ack del dispositivo receptor
+    socket.on("message_delivered", async ({ messageId, messageIds }) => {
+      try {
+        await ChatService.markDelivered(
+          messageIds || messageId,
+          userId,
+          (event, payload, recipients) => {
+            this.emitToUsers(recipients, event, payload);
+          }
+        );
+      } catch (err) {
+        console.error("❌ message_delivered error:", err.message);
+      }
+    });
+
     // 4️⃣ Delete message
     socket.on("delete_message", async ({ messageId }) => {
       try {
         await ChatService.softDeleteMessage(
           messageId,
           userId,
-          (event, data) => {
-            this.emitToUser(data.deletedBy, event, data);
+          (event, data, recipients = [data.deletedBy]) => {
+            this.emitToUsers(recipients, event, data);
           }
         );
       } catch (err) {
@@ -210,14 +407,208 @@ class SocketService {
         await ChatService.restoreMessage(
           messageId,
           userId,
-          (event, data) => {
-            this.emitToUser(data.restoredBy, event, data);
+          (event, data, recipients = [data.restoredBy]) => {
+            this.emitToUsers(recipients, event, data);
           }
         );
       } catch (err) {
         console.error("❌ restore_message error:", err.message);
       }
     });
+
+    // 5️⃣.1 Editar mensaje
+    socket.on("edit_message", async ({ messageId, text, envelopes = null }) => {
+      try {
+        await ChatService.editMessage(messageId, userId, text, {
+          envelopes,
+          senderDeviceId: deviceId,
+          wsEmit: (event, data, recipients) => {
+            this.emitToUsers(recipients, event, data);
+          },
+        });
+      } catch (err) {
+        console.error("❌ edit_message error:", err.message);
+        socket.emit("message_error", {
+          action: "edit_message",
+          messageId,
+          error: err.message,
+          details: err.details || null,
+        });
+      }
+    });
+
+    // 5️⃣.2 Reacción emoji
+    socket.on("react_message", async ({ messageId, emoji, action = "toggle" }) => {
+      try {
+        await ChatService.reactToMessage(messageId, userId, emoji, {
+          action,
+          wsEmit: (event, data, recipients) => {
+            this.emitToUsers(recipients, event, data);
+          },
+        });
+      } catch (err) {
+        console.error("❌ react_message error:", err.message);
+        socket.emit("message_error", { action: "react_message", messageId, error: err.message });
+      }
+    });
+
+    // 5️⃣.3 Fijar / desfijar (todos los participantes)
+    socket.on("pin_message", async ({ messageId, pinned = true }) => {
+      try {
+        await ChatService.pinMessage(messageId, userId, {
+          pinned: pinned !== false,
+          wsEmit: (event, data, recipients) => {
+            this.emitToUsers(recipients, event, data);
+          },
+        });
+      } catch (err) {
+        console.error("❌ pin_message error:", err.message);
+        socket.emit("message_error", { action: "pin_message", messageId, error: err.message });
+      }
+    });
+
+    // 5️⃣.4 Destacar (privado)
+    socket.on("star_message", async ({ messageId, starred = true }) => {
+      try {
+        await ChatService.starMessage(messageId, userId, {
+          starred: starred !== false,
+          wsEmit: (event, data, recipients) => {
+            this.emitToUsers(recipients, event, data);
+          },
+        });
+      } catch (err) {
+        console.error("❌ star_message error:", err.message);
+        socket.emit("message_error", { action: "star_message", messageId, error: err.message });
+      }
+    });
+
+    // 6️⃣ Mensaje de grupo (mentions: ids mencionados, en claro también en E2EE)
+    socket.on(
+      "group_message",
+      async ({
+        conversationId,
+        message = "",
+        envelopes = null,
+        type = "text",
+        replyTo = null,
+        quotedText = null,
+        mentions = null,
+      }) => {
+        try {
+          if (!conversationId || (!message && !envelopes?.length)) return;
+
+          await ChatService.sendMessage({
+            from: userId,
+            conversationId,
+            text: message,
+            mediaType: type,
+            envelopes,
+            senderDeviceId: deviceId,
+            mediaFile: null,
+            replyTo,
+            quotedText,
+            mentions,
+            wsEmit: (event, payload, recipients) => {
+              this.emitToUsers(recipients, event, payload);
+            },
+          });
+        } catch (err) {
+          console.error("❌ error group_message:", err.message);
+          socket.emit("message_error", {
+            action: "group_message",
+            conversationId,
+            error: err.message,
+            details: err.details || null,
+          });
+        }
+      }
+    );
+
+    // 6️⃣.1 Reenviar mensajes a otro chat
+    // (un mensaje cifrado se reenvía solo, con envelopes re-cifrados por el cliente)
+    socket.on(
+      "forward_message",
+      async ({ messageIds, messageId, to = null, conversationId = null, envelopes = null }) => {
+        try {
+          if (!to && !conversationId) return;
+
+          const wsEmit = (event, payload, recipients) => {
+            this.emitToUsers(recipients, event, payload);
+          };
+
+          if (envelopes?.length) {
+            await ChatService.sendMessage({
+              from: userId,
+              to,
+              conversationId,
+              forwardFrom: messageId,
+              envelopes,
+              senderDeviceId: deviceId,
+              wsEmit,
+            });
+            return;
+          }
+
+          await ChatService.forwardMessages({
+            from: userId,
+            messageIds: messageIds || messageId,
+            to,
+            conversationId,
+            wsEmit,
+          });
+        } catch (err) {
+          console.error("❌ forward_message error:", err.message);
+          socket.emit("message_error", {
+            action: "forward_message",
+            error: err.message,
+            details: err.details || null,
+          });
+        }
+      }
+    );
+
+    // 7️⃣ Historial paginado: { with | conversationId, before, after, limit }
+    socket.on("load_history", async (params = {}, ack) => {
+      const reply = (data) =>
+        typeof ack === "function" ? ack(data) : socket.emit("history_page", data);
+
+      try {
+        const { with: otherUserId, conversationId, before, after, limit } = params;
+        if (!otherUserId && !conversationId) throw new Error("Chat requerido");
+
+        const options = { before, after, limit, deviceId };
+
+        const page = conversationId
+          ? await ChatService.getConversationHistory(conversationId, userId, options)
+          : await ChatService.getHistoryPage(userId, otherUserId, options);
+
+        reply({ success: true, conversationId, with: otherUserId, ...page });
+      } catch (err) {
+        console.error("❌ load_history error:", err.message);
+        reply({ success: false, error: err.message });
+      }
+    });
+
+    // 8️⃣ Typing en grupo
+    socket.on("group_typing", async ({ conversationId, isTyping = true }) => {
+      try {
+        if (!conversationId) return;
+
+        const conversation = await ConversationService.getForMember(
+          conversationId,
+          userId
+        );
+
+        this.emitToUsers(
+          conversation.members.filter((id) => id !== String(userId)),
+          "typing",
+          { from: userId, conversationId }
+        );
+        ChatListService.noteTyping(String(conversation._id), userId, isTyping);
+      } catch (err) {
+        console.error("❌ group_typing error:", err.message);
+      }
+    });
   }
 
   // ======================================================
@@ -256,7 +647,7 @@ class SocketService {
       }
     });
 
-    // Finalizar
+    // Finalizar (salir; termina para todos con menos de 2 unidos)
     socket.on("end_call", async ({ callId }) => {
       try {
         await CallService.endCall(callId, userId, this);
@@ -264,20 +655,89 @@ class SocketService {
         console.error("❌ end_call error:", err.message);
       }
     });
+
+    // Invitar a mitad de llamada
+    socket.on("invite_to_call", async ({ callId, userIds }) => {
+      try {
+        await CallService.inviteToCall(callId, userId, userIds, this);
+      } catch (err) {
+        console.error("❌ invite_to_call error:", err.message);
+      }
+    });
+
+    // Espera / reanudar / cambiar de llamada
+    socket.on("hold_call", async ({ callId }) => {
+      try {
+        await CallService.holdCall(callId, userId, this);
+      } catch (err) {
+        console.error("❌ hold_call error:", err.message);
+      }
+    });
+
+    socket.on("resume_call", async ({ callId }) => {
+      try {
+        await CallService.resumeCall(callId, userId, this);
+      } catch (err) {
+        console.error("❌ resume_call error:", err.message);
+      }
+    });
+
+    socket.on("switch_call", async ({ callId }) => {
+      try {
+        await CallService.switchCall(userId, callId, this);
+      } catch (err) {
+        console.error("❌ switch_call error:", err.message);
+      }
+    });
+
+    // 📡 Señalización WebRTC (SDP / ICE) → solo entre participantes de la llamada
+    for (const event of SIGNAL_EVENTS) {
+      socket.on(event, async ({ callId, to, ...signal } = {}, ack) => {
+        const reply = (data) => typeof ack === "function" && ack(data);
+
+        try {
+          if (!callId || !to) throw new Error("callId y to requeridos");
+          if (JSON.stringify(signal).length > MAX_SIGNAL_BYTES)
+            throw new Error("Señal demasiado grande");
+
+          await CallService.assertCanSignal(callId, userId, to);
+
+          // el otro extremo puede estar en otra instancia (pub/sub)
+          this.emitToUserInNamespace(to, "/calls", event, {
+            ...signal,
+            callId: String(callId),
+            from: userId,
+          });
+          reply({ success: true });
+        } catch (err) {
+          console.error(`❌ ${event} error:`, err.message);
+          reply({ success: false, error: err.message });
+        }
+      });
+    }
   }
 
   // ======================================================
   // 🔄 Redis Sync
   // ======================================================
   _subscribeRedisEvents() {
-    this.redisSub.subscribe("quickchatx:events");
+    this.redisSub.subscribe(EVENT_CHANNEL);
 
     this.redisSub.on("message", (channel, msg) => {
+      if (channel !== EVENT_CHANNEL) return;
+
       try {
-        const { action, userId, event, payload } = JSON.parse(msg);
+        const { action, origin, userId, event, payload, eventId, nsp } = JSON.parse(msg);
+
+        // ya emitido localmente por esta instancia
+        if (origin === this.instanceId) return;
 
         if (action === "emitToUser") {
-          this._emitLocalToUser(userId, event, payload, false);
+          this._emitLocalToUser(userId, event, payload, false, eventId, nsp || null);
+        }
+
+        if (action === "disconnectUser") {
+          this._disconnectLocalUser(userId, payload?.reason);
         }
       } catch {}
     });
@@ -286,24 +746,60 @@ class SocketService {
   // ======================================================
   // 🎯 Emisión
   // ======================================================
+  // Eventos durables: primero se guardan (eventId) y luego se emiten,
+  // así un usuario offline los recibe con sync al reconectar
   emitToUser(userId, event, payload) {
-    this._emitLocalToUser(userId, event, payload, true);
+    userId = String(userId);
+
+    if (!QUEUED_EVENTS.has(event) || !this._pubsubReady) {
+      this._emitLocalToUser(userId, event, payload, true);
+      return;
+    }
+
+    recordPendingEvent(String(userId), event, payload).then((eventId) =>
+      this._emitLocalToUser(userId, event, payload, true, eventId)
+    );
+  }
+
+  emitToUsers(userIds = [], event, payload) {
+    for (const userId of new Set((userIds || []).filter(Boolean).map(String))) {
+      this.emitToUser(userId, event, payload);
+    }
   }
 
-  _emitLocalToUser(userId, event, payload, broadcastRedis = true) {
+  // Solo a los sockets del usuario en un namespace (p.ej. señalización en /calls)
+  emitToUserInNamespace(userId, nsp, event, payload) {
+    this._emitLocalToUser(String(userId), event, payload, true, null, nsp);
+  }
+
+  _emitLocalToUser(userId, event, payload, broadcastRedis = true, eventId = null, onlyNsp = null) {
     const sockets = this._userSocketIndex.get(userId);
 
     if (sockets) {
       for (const id of sockets) {
-        const sock = this.io.sockets.sockets.get(id);
-        if (sock) sock.emit(event, payload);
+        // cada socket vive en su namespace (/chats, /calls, /activity)
+        const nsp = this.clients.get(id)?.nsp;
+        if (onlyNsp && nsp !== onlyNsp) continue;
+        const sock = (nsp ? this.io.of(nsp) : this.io.sockets).sockets.get(id);
+        if (!sock) continue;
+
+        if (eventId) sock.emit(event, payload, { eventId });
+        else sock.emit(event, payload);
       }
     }
 
     if (broadcastRedis && this._pubsubReady) {
       this.redisPub.publish(
-        "quickchatx:events",
-        JSON.stringify({ action: "emitToUser", userId, event, payload })
+        EVENT_CHANNEL,
+        JSON.stringify({
+          action: "emitToUser",
+          origin: this.instanceId,
+          userId,
+          event,
+          payload,
+          eventId,
+          nsp: onlyNsp,
+        })
       );
     }
   }
@@ -0,0 +1,129 @@
+import { initRedis } from "../../infrastructure/RedisProvider.js";
+import chalk from "chalk";
+
+/* ======================================================
+   📥 Cola de eventos pendientes por usuario (Redis Stream)
+   - Cada evento durable recibe un eventId (id del stream)
+   - El cliente guarda el último eventId visto y reanuda desde ahí
+====================================================== */
+const STREAM_PREFIX = "quickchatx:pending:";
+const PENDING_MAX = Number(process.env.SOCKET_PENDING_MAX || 1000);
+const PENDING_TTL_SECONDS = Number(process.env.SOCKET_PENDING_TTL || 60 * 60 * 24 * 7);
+const REPLAY_PAGE_MAX = 500;
+
+const STREAM_ID_RE = /^\d+-\d+$/;
+
+// Eventos que se guardan para replay (typing / presencia son efímeros)
+export const QUEUED_EVENTS = new Set([
+  "NEW_MESSAGE",
+  "message_deleted",
+  "message_restored",
+  "message_edited",
+  "message_reaction",
+  "message_pinned",
+  "message_unpinned",
+  "message_starred",
+  "message_delivered",
+  "messages_read",
+  "chat_settings_updated",
+  "messages_expired",
+  "retention_changed",
+  "group_created",
+  "group_updated",
+  "group_members_added",
+  "group_member_removed",
+  "group_admins_updated",
+  "INCOMING_CALL",
+  "CALL_ACCEPTED",
+  "CALL_REJECTED",
+  "CALL_ENDED",
+  "CALL_MISSED",
+  "CALL_WAITING",
+  "CALL_BUSY",
+  "participant_joined",
+  "participant_left",
+  "participant_invited",
+  "participant_held",
+  "participant_resumed",
+  "scheduled_call_created",
+  "scheduled_call_updated",
+  "scheduled_call_cancelled",
+  "scheduled_call_rsvp",
+]);
+
+const streamKey = (userId) => `${STREAM_PREFIX}${userId}`;
+
+/* Compara ids de stream "ms-seq" */
+export function compareEventIds(a, b) {
+  const [am, as] = String(a).split("-").map(Number);
+  const [bm, bs] = String(b).split("-").map(Number);
+  return am - bm || as - bs;
+}
+
+/* ======================================================
+   ➕ Registrar evento (devuelve eventId o null)
+====================================================== */
+export async function recordPendingEvent(userId, event, payload) {
+  if (!userId || !QUEUED_EVENTS.has(event)) return null;
+
+  try {
+    const redis = await initRedis();
+    const key = streamKey(userId);
+
+    const [[, eventId]] = await redis
+      .multi()
+      .xadd(key, "MAXLEN", "~", PENDING_MAX, "*", "event", event, "payload", JSON.stringify(payload ?? null))
+      .expire(key, PENDING_TTL_SECONDS)
+      .exec();
+
+    return eventId;
+  } catch (err) {
+    console.warn(chalk.yellow("⚠️ Error guardando evento pendiente:"), err.message);
+    return null;
+  }
+}
+
+/* ======================================================
+   📜 Leer eventos posteriores a `since` (exclusivo, en orden)
+   - gap = true si el cursor ya fue recortado (el cliente debe
+     recargar historial por HTTP además del replay)
+====================================================== */
+export async function readPendingEvents(userId, { since = null, limit = 100 } = {}) {
+  if (since && !STREAM_ID_RE.test(String(since))) throw new Error("Cursor inválido");
+
+  const size = Math.min(Math.max(Number(limit) || 100, 1), REPLAY_PAGE_MAX);
+  const redis = await initRedis();
+  const key = streamKey(userId);
+
+  // +1 para saber si hay más; el cursor propio se descarta abajo
+  const rows = await redis.xrange(key, since || "-", "+", "COUNT", size + 2);
+
+  let gap = false;
+  if (since) {
+    const [oldest] = await redis.xrange(key, "-", "+", "COUNT", 1);
+    gap = Boolean(oldest) && compareEventIds(oldest[0], since) > 0 && rows[0]?.[0] !== since;
+  }
+
+  const events = rows
+    .filter(([id]) => !since || compareEventIds(id, since) > 0)
+    .map(([eventId, fields]) => {
+      const data = {};
+      for (let i = 0; i < fields.length; i += 2) data[fields[i]] = fields[i + 1];
+
+      let payload = null;
+      try {
+        payload = JSON.parse(data.payload);
+      } catch {}
+
+      return { eventId, event: data.event, payload };
+    });
+
+  const page = events.slice(0, size);
+
+  return {
+    events: page,
+    hasMore: events.length > size,
+    lastEventId: page.length ? page[page.length - 1].eventId : since || null,
+    gap,
+  };
+}
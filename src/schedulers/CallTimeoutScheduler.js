@@ -0,0 +1,53 @@
+// ======================================================
+// 📵 QuickChatX — Scheduler de llamadas sin contestar
+// - Cada 10s marca como "missed" el timbre vencido (CALL_RING_TIMEOUT_SECONDS)
+// - Al arrancar relanza el barrido: llamadas "ringing" de antes del reinicio
+// - Lock en Redis: un solo barrido a la vez entre instancias (LockedCron)
+// ======================================================
+
+import chalk from "chalk";
+
+import { LockedCron } from "./LockedCron.js";
+import { CallService } from "../application/CallService.js";
+
+export class CallTimeoutScheduler {
+  static socket = null;
+
+  static cron = new LockedCron({
+    name: "CallTimeoutScheduler",
+    schedule: "*/10 * * * * *",
+    lockKey: "quickchatx:lock:call-ring-timeout",
+    lockTtlSeconds: 9,
+    runOnStart: true,
+    job: () => CallTimeoutScheduler.sweep(),
+  });
+
+  static start(socketService = null) {
+    this.socket = socketService;
+    if (!this.cron.start()) return;
+
+    console.log(chalk.cyan("📵 CallTimeoutScheduler iniciado (barrido cada 10s)."));
+  }
+
+  static stop() {
+    this.cron.stop();
+  }
+
+  /** Un barrido (con lock) */
+  static runSweep() {
+    return this.cron.run();
+  }
+
+  // ======================================================
+  // ⏱️ Barrido
+  // ======================================================
+  static async sweep() {
+    const result = await CallService.expireRinging({ socketService: this.socket });
+    if (result.missed) {
+      console.log(chalk.gray(`📵 Llamadas sin contestar: ${result.missed} participantes (${result.calls} llamadas)`));
+    }
+    return result;
+  }
+}
+
+export default CallTimeoutScheduler;
@@ -0,0 +1,91 @@
+// ======================================================
+// 🔒 QuickChatX — Cron con lock en Redis (un barrido a la vez entre instancias)
+// - Lock SET NX EX con token aleatorio por barrido
+// - Liberación compare-and-delete (Lua): si el barrido superó el TTL y otra
+//   instancia tomó el lock, no se borra el suyo
+// - Sin Redis: barrido local
+// - Usado por RetentionScheduler, CallTimeoutScheduler y ScheduledCallScheduler
+// ======================================================
+
+import crypto from "crypto";
+import cron from "node-cron";
+import chalk from "chalk";
+
+import { initRedis } from "../infrastructure/RedisProvider.js";
+
+const RELEASE_LOCK_LUA = `
+if redis.call("GET", KEYS[1]) == ARGV[1] then
+  return redis.call("DEL", KEYS[1])
+end
+return 0
+`;
+
+export class LockedCron {
+  /**
+   * @param {object} opts
+   * @param {string} opts.name            Nombre para los logs
+   * @param {string} opts.schedule        Expresión node-cron
+   * @param {string} opts.lockKey         Clave Redis del lock
+   * @param {number} opts.lockTtlSeconds  TTL del lock (< intervalo del cron)
+   * @param {boolean} [opts.runOnStart]   Barrido inmediato al arrancar
+   * @param {() => Promise<any>} opts.job Trabajo del barrido (su resultado se devuelve)
+   */
+  constructor({ name, schedule, lockKey, lockTtlSeconds, runOnStart = false, job }) {
+    this.name = name;
+    this.schedule = schedule;
+    this.lockKey = lockKey;
+    this.lockTtlSeconds = lockTtlSeconds;
+    this.runOnStart = runOnStart;
+    this.job = job;
+
+    this.running = false;
+    this.task = null;
+  }
+
+  /** Devuelve false si ya estaba iniciado */
+  start() {
+    if (this.task) return false;
+
+    this.task = cron.schedule(this.schedule, () => this.run());
+    if (this.runOnStart) this.run(); // rescan de arranque
+    return true;
+  }
+
+  stop() {
+    this.task?.stop();
+    this.task = null;
+  }
+
+  // ======================================================
+  // 🔁 Un barrido (con lock) → resultado del job o null
+  // ======================================================
+  async run() {
+    if (this.running) return null;
+    this.running = true;
+
+    let redis = null;
+    let token = null;
+
+    try {
+      try {
+        redis = await initRedis();
+        const candidate = crypto.randomUUID();
+        const ok = await redis.set(this.lockKey, candidate, "EX", this.lockTtlSeconds, "NX");
+        if (ok !== "OK") return null; // otra instancia está barriendo
+        token = candidate;
+      } catch {
+        redis = null; // sin Redis: barrido local
+      }
+
+      return await this.job();
+    } catch (err) {
+      console.warn(chalk.yellow(`⚠️ ${this.name}: error en barrido:`), err?.message);
+      return null;
+    } finally {
+      if (token) await redis?.eval(RELEASE_LOCK_LUA, 1, this.lockKey, token).catch(() => {});
+      this.running = false;
+    }
+  }
+}
+
+export default LockedCron;
@@ -0,0 +1,59 @@
+// ======================================================
+// ⏳ QuickChatX — Scheduler de mensajes temporales
+// - Cada minuto borra los mensajes con expiresAt vencido
+// - Lock en Redis: un solo barrido a la vez entre instancias (LockedCron)
+// ======================================================
+
+import chalk from "chalk";
+
+import { LockedCron } from "./LockedCron.js";
+import { RetentionService } from "../application/RetentionService.js";
+
+export class RetentionScheduler {
+  static socket = null;
+
+  static cron = new LockedCron({
+    name: "RetentionScheduler",
+    schedule: "* * * * *",
+    lockKey: "quickchatx:lock:retention-sweep",
+    lockTtlSeconds: 55,
+    job: () => RetentionScheduler.sweep(),
+  });
+
+  static start(socketService = null) {
+    this.socket = socketService;
+    if (!this.cron.start()) return;
+
+    console.log(chalk.cyan("⏳ RetentionScheduler iniciado (barrido cada minuto)."));
+  }
+
+  static stop() {
+    this.cron.stop();
+  }
+
+  /** Un barrido (con lock) */
+  static runSweep() {
+    return this.cron.run();
+  }
+
+  // ======================================================
+  // 🧹 Barrido
+  // ======================================================
+  static async sweep() {
+    const wsEmit = this.socket
+      ? (event, payload, recipients) => this.socket.emitToUsers(recipients, event, payload)
+      : null;
+
+    const result = await RetentionService.sweepExpired({ wsEmit });
+    if (result.deleted) {
+      console.log(
+        chalk.gray(
+          `🧹 Mensajes temporales eliminados: ${result.deleted} (${result.rooms} chats, ${result.files} archivos)`
+        )
+      );
+    }
+    return result;
+  }
+}
+
+export default RetentionScheduler;
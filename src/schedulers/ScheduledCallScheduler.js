@@ -0,0 +1,57 @@
+// ======================================================
+// 🗓️ QuickChatX — Scheduler de llamadas programadas
+// - Cada 15s: recordatorios (10 min antes) e inicio a la hora
+// - Al arrancar relanza el barrido (llamadas pendientes del reinicio)
+// - Lock en Redis: un solo barrido a la vez entre instancias (LockedCron)
+// ======================================================
+
+import chalk from "chalk";
+
+import { LockedCron } from "./LockedCron.js";
+import { ScheduledCallService } from "../application/ScheduledCallService.js";
+
+export class ScheduledCallScheduler {
+  static socket = null;
+
+  static cron = new LockedCron({
+    name: "ScheduledCallScheduler",
+    schedule: "*/15 * * * * *",
+    lockKey: "quickchatx:lock:scheduled-calls",
+    lockTtlSeconds: 14,
+    runOnStart: true,
+    job: () => ScheduledCallScheduler.sweep(),
+  });
+
+  static start(socketService = null) {
+    this.socket = socketService;
+    if (!this.cron.start()) return;
+
+    console.log(chalk.cyan("🗓️ ScheduledCallScheduler iniciado (barrido cada 15s)."));
+  }
+
+  static stop() {
+    this.cron.stop();
+  }
+
+  /** Un barrido (con lock) */
+  static runSweep() {
+    return this.cron.run();
+  }
+
+  // ======================================================
+  // ⏰ Barrido
+  // ======================================================
+  static async sweep() {
+    const result = await ScheduledCallService.runDue({ socketService: this.socket });
+    if (result.reminded || result.started || result.expired) {
+      console.log(
+        chalk.gray(
+          `🗓️ Llamadas programadas: ${result.reminded} recordatorios, ${result.started} iniciadas, ${result.expired} vencidas`
+        )
+      );
+    }
+    return result;
+  }
+}
+
+export default ScheduledCallScheduler;
@@ -0,0 +1,167 @@
+// ======================================================
+// 📞 CallService: máquina de estados por participante
+// ======================================================
+
+import { afterEach, beforeEach, describe, mock, test } from "node:test";
+import assert from "node:assert/strict";
+import { flushRedis } from "./helpers/redis.js";
+import { fakeModel, resetModels } from "./helpers/mongo.js";
+import { fakeSocket } from "./helpers/socketStub.js";
+
+const { CallService } = await import("../src/application/CallService.js");
+const { CallQualityService } = await import("../src/application/CallQualityService.js");
+const { default: Call } = await import("../src/domain/Call.js");
+const { default: CallLog } = await import("../src/domain/CallLog.js");
+const { UserActivity } = await import("../src/domain/UserActivity.js");
+const { ActivityLog } = await import("../src/domain/ActivityLog.js");
+
+const calls = fakeModel(Call);
+const logs = fakeModel(CallLog);
+const activities = fakeModel(UserActivity);
+fakeModel(ActivityLog);
+
+const A = "64b00000000000000000000a";
+const B = "64b00000000000000000000b";
+const C = "64b00000000000000000000c";
+const D = "64b00000000000000000000d";
+
+let socket;
+
+beforeEach(async () => {
+  await flushRedis();
+  socket = fakeSocket();
+  mock.method(CallQualityService, "summarizeCall", async () => null);
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  resetModels();
+});
+
+const stateOf = (callId, userId) =>
+  calls.get(callId).participantStates.find((p) => p.userId === userId)?.state;
+const currentCallOf = (userId) =>
+  activities.docs.find((a) => String(a.userId) === userId)?.currentCall?.callId ?? null;
+
+async function start(receiverId, callerId = A) {
+  const call = await CallService.startCall({ callerId, receiverId, socketService: socket });
+  return String(call._id);
+}
+
+describe("1:1", () => {
+  test("ringing → active → ended con CallLog completed", async () => {
+    const id = await start(B);
+    assert.equal(calls.get(id).status, "ringing");
+    assert.equal(stateOf(id, A), "joined");
+    assert.equal(stateOf(id, B), "ringing");
+    assert.deepEqual(socket.events(B), ["INCOMING_CALL"]);
+    assert.equal(currentCallOf(A), id);
+
+    await CallService.acceptCall(id, B, socket);
+    assert.equal(calls.get(id).status, "active");
+    assert.ok(calls.get(id).acceptedAt);
+    assert.equal(currentCallOf(B), id);
+
+    await CallService.endCall(id, B, socket);
+    const call = calls.get(id);
+    assert.equal(call.status, "ended");
+    assert.equal(call.endedBy, B);
+    assert.equal(currentCallOf(A), null);
+    assert.equal(currentCallOf(B), null);
+
+    assert.equal(logs.docs.length, 1);
+    assert.equal(logs.docs[0].status, "completed");
+    assert.deepEqual(logs.docs[0].joined.sort(), [A, B].sort());
+    assert.ok(socket.events(A).includes("CALL_ENDED"));
+  });
+
+  test("rechazar termina la llamada como rejected", async () => {
+    const id = await start(B);
+    await CallService.rejectCall(id, B, socket);
+
+    assert.equal(calls.get(id).status, "rejected");
+    assert.equal(stateOf(id, B), "declined");
+    assert.equal(logs.docs[0].status, "rejected");
+    assert.equal(currentCallOf(A), null);
+  });
+
+  test("colgar antes de contestar la cancela", async () => {
+    const id = await start(B);
+    await CallService.endCall(id, A, socket);
+
+    assert.equal(calls.get(id).status, "cancelled");
+    assert.equal(logs.docs[0].status, "cancelled");
+  });
+
+  test("transiciones inválidas", async () => {
+    const id = await start(B);
+
+    await assert.rejects(CallService.acceptCall(id, C, socket), { message: "No autorizado" });
+    await assert.rejects(CallService.acceptCall(id, A, socket), {
+      message: "Acción no válida para un participante en estado joined",
+    });
+    await assert.rejects(CallService.holdCall(id, B, socket), {
+      message: "Acción no válida para un participante en estado ringing",
+    });
+
+    await CallService.rejectCall(id, B, socket);
+    await assert.rejects(CallService.acceptCall(id, B, socket), { message: "La llamada ya terminó" });
+  });
+});
+
+describe("grupal", () => {
+  test("sigue sonando mientras quede alguien y termina con menos de 2 unidos", async () => {
+    const id = await start([B, C]);
+
+    await CallService.rejectCall(id, B, socket);
+    assert.equal(calls.get(id).status, "ringing");
+
+    await CallService.acceptCall(id, C, socket);
+    assert.equal(calls.get(id).status, "active");
+
+    await CallService.inviteToCall(id, C, [D], socket);
+    assert.equal(stateOf(id, D), "ringing");
+    await CallService.acceptCall(id, D, socket);
+
+    await CallService.endCall(id, A, socket);
+    assert.equal(calls.get(id).status, "active");
+
+    await CallService.endCall(id, C, socket);
+    assert.equal(calls.get(id).status, "ended");
+    assert.equal(stateOf(id, D), "joined");
+    assert.equal(logs.docs.length, 1);
+  });
+});
+
+describe("llamada en espera", () => {
+  test("aceptar una segunda llamada pone la primera en espera", async () => {
+    const first = await start(B);
+    await CallService.acceptCall(first, B, socket);
+
+    const second = await start(B, C);
+    assert.ok(socket.events(B).includes("CALL_WAITING"));
+
+    await CallService.acceptCall(second, B, socket);
+    assert.equal(stateOf(first, B), "held");
+    assert.equal(calls.get(first).status, "active");
+    assert.equal(currentCallOf(B), second);
+
+    await CallService.switchCall(B, first, socket);
+    assert.equal(stateOf(first, B), "joined");
+    assert.equal(stateOf(second, B), "held");
+    await assert.rejects(CallService.switchCall(B, first, socket), { message: "Ya estás en esa llamada" });
+  });
+
+  test("con una activa y otra en espera la línea está ocupada", async () => {
+    const first = await start(B);
+    await CallService.acceptCall(first, B, socket);
+    const second = await start(B, C);
+    await CallService.acceptCall(second, B, socket);
+
+    const third = await CallService.startCall({ callerId: D, receiverId: B, socketService: socket });
+    assert.equal(third.status, "busy");
+    assert.deepEqual(third.busy, [B]);
+    assert.ok(socket.events(D).includes("CALL_BUSY"));
+    assert.equal(logs.docs.find((l) => l.caller === D).status, "busy");
+  });
+});
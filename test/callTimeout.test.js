@@ -0,0 +1,102 @@
+// ======================================================
+// ⏱️ CallService.expireRinging + CallTimeoutScheduler (timbre vencido)
+// ======================================================
+
+import { afterEach, beforeEach, describe, mock, test } from "node:test";
+import assert from "node:assert/strict";
+import { flushRedis } from "./helpers/redis.js";
+import { fakeModel, resetModels } from "./helpers/mongo.js";
+import { fakeSocket } from "./helpers/socketStub.js";
+
+const { CallService, RING_TIMEOUT_SECONDS } = await import("../src/application/CallService.js");
+const { CallQualityService } = await import("../src/application/CallQualityService.js");
+const { CallTimeoutScheduler } = await import("../src/schedulers/CallTimeoutScheduler.js");
+const { default: Call } = await import("../src/domain/Call.js");
+const { default: CallLog } = await import("../src/domain/CallLog.js");
+const { UserActivity } = await import("../src/domain/UserActivity.js");
+const { ActivityLog } = await import("../src/domain/ActivityLog.js");
+
+const calls = fakeModel(Call);
+const logs = fakeModel(CallLog);
+const activities = fakeModel(UserActivity);
+fakeModel(ActivityLog);
+
+const A = "64b00000000000000000000a";
+const B = "64b00000000000000000000b";
+const C = "64b00000000000000000000c";
+const D = "64b00000000000000000000d";
+
+let socket;
+
+beforeEach(async () => {
+  await flushRedis();
+  socket = fakeSocket();
+  mock.method(CallQualityService, "summarizeCall", async () => null);
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  resetModels();
+});
+
+const stateOf = (callId, userId) =>
+  calls.get(callId).participantStates.find((p) => p.userId === userId)?.state;
+
+async function start(receiverId, callerId = A) {
+  const call = await CallService.startCall({ callerId, receiverId, socketService: socket });
+  return String(call._id);
+}
+
+describe("timbre vencido", () => {
+  const later = () => new Date(Date.now() + (RING_TIMEOUT_SECONDS + 1) * 1000);
+
+  test("marca missed, avisa y cierra la llamada sin respuesta", async () => {
+    const id = await start(B);
+    const result = await CallService.expireRinging({ now: later(), socketService: socket });
+
+    assert.deepEqual(result, { calls: 1, missed: 1 });
+    assert.equal(stateOf(id, B), "missed");
+    assert.equal(calls.get(id).status, "missed");
+    assert.equal(logs.docs[0].status, "missed");
+    assert.deepEqual(logs.docs[0].missed, [B]);
+    assert.ok(socket.events(B).includes("CALL_MISSED"));
+
+    const notified = activities.docs.find((a) => String(a.userId) === B);
+    assert.equal(notified.notifications.at(-1).type, "call_missed");
+
+    // idempotente (rescan de arranque)
+    assert.deepEqual(await CallService.expireRinging({ now: later(), socketService: socket }), {
+      calls: 0,
+      missed: 0,
+    });
+  });
+
+  test("no toca invitaciones recientes y la grupal sigue si hay dos unidos", async () => {
+    const fresh = await start(D);
+    const group = await start([B, C]);
+    await CallService.acceptCall(group, B, socket);
+
+    // D y C siguen sonando; solo la grupal se invitó "hace tiempo"
+    const now = new Date(Date.now() + 1000);
+    const expiredAt = new Date(now.getTime() - (RING_TIMEOUT_SECONDS + 1) * 1000);
+    const states = calls.get(group).participantStates.map((p) =>
+      p.userId === C ? { ...p, invitedAt: expiredAt } : p
+    );
+    await Call.updateOne({ _id: group }, { $set: { participantStates: states } });
+
+    const result = await CallService.expireRinging({ now, socketService: socket });
+    assert.deepEqual(result, { calls: 1, missed: 1 });
+    assert.equal(stateOf(group, C), "missed");
+    assert.equal(calls.get(group).status, "active");
+    assert.equal(stateOf(fresh, D), "ringing");
+  });
+
+  test("CallTimeoutScheduler barre con lock", async () => {
+    const id = await start(B);
+    const states = calls.get(id).participantStates.map((p) => ({ ...p, invitedAt: new Date(0) }));
+    await Call.updateOne({ _id: id }, { $set: { participantStates: states } });
+
+    assert.deepEqual(await CallTimeoutScheduler.runSweep(), { calls: 1, missed: 1 });
+    assert.equal(calls.get(id).status, "missed");
+  });
+});
@@ -0,0 +1,88 @@
+// ======================================================
+// 🔔 Notificaciones de grupo en nivel "mentions" (texto en claro y E2EE)
+// ======================================================
+
+import { afterEach, beforeEach, test } from "node:test";
+import assert from "node:assert/strict";
+import { flushRedis } from "./helpers/redis.js";
+import { fakeModel, resetModels } from "./helpers/mongo.js";
+
+const { ChatService } = await import("../src/application/ChatService.js");
+const { default: Message } = await import("../src/domain/Message.js");
+const { default: Conversation } = await import("../src/domain/Conversation.js");
+const { default: RetentionPolicy } = await import("../src/domain/RetentionPolicy.js");
+const { default: DeviceKey } = await import("../src/domain/DeviceKey.js");
+const { UserActivity } = await import("../src/domain/UserActivity.js");
+const { ActivityLog } = await import("../src/domain/ActivityLog.js");
+const { User } = await import("../src/domain/User.js");
+
+fakeModel(Message);
+const conversations = fakeModel(Conversation);
+fakeModel(RetentionPolicy);
+const keys = fakeModel(DeviceKey);
+const activities = fakeModel(UserActivity);
+fakeModel(ActivityLog);
+const users = fakeModel(User);
+
+const ANA = "64b00000000000000000000a";
+const LUIS = "64b00000000000000000000b";
+const EVA = "64b00000000000000000000c";
+const GROUP = "64b0000000000000000000f1";
+
+beforeEach(async () => {
+  await flushRedis();
+  conversations.insert({ _id: GROUP, title: "Equipo", createdBy: ANA, members: [ANA, LUIS, EVA], admins: [ANA] });
+  users.insert({ _id: LUIS, username: "luis" }, { _id: EVA, username: "eva" });
+
+  // LUIS y EVA solo quieren avisos cuando los mencionan
+  for (const userId of [LUIS, EVA]) {
+    activities.insert({
+      userId,
+      notifications: [],
+      chats: [{ chatId: GROUP, unreadCount: 0, notificationLevel: "mentions" }],
+    });
+  }
+});
+
+afterEach(resetModels);
+
+const notified = (userId) =>
+  activities.docs.find((a) => String(a.userId) === userId).notifications.map((n) => n.meta.chatId);
+
+const unread = (userId) =>
+  activities.docs.find((a) => String(a.userId) === userId).chats.find((c) => c.chatId === GROUP).unreadCount;
+
+test("texto en claro: notifica solo al @username mencionado", async () => {
+  await ChatService.sendMessage({ from: ANA, conversationId: GROUP, text: "hola @luis" });
+
+  assert.deepEqual(notified(LUIS), [GROUP]);
+  assert.deepEqual(notified(EVA), []);
+  assert.equal(unread(EVA), 1);
+});
+
+test("E2EE: el servidor no ve el texto y notifica por los ids de mentions", async () => {
+  for (const userId of [LUIS, EVA]) keys.insert({ userId, deviceId: "phone" });
+  const envelopes = [LUIS, EVA].map((userId) => ({ userId, deviceId: "phone", ciphertext: "c1ph3r" }));
+
+  await ChatService.sendMessage({
+    from: ANA,
+    conversationId: GROUP,
+    envelopes,
+    mentions: [EVA, "64b0000000000000000000ff"],
+  });
+
+  assert.deepEqual(notified(EVA), [GROUP]);
+  assert.deepEqual(notified(LUIS), []);
+  assert.equal(unread(LUIS), 1);
+});
+
+test("E2EE sin mentions: no hay aviso en nivel mentions pero sí no leído", async () => {
+  for (const userId of [LUIS, EVA]) keys.insert({ userId, deviceId: "phone" });
+  const envelopes = [LUIS, EVA].map((userId) => ({ userId, deviceId: "phone", ciphertext: "c1ph3r" }));
+
+  await ChatService.sendMessage({ from: ANA, conversationId: GROUP, envelopes });
+
+  assert.deepEqual(notified(LUIS), []);
+  assert.deepEqual(notified(EVA), []);
+  assert.equal(unread(LUIS), 1);
+});
@@ -0,0 +1,84 @@
+// ======================================================
+// 📋 ChatSettingsService.listConversations: paginado sin grupos abandonados
+// ======================================================
+
+import { afterEach, test } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import "./helpers/redis.js";
+import { fakeModel, resetModels } from "./helpers/mongo.js";
+
+const { ChatSettingsService } = await import("../src/application/ChatSettingsService.js");
+const { UserActivity } = await import("../src/domain/UserActivity.js");
+const { default: Conversation } = await import("../src/domain/Conversation.js");
+
+const activities = fakeModel(UserActivity);
+const conversations = fakeModel(Conversation);
+
+const ME = "64b000000000000000000001";
+const OTHER = "64b000000000000000000002";
+const oid = () => new mongoose.Types.ObjectId().toHexString();
+const at = (minute) => new Date(Date.UTC(2026, 0, 1, 12, minute));
+
+afterEach(resetModels);
+
+/* Chats de ME: 1:1 y grupos (miembro o no), de más reciente a más antiguo */
+function seed(entries) {
+  const chats = entries.map(({ kind }, i) => {
+    const minute = 59 - i;
+    if (kind === "direct") return { chatId: [ME, OTHER].sort().join("_"), lastMessageAt: at(minute) };
+
+    const _id = oid();
+    if (kind !== "deleted") {
+      conversations.insert({
+        _id,
+        title: `grupo ${i}`,
+        createdBy: OTHER,
+        members: kind === "member" ? [ME, OTHER] : [OTHER],
+      });
+    }
+    return { chatId: _id, lastMessageAt: at(minute) };
+  });
+
+  activities.insert({ userId: ME, chats });
+  return chats.map((c) => c.chatId);
+}
+
+test("excluye grupos abandonados o eliminados antes de paginar", async () => {
+  const ids = seed([
+    { kind: "member" },
+    { kind: "left" },
+    { kind: "deleted" },
+    { kind: "direct" },
+    { kind: "member" },
+  ]);
+
+  const page1 = await ChatSettingsService.listConversations(ME, { limit: 2 });
+  assert.deepEqual(
+    page1.conversations.map((c) => c.room),
+    [ids[0], ids[3]]
+  );
+  assert.equal(page1.pageInfo.hasMore, true);
+
+  const page2 = await ChatSettingsService.listConversations(ME, { limit: 2, before: page1.pageInfo.before });
+  assert.deepEqual(
+    page2.conversations.map((c) => c.room),
+    [ids[4]]
+  );
+  assert.equal(page2.pageInfo.hasMore, false);
+});
+
+test("página llena aunque todos los recientes sean grupos abandonados", async () => {
+  const ids = seed([{ kind: "left" }, { kind: "left" }, { kind: "left" }, { kind: "member" }, { kind: "direct" }]);
+
+  const { conversations: page, pageInfo } = await ChatSettingsService.listConversations(ME, { limit: 2 });
+  assert.deepEqual(
+    page.map((c) => [c.room, c.type]),
+    [
+      [ids[3], "group"],
+      [ids[4], "direct"],
+    ]
+  );
+  assert.equal(page[1].otherUserId, OTHER);
+  assert.equal(pageInfo.hasMore, false);
+});
@@ -0,0 +1,155 @@
+// ======================================================
+// #️⃣ HashtagService: extracción, menciones, notificación y tendencias
+// ======================================================
+
+import { afterEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import "./helpers/redis.js";
+import { fakeModel, resetModels } from "./helpers/mongo.js";
+
+const { HashtagService } = await import("../src/application/HashtagService.js");
+const { User } = await import("../src/domain/User.js");
+const { UserActivity } = await import("../src/domain/UserActivity.js");
+const { ActivityLog } = await import("../src/domain/ActivityLog.js");
+const { PostModel } = await import("../src/infrastructure/models/PostModel.js");
+const { Comment } = await import("../src/infrastructure/models/CommentModel.js");
+
+const users = fakeModel(User);
+const activities = fakeModel(UserActivity);
+fakeModel(ActivityLog);
+const posts = fakeModel(PostModel);
+const comments = fakeModel(Comment);
+
+const oid = () => new mongoose.Types.ObjectId().toHexString();
+
+afterEach(resetModels);
+
+describe("extractHashtags", () => {
+  test("normaliza a minúsculas sin acentos y sin duplicados", () => {
+    assert.deepEqual(HashtagService.extractHashtags("Hola #Café y #cafe, #MÚSICA!"), ["cafe", "musica"]);
+  });
+
+  test("ignora anclas, entidades HTML y números sueltos", () => {
+    assert.deepEqual(HashtagService.extractHashtags("a#b &#39; #2025 #top10"), ["top10"]);
+  });
+
+  test("acepta letras no latinas y guion bajo", () => {
+    assert.deepEqual(HashtagService.extractHashtags("#日本 #hola_mundo"), ["日本", "hola_mundo"]);
+  });
+
+  test("como mucho 30 hashtags", () => {
+    const text = Array.from({ length: 40 }, (_, i) => `#tag${i}`).join(" ");
+    assert.equal(HashtagService.extractHashtags(text).length, 30);
+  });
+
+  test("texto vacío o nulo", () => {
+    assert.deepEqual(HashtagService.extractHashtags(""), []);
+    assert.deepEqual(HashtagService.extractHashtags(null), []);
+  });
+});
+
+describe("extractMentions", () => {
+  test("usernames en minúsculas, sin puntuación final ni duplicados", () => {
+    assert.deepEqual(HashtagService.extractMentions("Hola @Ana. y @luis_p, otra vez @ana"), ["ana", "luis_p"]);
+  });
+
+  test("no toma emails ni nombres demasiado cortos", () => {
+    assert.deepEqual(HashtagService.extractMentions("escribe a ana@mail.com o @yo"), []);
+  });
+});
+
+describe("resolveMentions", () => {
+  test("resuelve usernames existentes y excluye al autor", async () => {
+    const author = oid();
+    const ana = oid();
+    users.insert(
+      { _id: author, username: "autor", email: "autor@x.com", password: "x" },
+      { _id: ana, username: "ana", email: "ana@x.com", password: "x" }
+    );
+
+    const mentions = await HashtagService.resolveMentions("@ana @autor @nadie", author);
+    assert.deepEqual(mentions, [{ userId: ana, username: "ana" }]);
+  });
+});
+
+describe("notifyMentions", () => {
+  test("notifica solo a los mencionados nuevos", async () => {
+    const ana = oid();
+    const luis = oid();
+
+    await HashtagService.notifyMentions({
+      mentions: [
+        { userId: ana, username: "ana" },
+        { userId: luis, username: "luis" },
+      ],
+      previous: [ana],
+      from: "autor",
+      postId: "p1",
+      commentId: "c1",
+    });
+
+    assert.equal(activities.docs.length, 1);
+    const [activity] = activities.docs;
+    assert.equal(String(activity.userId), luis);
+    assert.equal(activity.notifications[0].type, "mention");
+    assert.match(activity.notifications[0].message, /@autor te mencionó en un comentario/);
+    assert.deepEqual(activity.notifications[0].meta, { postId: "p1", commentId: "c1", by: "autor" });
+  });
+});
+
+describe("getPostsByHashtag", () => {
+  test("pagina por createdAt y excluye eliminados", async () => {
+    const base = Date.UTC(2026, 0, 1);
+    const ids = [0, 1, 2].map((i) =>
+      posts.insert({ authorId: "a", hashtags: ["cafe"], createdAt: new Date(base + i * 1000) })._id
+    );
+    posts.insert({ authorId: "a", hashtags: ["cafe"], createdAt: new Date(base + 5000), deletedAt: new Date() });
+    posts.insert({ authorId: "a", hashtags: ["te"], createdAt: new Date(base + 6000) });
+
+    const first = await HashtagService.getPostsByHashtag("#Café", { limit: 2 });
+    assert.equal(first.tag, "cafe");
+    assert.deepEqual(
+      first.posts.map((p) => String(p._id)),
+      [ids[2], ids[1]]
+    );
+    assert.equal(first.pageInfo.hasMore, true);
+
+    const second = await HashtagService.getPostsByHashtag("cafe", { limit: 2, before: first.pageInfo.before });
+    assert.deepEqual(
+      second.posts.map((p) => String(p._id)),
+      [ids[0]]
+    );
+    assert.equal(second.pageInfo.hasMore, false);
+  });
+
+  test("rechaza hashtags inválidos", async () => {
+    await assert.rejects(HashtagService.getPostsByHashtag("#"), { message: "Hashtag inválido" });
+    await assert.rejects(HashtagService.getPostsByHashtag("con espacio"), { message: "Hashtag inválido" });
+  });
+});
+
+describe("trending", () => {
+  test("ordena por autores distintos y suma posts + comentarios de la ventana", async () => {
+    const now = new Date("2026-01-02T12:00:00Z");
+    const recent = new Date(now.getTime() - 60 * 60 * 1000);
+    const old = new Date(now.getTime() - 48 * 60 * 60 * 1000);
+    const target = oid();
+
+    // "spam": un solo autor que repite
+    for (let i = 0; i < 4; i++) posts.insert({ authorId: "solo", hashtags: ["spam"], createdAt: recent });
+    // "cafe": dos autores en posts + un tercero en comentarios
+    posts.insert({ authorId: "a", hashtags: ["cafe"], createdAt: recent });
+    posts.insert({ authorId: "b", hashtags: ["cafe"], createdAt: recent });
+    comments.insert({ content: "x", createdBy: oid(), targetId: target, hashtags: ["cafe"], createdAt: recent });
+    // fuera de la ventana
+    posts.insert({ authorId: "c", hashtags: ["viejo"], createdAt: old });
+
+    const { hours, tags } = await HashtagService.trending({ now });
+    assert.equal(hours, 24);
+    assert.deepEqual(tags, [
+      { tag: "cafe", posts: 2, comments: 1, uses: 3, authors: 3 },
+      { tag: "spam", posts: 4, comments: 0, uses: 4, authors: 1 },
+    ]);
+  });
+});
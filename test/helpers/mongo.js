@@ -0,0 +1,415 @@
+// ======================================================
+// 🧪 Modelos Mongoose en memoria (sin servidor Mongo)
+// - fakeModel(Model) sustituye los métodos estáticos usados por los servicios
+//   (find, findOne, findById, findOneAndUpdate, updateOne/Many, create,
+//    deleteOne/Many, exists, countDocuments, distinct, aggregate) y doc.save()
+// - Casting, defaults y validación: los del propio schema (new Model / Query.cast)
+// - Filtros, updates y pipelines: mingo
+// - ObjectId se guarda como string hex (String(_id) y comparaciones igual que en Mongo)
+// ======================================================
+
+import mongoose from "mongoose";
+import { aggregate, find, Query, update as applyUpdate } from "mingo";
+
+const STATICS = [
+  "find",
+  "findOne",
+  "findById",
+  "findOneAndUpdate",
+  "findByIdAndUpdate",
+  "updateOne",
+  "updateMany",
+  "create",
+  "insertMany",
+  "deleteOne",
+  "deleteMany",
+  "exists",
+  "countDocuments",
+  "distinct",
+  "aggregate",
+];
+
+const fakes = new Set();
+
+/* ObjectId → string, documentos → objetos planos (recursivo) */
+export function plain(value) {
+  if (value === null || value === undefined) return value;
+  if (value instanceof mongoose.Types.ObjectId) return value.toHexString();
+  if (value instanceof Date || value instanceof RegExp) return value;
+  if (Array.isArray(value)) return value.map(plain);
+  if (typeof value.toObject === "function") return plain(value.toObject({ depopulate: true }));
+  if (typeof value === "object") {
+    const out = {};
+    for (const [k, v] of Object.entries(value)) out[k] = plain(v);
+    return out;
+  }
+  return value;
+}
+
+const clone = (doc) => structuredClone(doc);
+
+function timestampFields(Model) {
+  const ts = Model.schema.options.timestamps;
+  if (!ts) return { createdAt: null, updatedAt: null };
+  return {
+    createdAt: ts === true ? "createdAt" : ts.createdAt === false ? null : ts.createdAt || "createdAt",
+    updatedAt: ts === true ? "updatedAt" : ts.updatedAt === false ? null : ts.updatedAt || "updatedAt",
+  };
+}
+
+function toProjection(select) {
+  if (!select) return null;
+  if (typeof select === "object") return Object.keys(select).length ? select : null;
+
+  const fields = String(select).split(/\s+/).filter(Boolean);
+  if (!fields.length) return null;
+
+  const projection = {};
+  for (const f of fields) {
+    if (f.startsWith("-")) projection[f.slice(1)] = 0;
+    else projection[f.replace(/^\+/, "")] = 1;
+  }
+  return projection;
+}
+
+/* Query encadenable: select / lean / sort / skip / limit / populate (no-op) */
+class FakeQuery {
+  constructor(run) {
+    this._run = run;
+    this._opts = { lean: false, select: null, sort: null, skip: 0, limit: 0 };
+  }
+
+  select(p) {
+    this._opts.select = p;
+    return this;
+  }
+
+  lean() {
+    this._opts.lean = true;
+    return this;
+  }
+
+  sort(s) {
+    this._opts.sort = s;
+    return this;
+  }
+
+  skip(n) {
+    this._opts.skip = Number(n) || 0;
+    return this;
+  }
+
+  limit(n) {
+    this._opts.limit = Number(n) || 0;
+    return this;
+  }
+
+  populate() {
+    return this;
+  }
+
+  session() {
+    return this;
+  }
+
+  hint() {
+    return this;
+  }
+
+  async exec() {
+    return this._run(this._opts);
+  }
+
+  then(resolve, reject) {
+    return this.exec().then(resolve, reject);
+  }
+
+  catch(reject) {
+    return this.exec().catch(reject);
+  }
+}
+
+function parseSort(sort) {
+  if (!sort || typeof sort === "object") return sort;
+  const out = {};
+  for (const f of String(sort).split(/\s+/).filter(Boolean)) {
+    out[f.replace(/^-/, "")] = f.startsWith("-") ? -1 : 1;
+  }
+  return out;
+}
+
+/**
+ * Sustituye el acceso a datos de `Model` por una colección en memoria.
+ * Devuelve { docs, insert, all, get, reset, restore }.
+ */
+export function fakeModel(Model) {
+  const base = mongoose.Model;
+  let docs = [];
+  const { createdAt, updatedAt } = timestampFields(Model);
+
+  /* Documento del schema (defaults + casting) → objeto plano */
+  function normalize(obj) {
+    return plain(new Model(obj).toObject({ depopulate: true }));
+  }
+
+  function castFilter(filter = {}) {
+    return plain(base.find.call(Model, filter).cast(Model));
+  }
+
+  function matching(filter, { sort = null, skip = 0, limit = 0 } = {}) {
+    let cursor = find(docs, castFilter(filter));
+    if (sort) cursor = cursor.sort(parseSort(sort));
+    if (skip) cursor = cursor.skip(skip);
+    if (limit) cursor = cursor.limit(limit);
+    return cursor.all();
+  }
+
+  function output(doc, { lean = false, select = null } = {}) {
+    if (!doc) return null;
+    const projection = toProjection(select);
+    const shaped = projection ? find([clone(doc)], {}, projection).all()[0] : clone(doc);
+    return lean ? shaped : Model.hydrate(shaped);
+  }
+
+  function insert(raw) {
+    const now = new Date();
+    const doc = normalize(raw);
+    if (createdAt && !raw[createdAt]) doc[createdAt] = now;
+    if (updatedAt && !raw[updatedAt]) doc[updatedAt] = now;
+    if (docs.some((d) => d._id === doc._id)) throw new Error(`E11000 duplicate key _id: ${doc._id}`);
+    docs.push(doc);
+    return doc;
+  }
+
+  function replace(doc) {
+    const i = docs.findIndex((d) => d._id === doc._id);
+    if (i === -1) docs.push(doc);
+    else docs[i] = doc;
+  }
+
+  /* Índice del primer elemento de `arrayPath` que casa con el filtro (operador posicional $) */
+  function positionalIndex(doc, filter, arrayPath) {
+    const array = arrayPath.split(".").reduce((v, k) => v?.[k], doc);
+    if (!Array.isArray(array)) return -1;
+
+    let criteria = null;
+    if (filter[arrayPath]?.$elemMatch) criteria = filter[arrayPath].$elemMatch;
+    else {
+      const prefix = `${arrayPath}.`;
+      const nested = Object.entries(filter).filter(([k]) => k.startsWith(prefix));
+      if (nested.length) criteria = Object.fromEntries(nested.map(([k, v]) => [k.slice(prefix.length), v]));
+      else if (arrayPath in filter) return array.findIndex((el) => el === filter[arrayPath]);
+    }
+    if (!criteria) return -1;
+
+    const query = new Query(criteria);
+    return array.findIndex((el) => query.test(el));
+  }
+
+  /*
+   * $setOnInsert solo al insertar; el resto con mingo, campo a campo
+   * (mingo rechaza dos rutas bajo el mismo array en una sola llamada,
+   *  p. ej. "arr.$[p].a" + "arr.$[p].b"; Mongo las admite)
+   */
+  function modify(doc, update, filter, { arrayFilters, inserting = false } = {}) {
+    const { $setOnInsert, ...ops } = plain(update) || {};
+    const modifier = Object.keys(ops).some((k) => k.startsWith("$")) ? ops : { $set: ops };
+
+    if (inserting && $setOnInsert) modifier.$set = { ...$setOnInsert, ...modifier.$set };
+
+    const condition = inserting ? {} : castFilter(filter);
+    const draft = clone(doc);
+    let changed = false;
+
+    for (const [op, fields] of Object.entries(modifier)) {
+      for (const [rawPath, value] of Object.entries(fields || {})) {
+        let path = rawPath;
+        const positional = rawPath.match(/^(.*?)\.\$(?=\.|$)/);
+        if (positional) {
+          const idx = positionalIndex(doc, condition, positional[1]);
+          if (idx === -1) continue;
+          path = rawPath.replace(/\.\$(?=\.|$)/, `.${idx}`);
+        }
+        const usedFilters = arrayFilters?.filter((f) =>
+          Object.keys(f).some((k) => path.includes(`$[${k.split(".")[0]}]`))
+        );
+        if (applyUpdate(draft, { [op]: { [path]: value } }, usedFilters?.length ? usedFilters : undefined).length)
+          changed = true;
+      }
+    }
+
+    if (changed && updatedAt && !inserting && !modifier.$set?.[updatedAt]) draft[updatedAt] = new Date();
+    return { doc: normalize(draft), changed };
+  }
+
+  /* Documento base de un upsert: igualdades del filtro */
+  function seedFrom(filter = {}) {
+    const seed = {};
+    for (const [k, v] of Object.entries(plain(filter))) {
+      if (k.startsWith("$") || k.includes(".")) continue;
+      if (v && typeof v === "object" && !(v instanceof Date) && Object.keys(v).some((x) => x.startsWith("$"))) continue;
+      seed[k] = v;
+    }
+    return seed;
+  }
+
+  function upsertDoc(filter, update, options) {
+    const { doc } = modify(normalize(seedFrom(filter)), update, filter, { ...options, inserting: true });
+    return insert(doc);
+  }
+
+  function updateDocs(filter, update, options = {}, many = false) {
+    const targets = matching(filter, { sort: options.sort });
+    const selected = many ? targets : targets.slice(0, 1);
+
+    if (!selected.length && options.upsert) {
+      const doc = upsertDoc(filter, update, options);
+      return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: doc._id };
+    }
+
+    let modifiedCount = 0;
+    for (const target of selected) {
+      const { doc, changed } = modify(target, update, filter, options);
+      if (changed) {
+        replace(doc);
+        modifiedCount++;
+      }
+    }
+    return { acknowledged: true, matchedCount: selected.length, modifiedCount, upsertedCount: 0 };
+  }
+
+  const overrides = {
+    find: (filter = {}, projection = null) =>
+      new FakeQuery((o) =>
+        matching(filter, o).map((d) => output(d, { ...o, select: o.select || projection }))
+      ),
+
+    findOne: (filter = {}, projection = null) =>
+      new FakeQuery((o) => output(matching(filter, { ...o, limit: 1 })[0], { ...o, select: o.select || projection })),
+
+    findById: (id, projection = null) => overrides.findOne({ _id: id }, projection),
+
+    findOneAndUpdate: (filter = {}, update = {}, options = {}) =>
+      new FakeQuery((o) => {
+        const before = matching(filter, { sort: options.sort || o.sort })[0] || null;
+        const returnNew = options.new === true || options.returnDocument === "after";
+        const select = o.select || options.projection || options.select || null;
+        const lean = o.lean || options.lean;
+
+        if (!before) {
+          if (!options.upsert) return null;
+          const doc = upsertDoc(filter, update, options);
+          return returnNew ? output(doc, { lean, select }) : null;
+        }
+
+        const { doc } = modify(before, update, filter, options);
+        replace(doc);
+        return output(returnNew ? doc : before, { lean, select });
+      }),
+
+    findByIdAndUpdate: (id, update, options) => overrides.findOneAndUpdate({ _id: id }, update, options),
+
+    updateOne: (filter, update, options = {}) => new FakeQuery(() => updateDocs(filter, update, options, false)),
+
+    updateMany: (filter, update, options = {}) => new FakeQuery(() => updateDocs(filter, update, options, true)),
+
+    create: async (...args) => {
+      const many = Array.isArray(args[0]);
+      const input = many ? args[0] : args.filter((a) => a && typeof a === "object" && !a.session);
+      const created = [];
+      for (const raw of input) {
+        const doc = new Model(raw);
+        await doc.save();
+        created.push(doc);
+      }
+      return many || input.length > 1 ? created : created[0];
+    },
+
+    insertMany: async (input) => overrides.create(Array.isArray(input) ? input : [input]),
+
+    deleteOne: (filter = {}) =>
+      new FakeQuery(() => {
+        const [target] = matching(filter);
+        if (target) docs = docs.filter((d) => d._id !== target._id);
+        return { acknowledged: true, deletedCount: target ? 1 : 0 };
+      }),
+
+    deleteMany: (filter = {}) =>
+      new FakeQuery(() => {
+        const ids = new Set(matching(filter).map((d) => d._id));
+        docs = docs.filter((d) => !ids.has(d._id));
+        return { acknowledged: true, deletedCount: ids.size };
+      }),
+
+    exists: (filter = {}) =>
+      new FakeQuery(() => {
+        const [target] = matching(filter, { limit: 1 });
+        return target ? { _id: Model.hydrate({ _id: target._id })._id } : null;
+      }),
+
+    countDocuments: (filter = {}) => new FakeQuery(() => matching(filter).length),
+
+    distinct: (field, filter = {}) =>
+      new FakeQuery(() => [...new Set(matching(filter).flatMap((d) => [].concat(d[field] ?? [])))]),
+
+    aggregate: (pipeline = []) => {
+      const run = async () => aggregate(docs.map(clone), plain(pipeline));
+      return { exec: run, then: (res, rej) => run().then(res, rej), catch: (rej) => run().catch(rej) };
+    },
+  };
+
+  const originals = new Map();
+  for (const name of STATICS) {
+    originals.set(name, Object.getOwnPropertyDescriptor(Model, name));
+    Model[name] = overrides[name];
+  }
+
+  const originalSave = Object.getOwnPropertyDescriptor(Model.prototype, "save");
+  Model.prototype.save = async function save() {
+    await this.validate();
+    const now = new Date();
+    if (this.isNew && createdAt && !this.get(createdAt)) this.set(createdAt, now);
+    if (updatedAt) this.set(updatedAt, now);
+
+    replace(plain(this.toObject({ depopulate: true })));
+    this.isNew = false;
+    return this;
+  };
+
+  const handle = {
+    /** Documentos actuales (copias planas) */
+    get docs() {
+      return docs.map(clone);
+    },
+    /** Inserta documentos tal cual (defaults del schema; sin validación) */
+    insert(...rows) {
+      const inserted = rows.flat().map(insert);
+      return inserted.length === 1 ? clone(inserted[0]) : inserted.map(clone);
+    },
+    /** Documento por _id (copia plana) o null */
+    get(id) {
+      const doc = docs.find((d) => d._id === String(id));
+      return doc ? clone(doc) : null;
+    },
+    reset() {
+      docs = [];
+    },
+    restore() {
+      for (const [name, descriptor] of originals) {
+        if (descriptor) Object.defineProperty(Model, name, descriptor);
+        else delete Model[name];
+      }
+      if (originalSave) Object.defineProperty(Model.prototype, "save", originalSave);
+      else delete Model.prototype.save;
+      fakes.delete(handle);
+    },
+  };
+
+  fakes.add(handle);
+  return handle;
+}
+
+/** Vacía todas las colecciones en memoria */
+export function resetModels() {
+  for (const fake of fakes) fake.reset();
+}
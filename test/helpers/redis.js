@@ -0,0 +1,20 @@
+// ======================================================
+// 🧪 Redis en memoria para tests (ioredis → ioredis-mock)
+// Importar ANTES que cualquier módulo de src (usar import() dinámico después)
+// ======================================================
+
+import { mock } from "node:test";
+import { createRequire } from "node:module";
+
+const require = createRequire(import.meta.url);
+const RedisMock = require("ioredis-mock");
+
+mock.module("ioredis", { defaultExport: RedisMock });
+
+/** Vacía el Redis de la app (ioredis-mock comparte datos por host:port) */
+export async function flushRedis() {
+  const { initRedis } = await import("../../src/infrastructure/RedisProvider.js");
+  await (await initRedis()).flushall();
+}
+
+export { RedisMock };
@@ -0,0 +1,10 @@
+// ======================================================
+// 🧪 Preload de tests (node --import)
+// Los logs con emoji de los servicios rompen el parser del runner
+// (Node 20: "Unable to deserialize cloned data") → silenciados
+// salvo con TEST_VERBOSE=1
+// ======================================================
+
+if (!process.env.TEST_VERBOSE) {
+  for (const level of ["log", "info", "warn", "debug"]) console[level] = () => {};
+}
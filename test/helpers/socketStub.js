@@ -0,0 +1,15 @@
+// ======================================================
+// 🧪 SocketService de mentira: registra [usuario, evento, payload]
+// ======================================================
+
+export function fakeSocket() {
+  const sent = [];
+  return {
+    sent,
+    emitToUser: (userId, event, payload) => sent.push([String(userId), event, payload]),
+    emitToUsers: (userIds, event, payload) => userIds.forEach((u) => sent.push([String(u), event, payload])),
+    emitToUserInNamespace: (userId, nsp, event, payload) => sent.push([String(userId), event, payload, nsp]),
+    /** Eventos recibidos por un usuario, en orden */
+    events: (userId) => sent.filter(([u]) => u === userId).map(([, e]) => e),
+  };
+}
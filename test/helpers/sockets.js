@@ -0,0 +1,75 @@
+// ======================================================
+// 🧪 SocketService real sobre un http.Server efímero + socket.io-client
+// Requiere ./redis.js importado antes (ioredis → ioredis-mock)
+// ======================================================
+
+import http from "node:http";
+import jwt from "jsonwebtoken";
+import { io as connect } from "socket.io-client";
+
+process.env.JWT_SECRET ||= "test-secret";
+
+const { createSocketService } = await import("../../src/interfaces/websockets/SocketService.js");
+const { sessionClaims } = await import("../../src/interfaces/middlewares/AuthMiddleware.js");
+
+let server = null;
+let url = null;
+const clients = [];
+
+let service = null;
+
+export async function startSocketServer() {
+  server = http.createServer();
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  url = `http://127.0.0.1:${server.address().port}`;
+  service = await createSocketService(server);
+  return service;
+}
+
+export function closeClients() {
+  while (clients.length) clients.pop().close();
+}
+
+export async function stopSocketServer() {
+  closeClients();
+  service.io.close();
+  service.redisPub?.disconnect();
+  service.redisSub?.disconnect();
+  await new Promise((resolve) => server.close(resolve));
+}
+
+export async function tokenFor(id, options = { expiresIn: "7d" }) {
+  return jwt.sign(
+    { id, username: `user${id.slice(-1)}`, ...(await sessionClaims(id)) },
+    process.env.JWT_SECRET,
+    options
+  );
+}
+
+export function open(token, nsp = "/chats", auth = {}) {
+  const socket = connect(`${url}${nsp}`, {
+    auth: { token, ...auth },
+    transports: ["websocket"],
+    reconnection: false,
+    forceNew: true,
+  });
+  clients.push(socket);
+  return socket;
+}
+
+/** Resuelve con el payload de `connected` o rechaza con el connect_error */
+export function handshake(socket) {
+  return new Promise((resolve, reject) => {
+    socket.once("connected", resolve);
+    socket.once("connect_error", reject);
+  });
+}
+
+export function once(socket, event) {
+  return new Promise((resolve) => socket.once(event, resolve));
+}
+
+/** Socket del lado servidor para un cliente conectado */
+export function serverSocket(socket, nsp = "/chats") {
+  return service.io.of(nsp).sockets.get(socket.id);
+}
@@ -0,0 +1,86 @@
+// ======================================================
+// 🔒 LockedCron: lock con token aleatorio + liberación compare-and-delete
+// ======================================================
+
+import { beforeEach, test } from "node:test";
+import assert from "node:assert/strict";
+import { flushRedis } from "./helpers/redis.js";
+
+const { LockedCron } = await import("../src/schedulers/LockedCron.js");
+const { initRedis } = await import("../src/infrastructure/RedisProvider.js");
+
+const LOCK_KEY = "quickchatx:lock:test";
+
+function lockedCron(job) {
+  return new LockedCron({ name: "Test", schedule: "* * * * *", lockKey: LOCK_KEY, lockTtlSeconds: 30, job });
+}
+
+let redis;
+
+beforeEach(async () => {
+  redis = await initRedis();
+  await flushRedis();
+});
+
+test("ejecuta el job con un token aleatorio y libera el lock", async () => {
+  const held = [];
+  const cron = lockedCron(async () => {
+    held.push(await redis.get(LOCK_KEY));
+    return { done: true };
+  });
+
+  assert.deepEqual(await cron.run(), { done: true });
+  assert.deepEqual(await cron.run(), { done: true });
+
+  assert.equal(held.length, 2);
+  assert.notEqual(held[0], String(process.pid));
+  assert.notEqual(held[0], held[1]);
+  assert.equal(await redis.get(LOCK_KEY), null);
+});
+
+test("no ejecuta si otra instancia tiene el lock (y no lo borra)", async () => {
+  await redis.set(LOCK_KEY, "otra-instancia", "EX", 30);
+  let calls = 0;
+
+  assert.equal(await lockedCron(async () => calls++).run(), null);
+  assert.equal(calls, 0);
+  assert.equal(await redis.get(LOCK_KEY), "otra-instancia");
+});
+
+test("no borra el lock de otra instancia si el suyo expiró durante el barrido", async () => {
+  const cron = lockedCron(async () => {
+    // TTL vencido + otra instancia toma el lock
+    await redis.set(LOCK_KEY, "otra-instancia", "EX", 30);
+    return "ok";
+  });
+
+  assert.equal(await cron.run(), "ok");
+  assert.equal(await redis.get(LOCK_KEY), "otra-instancia");
+});
+
+test("un barrido a la vez en la misma instancia", async () => {
+  let release;
+  let onStart;
+  const started = new Promise((resolve) => (onStart = resolve));
+  const cron = lockedCron(() => {
+    onStart();
+    return new Promise((resolve) => (release = resolve));
+  });
+
+  const first = cron.run();
+  assert.equal(await cron.run(), null);
+
+  await started;
+  release("primero");
+  assert.equal(await first, "primero");
+});
+
+test("un error del job se registra y devuelve null, liberando el lock", async () => {
+  const cron = lockedCron(async () => {
+    throw new Error("boom");
+  });
+
+  assert.equal(await cron.run(), null);
+  assert.equal(await redis.get(LOCK_KEY), null);
+  assert.equal(cron.running, false);
+});
@@ -0,0 +1,169 @@
+// ======================================================
+// ⏳ RetentionService.sweepExpired: Mongo + Redis + media + aviso por room
+// ======================================================
+
+import { afterEach, beforeEach, mock, test } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { flushRedis } from "./helpers/redis.js";
+import { fakeModel, resetModels } from "./helpers/mongo.js";
+
+const { RetentionService } = await import("../src/application/RetentionService.js");
+const { ChatService } = await import("../src/application/ChatService.js");
+const { ChatListService } = await import("../src/application/ChatListService.js");
+const { default: Message } = await import("../src/domain/Message.js");
+const { default: StarredMessage } = await import("../src/domain/StarredMessage.js");
+const { default: Conversation } = await import("../src/domain/Conversation.js");
+const { initRedis, saveMessageToRedis } = await import("../src/infrastructure/RedisProvider.js");
+
+const messages = fakeModel(Message);
+const starred = fakeModel(StarredMessage);
+const conversations = fakeModel(Conversation);
+
+const U1 = "64b000000000000000000001";
+const U2 = "64b000000000000000000002";
+const U3 = "64b000000000000000000003";
+const DIRECT = [U1, U2].sort().join("_");
+const GROUP = new mongoose.Types.ObjectId().toHexString();
+
+const NOW = new Date("2026-03-01T12:00:00Z");
+const PAST = new Date(NOW.getTime() - 1000);
+const FUTURE = new Date(NOW.getTime() + 60 * 60 * 1000);
+
+let deletedFiles;
+
+beforeEach(async () => {
+  await flushRedis();
+  conversations.insert({ _id: GROUP, title: "grupo", createdBy: U1, members: [U1, U3] });
+  deletedFiles = [];
+  mock.method(RetentionService, "_deleteMediaFile", async (url) => {
+    deletedFiles.push(url);
+    return true;
+  });
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  resetModels();
+});
+
+async function message(room, fields = {}) {
+  const doc = messages.insert({ room, from: U1, text: "hola", timestamp: PAST, ...fields });
+  await saveMessageToRedis(room, { _id: doc._id, room, text: doc.text });
+  return doc._id;
+}
+
+const cachedIds = async (room) =>
+  (await (await initRedis()).lrange(`chat:${room}:messages`, 0, -1)).map((raw) => JSON.parse(raw)._id);
+
+test("borra los vencidos de Mongo y Redis y avisa a los participantes de cada room", async () => {
+  const d1 = await message(DIRECT, { expiresAt: PAST });
+  const d2 = await message(DIRECT, { expiresAt: NOW });
+  const kept = await message(DIRECT, { expiresAt: FUTURE });
+  const forever = await message(DIRECT);
+  const g1 = await message(GROUP, { conversationId: GROUP, expiresAt: PAST });
+  starred.insert({ userId: U2, messageId: d1, room: DIRECT }, { userId: U2, messageId: kept, room: DIRECT });
+
+  const emitted = [];
+  const result = await RetentionService.sweepExpired({
+    now: NOW,
+    wsEmit: (event, payload, recipients) => emitted.push({ event, payload, recipients }),
+  });
+
+  assert.deepEqual(result, { deleted: 3, files: 0, rooms: 2 });
+  assert.deepEqual(
+    messages.docs.map((m) => m._id).sort(),
+    [kept, forever].sort()
+  );
+  assert.deepEqual(
+    starred.docs.map((s) => s.messageId),
+    [kept]
+  );
+  assert.deepEqual(await cachedIds(DIRECT), [kept, forever]);
+  assert.deepEqual(await cachedIds(GROUP), []);
+
+  assert.deepEqual(emitted.find((e) => e.payload.room === DIRECT), {
+    event: "messages_expired",
+    payload: { room: DIRECT, messageIds: [d1, d2] },
+    recipients: DIRECT.split("_"),
+  });
+  assert.deepEqual(emitted.find((e) => e.payload.room === GROUP), {
+    event: "messages_expired",
+    payload: { room: GROUP, messageIds: [g1] },
+    recipients: [U1, U3],
+  });
+});
+
+test("solo borra media que ningún otro mensaje referencia (reenvíos)", async () => {
+  await message(DIRECT, { type: "image", mediaUrl: "/uploads/solo.jpg", thumbnailUrl: "/uploads/solo_t.jpg", expiresAt: PAST });
+  await message(DIRECT, { type: "image", mediaUrl: "/uploads/compartida.jpg", expiresAt: PAST });
+  await message(GROUP, { type: "image", mediaUrl: "/uploads/compartida.jpg", conversationId: GROUP });
+
+  const result = await RetentionService.sweepExpired({ now: NOW });
+
+  assert.equal(result.deleted, 2);
+  assert.equal(result.files, 2);
+  assert.deepEqual(deletedFiles.sort(), ["/uploads/solo.jpg", "/uploads/solo_t.jpg"]);
+});
+
+test("sin vencidos no toca nada", async () => {
+  await message(DIRECT, { expiresAt: FUTURE });
+
+  assert.deepEqual(await RetentionService.sweepExpired({ now: NOW }), { deleted: 0, files: 0, rooms: 0 });
+  assert.equal(messages.docs.length, 1);
+});
+
+/* Mensajes relativos al reloj real: las lecturas filtran con new Date() */
+async function live(room, entries) {
+  const base = Date.now() - 60 * 60 * 1000;
+  const ids = [];
+  for (const [i, ttl] of entries.entries()) {
+    const row = {
+      room,
+      from: U1,
+      to: U2,
+      text: `m${i}`,
+      deleted: false,
+      timestamp: new Date(base + i * 1000),
+      expiresAt: ttl === null ? null : new Date(Date.now() + ttl),
+    };
+    const doc = messages.insert(row);
+    await saveMessageToRedis(room, { ...row, _id: doc._id });
+    ids.push(doc._id);
+  }
+  return ids;
+}
+
+const EXPIRED = -1000;
+const LATER = 60 * 60 * 1000;
+
+test("el historial oculta los vencidos antes del barrido (Redis y Mongo)", async () => {
+  const [a, b, c] = await live(DIRECT, [null, LATER, null, EXPIRED]);
+
+  const hot = await ChatService.getHistoryPage(U1, U2, { limit: 2 });
+  assert.equal(hot.pageInfo.source, "redis");
+  assert.deepEqual(hot.messages.map((m) => String(m._id)), [b, c]);
+
+  await (await initRedis()).del(`chat:${DIRECT}:messages`);
+  const cold = await ChatService.getHistoryPage(U1, U2, { limit: 10 });
+  assert.equal(cold.pageInfo.source, "mongo");
+  assert.deepEqual(cold.messages.map((m) => String(m._id)), [a, b, c]);
+});
+
+test("normalizeTtl acepta etiquetas y segundos equivalentes", () => {
+  assert.equal(RetentionService.normalizeTtl("24h"), 86400);
+  assert.equal(RetentionService.normalizeTtl(604800), 604800);
+  assert.equal(RetentionService.normalizeTtl("off"), 0);
+  assert.equal(RetentionService.normalizeTtl(null), 0);
+  assert.throws(() => RetentionService.normalizeTtl("3h"), { message: /Duración inválida/ });
+});
+
+test("la lista de chats no usa como preview un mensaje vencido", async () => {
+  const [, kept] = await live(DIRECT, [null, LATER, EXPIRED]);
+
+  const last = await ChatListService._lastMessages([DIRECT]);
+  assert.equal(String(last.get(DIRECT)._id), kept);
+
+  await (await initRedis()).del(`chat:${DIRECT}:messages`);
+  assert.equal(String((await ChatListService._lastMessages([DIRECT])).get(DIRECT)._id), kept);
+});
@@ -0,0 +1,159 @@
+// ======================================================
+// 🗓️ ScheduledCallService.runDue + ScheduledCallScheduler
+// ======================================================
+
+import { afterEach, beforeEach, mock, test } from "node:test";
+import assert from "node:assert/strict";
+import { flushRedis } from "./helpers/redis.js";
+import { fakeModel, resetModels } from "./helpers/mongo.js";
+import { fakeSocket } from "./helpers/socketStub.js";
+
+const { ScheduledCallService, REMINDER_MINUTES } = await import("../src/application/ScheduledCallService.js");
+const { CallQualityService } = await import("../src/application/CallQualityService.js");
+const { ScheduledCallScheduler } = await import("../src/schedulers/ScheduledCallScheduler.js");
+const { default: ScheduledCall } = await import("../src/domain/ScheduledCall.js");
+const { default: Call } = await import("../src/domain/Call.js");
+const { default: CallLog } = await import("../src/domain/CallLog.js");
+const { UserActivity } = await import("../src/domain/UserActivity.js");
+const { ActivityLog } = await import("../src/domain/ActivityLog.js");
+
+const scheduled = fakeModel(ScheduledCall);
+const calls = fakeModel(Call);
+fakeModel(CallLog);
+const activities = fakeModel(UserActivity);
+fakeModel(ActivityLog);
+
+const ORG = "64b00000000000000000000a";
+const ANA = "64b00000000000000000000b";
+const LUIS = "64b00000000000000000000c";
+
+const NOW = new Date("2026-05-04T10:00:00Z");
+const minutes = (n) => new Date(NOW.getTime() + n * 60 * 1000);
+
+let socket;
+
+beforeEach(async () => {
+  await flushRedis();
+  socket = fakeSocket();
+  mock.method(CallQualityService, "summarizeCall", async () => null);
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  resetModels();
+});
+
+function schedule(startsAt, rsvps = { [ANA]: "accepted", [LUIS]: "declined" }) {
+  return scheduled.insert({
+    organizer: ORG,
+    title: "Planificación",
+    type: "video",
+    startsAt,
+    attendees: Object.entries(rsvps).map(([userId, rsvp]) => ({ userId, rsvp })),
+  })._id;
+}
+
+const received = (event) =>
+  socket.sent.filter(([, e]) => e === event).map(([userId, , payload, nsp]) => ({ userId, payload, nsp }));
+
+test("recordatorio una sola vez a organizador y asistentes que no rechazaron", async () => {
+  const id = schedule(minutes(REMINDER_MINUTES - 3));
+
+  assert.deepEqual(await ScheduledCallService.runDue({ now: NOW, socketService: socket }), {
+    reminded: 1,
+    started: 0,
+    expired: 0,
+  });
+  assert.deepEqual(scheduled.get(id).reminderSentAt, NOW);
+
+  const reminders = received("scheduled_call_reminder");
+  assert.deepEqual(
+    reminders.map((r) => r.userId),
+    [ORG, ANA]
+  );
+  assert.equal(reminders[0].nsp, "/calls");
+  assert.equal(reminders[0].payload.minutesBefore, REMINDER_MINUTES - 3);
+
+  const notified = activities.docs.find((a) => String(a.userId) === ANA);
+  assert.equal(notified.notifications[0].type, "scheduled_call");
+
+  const again = await ScheduledCallService.runDue({ now: minutes(1), socketService: socket });
+  assert.equal(again.reminded, 0);
+});
+
+test("fuera de la ventana del recordatorio no hace nada", async () => {
+  const id = schedule(minutes(REMINDER_MINUTES + 5));
+
+  assert.deepEqual(await ScheduledCallService.runDue({ now: NOW, socketService: socket }), {
+    reminded: 0,
+    started: 0,
+    expired: 0,
+  });
+  assert.equal(scheduled.get(id).status, "scheduled");
+  assert.equal(socket.sent.length, 0);
+});
+
+test("a la hora hace sonar a los asistentes y guarda el callId", async () => {
+  const id = schedule(minutes(-1));
+
+  const result = await ScheduledCallService.runDue({ now: NOW, socketService: socket });
+  assert.equal(result.started, 1);
+
+  const row = scheduled.get(id);
+  assert.equal(row.status, "started");
+  assert.deepEqual(row.startedAt, NOW);
+  assert.ok(row.callId);
+
+  const call = calls.get(row.callId);
+  assert.equal(call.caller, ORG);
+  assert.equal(call.type, "video");
+  assert.deepEqual(call.participants, [ORG, ANA]);
+  assert.deepEqual(socket.sent.filter(([, e]) => e === "INCOMING_CALL").map(([u]) => u), [ANA]);
+
+  const starting = received("scheduled_call_starting");
+  assert.deepEqual(
+    starting.map((s) => s.userId),
+    [ORG, ANA]
+  );
+  assert.equal(starting[0].payload.callId, String(row.callId));
+
+  // reclamado una sola vez
+  assert.equal((await ScheduledCallService.runDue({ now: NOW, socketService: socket })).started, 0);
+  assert.equal(calls.docs.length, 1);
+});
+
+test("si todos rechazaron se cancela sin llamar", async () => {
+  const id = schedule(minutes(-1), { [ANA]: "declined", [LUIS]: "declined" });
+
+  await ScheduledCallService.runDue({ now: NOW, socketService: socket });
+
+  assert.equal(scheduled.get(id).status, "cancelled");
+  assert.equal(calls.docs.length, 0);
+});
+
+test("las que pasaron el margen de inicio (servidor caído) vencen sin sonar", async () => {
+  const stale = schedule(minutes(-20));
+  const due = schedule(minutes(-2));
+
+  assert.deepEqual(await ScheduledCallService.runDue({ now: NOW, socketService: socket }), {
+    reminded: 0,
+    started: 1,
+    expired: 1,
+  });
+  assert.equal(scheduled.get(stale).status, "expired");
+  assert.equal(scheduled.get(due).status, "started");
+  assert.equal(calls.docs.length, 1);
+});
+
+test("ScheduledCallScheduler barre con lock y avisa por su socket", async () => {
+  const id = schedule(new Date(Date.now() - 60 * 1000));
+  ScheduledCallScheduler.socket = socket;
+
+  try {
+    assert.deepEqual(await ScheduledCallScheduler.runSweep(), { reminded: 0, started: 1, expired: 0 });
+  } finally {
+    ScheduledCallScheduler.socket = null;
+  }
+  assert.equal(scheduled.get(id).status, "started");
+  assert.equal(received("scheduled_call_starting").length, 2);
+});
@@ -0,0 +1,126 @@
+// ======================================================
+// 🔐 Auth de sockets: handshake (válido / expirado / revocado) + auth_refresh
+// ======================================================
+
+import { after, before, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import jwt from "jsonwebtoken";
+import { flushRedis } from "./helpers/redis.js";
+
+const {
+  startSocketServer,
+  stopSocketServer,
+  closeClients,
+  tokenFor,
+  open,
+  handshake,
+  once,
+  serverSocket,
+} = await import("./helpers/sockets.js");
+const { revokeUserSessions } = await import("../src/interfaces/middlewares/AuthMiddleware.js");
+
+const USER_ID = "64b000000000000000000001";
+const OTHER_ID = "64b000000000000000000002";
+
+/** Fuerza la re-verificación en el próximo paquete (sin esperar AUTH_RECHECK_MS) */
+function expireRecheck(socket, nsp = "/chats") {
+  serverSocket(socket, nsp).data.authCheckedAt = 0;
+}
+
+before(startSocketServer);
+after(stopSocketServer);
+
+beforeEach(async () => {
+  closeClients();
+  await flushRedis();
+});
+
+describe("handshake", () => {
+  test("acepta un token válido", async () => {
+    const info = await handshake(open(await tokenFor(USER_ID)));
+    assert.equal(info.user, "user1");
+  });
+
+  test("rechaza un token expirado", async () => {
+    const token = await tokenFor(USER_ID, { expiresIn: -10 });
+    await assert.rejects(handshake(open(token)), { message: "Token expirado" });
+  });
+
+  test("rechaza un token firmado antes del logout", async () => {
+    const token = await tokenFor(USER_ID);
+    await revokeUserSessions(USER_ID);
+    await assert.rejects(handshake(open(token)), { message: "Sesión revocada" });
+  });
+
+  test("acepta el token emitido tras el logout (mismo segundo)", async () => {
+    await revokeUserSessions(USER_ID);
+    await handshake(open(await tokenFor(USER_ID)));
+  });
+
+  test("rechaza un token con otra firma", async () => {
+    const token = jwt.sign({ id: USER_ID }, "otra-clave");
+    await assert.rejects(handshake(open(token)), { message: "Token inválido" });
+  });
+});
+
+describe("socket vivo", () => {
+  test("se desconecta en el siguiente paquete tras el logout", async () => {
+    const socket = open(await tokenFor(USER_ID));
+    await handshake(socket);
+
+    await revokeUserSessions(USER_ID);
+    expireRecheck(socket);
+    const revoked = once(socket, "session_revoked");
+    const closed = once(socket, "disconnect");
+    socket.emit("sync_events", {});
+
+    assert.deepEqual(await revoked, { reason: "revoked" });
+    assert.equal(await closed, "io server disconnect");
+  });
+});
+
+describe("auth_refresh", () => {
+  test("acepta un token nuevo del mismo usuario", async () => {
+    const socket = open(await tokenFor(USER_ID));
+    await handshake(socket);
+
+    expireRecheck(socket);
+    const reply = await socket.emitWithAck("auth_refresh", { token: await tokenFor(USER_ID) });
+    assert.deepEqual(reply, { success: true });
+  });
+
+  test("rechaza el token de otro usuario", async () => {
+    const socket = open(await tokenFor(USER_ID));
+    await handshake(socket);
+
+    const reply = await socket.emitWithAck("auth_refresh", { token: await tokenFor(OTHER_ID) });
+    assert.deepEqual(reply, { success: false, error: "El token pertenece a otro usuario" });
+    assert.equal(socket.connected, true);
+  });
+
+  test("rechaza un token expirado sin desconectar", async () => {
+    const socket = open(await tokenFor(USER_ID));
+    await handshake(socket);
+
+    const token = await tokenFor(USER_ID, { expiresIn: -10 });
+    const reply = await socket.emitWithAck("auth_refresh", { token });
+    assert.deepEqual(reply, { success: false, error: "Token expirado" });
+    assert.equal(socket.connected, true);
+  });
+
+  test("un token revocado cierra la sesión", async () => {
+    const token = await tokenFor(USER_ID);
+    const socket = open(token);
+    await handshake(socket);
+
+    // El token viejo sigue en mano del cliente; logout en otro dispositivo
+    await revokeUserSessions(USER_ID);
+    const revoked = once(socket, "session_revoked");
+    const closed = once(socket, "disconnect");
+    const reply = await socket.emitWithAck("auth_refresh", { token });
+
+    assert.deepEqual(reply, { success: false, error: "Sesión revocada" });
+    assert.deepEqual(await revoked, { reason: "revoked" });
+    assert.equal(await closed, "io server disconnect");
+  });
+});
@@ -0,0 +1,74 @@
+// ======================================================
+// 📥 Replay de eventos pendientes al conectar (auth.lastEventId)
+// ======================================================
+
+import { after, before, beforeEach, test } from "node:test";
+import assert from "node:assert/strict";
+import { flushRedis } from "./helpers/redis.js";
+
+const { startSocketServer, stopSocketServer, closeClients, tokenFor, open, handshake, once } =
+  await import("./helpers/sockets.js");
+const { recordPendingEvent } = await import("../src/interfaces/websockets/pendingEvents.js");
+
+const USER_ID = "64b000000000000000000001";
+const NAMESPACES = ["/chats", "/calls", "/activity"];
+
+before(startSocketServer);
+after(stopSocketServer);
+
+beforeEach(async () => {
+  closeClients();
+  await flushRedis();
+});
+
+/** Conecta los tres namespaces con el cursor dado y recoge NEW_MESSAGE por namespace */
+async function connectAll(lastEventId) {
+  const token = await tokenFor(USER_ID);
+  const received = Object.fromEntries(NAMESPACES.map((nsp) => [nsp, []]));
+
+  const sockets = NAMESPACES.map((nsp) => {
+    const socket = open(token, nsp, { lastEventId });
+    socket.on("NEW_MESSAGE", (payload, meta) => received[nsp].push({ payload, meta }));
+    return socket;
+  });
+
+  // el replay sale justo después de `connected`: escuchar antes del handshake
+  const synced = once(sockets[0], "sync_complete");
+  await Promise.all(sockets.map(handshake));
+  return { synced, received };
+}
+
+test("reenvía los pendientes una sola vez (solo en /chats)", async () => {
+  const first = await recordPendingEvent(USER_ID, "NEW_MESSAGE", { text: "uno" });
+  const second = await recordPendingEvent(USER_ID, "NEW_MESSAGE", { text: "dos" });
+
+  const { synced, received } = await connectAll(null);
+  const summary = await synced;
+  // margen para un replay (indebido) en /calls o /activity
+  await new Promise((resolve) => setTimeout(resolve, 100));
+
+  assert.deepEqual(
+    received["/chats"].map(({ payload, meta }) => [payload.text, meta.eventId, meta.replayed]),
+    [
+      ["uno", first, true],
+      ["dos", second, true],
+    ]
+  );
+  assert.equal(received["/calls"].length, 0);
+  assert.equal(received["/activity"].length, 0);
+  assert.equal(summary.count, 2);
+  assert.equal(summary.lastEventId, second);
+});
+
+test("sin cursor en el handshake no hay replay automático", async () => {
+  await recordPendingEvent(USER_ID, "NEW_MESSAGE", { text: "uno" });
+
+  const socket = open(await tokenFor(USER_ID));
+  const seen = [];
+  socket.on("NEW_MESSAGE", (payload) => seen.push(payload));
+  await handshake(socket);
+
+  const summary = await socket.emitWithAck("sync_events", {});
+  assert.equal(summary.count, 1);
+  assert.deepEqual(seen, [{ text: "uno" }]);
+});